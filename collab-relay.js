@@ -0,0 +1,307 @@
+#!/usr/bin/env node
+// Relay for the editor's collaboration mode, using only Node's standard library:
+//
+//     node collab-relay.js [port] [--host <address>] [--origin <origin>]...
+//
+// It serves the editor at http://localhost:8787/ and relays WebSocket messages between everyone in a room.
+// Each room keeps the newest op per register in memory (the last-writer-wins rule of CollabDocument in
+// script.js), so whoever joins later gets the whole document. Ops keep their base version, which lets an
+// editor tell that its edit was overwritten by a concurrent one and merge the two. A room is dropped when
+// the last person leaves it. Ops are only accepted from the client that wrote them.
+//
+// The relay only listens on 127.0.0.1 unless --host says otherwise (0.0.0.0 for every interface), and only
+// accepts WebSocket connections from pages it served itself, from files opened locally (origin "null") and
+// from the origins given with --origin.
+//
+// Messages are JSON text frames:
+//   client -> relay  {type: 'join', room, client, peer: {name, color}}, {type: 'ops', ops}, {type: 'presence', blockId}
+//   relay -> client  {type: 'welcome', ops, peers}, {type: 'ops', ops}, {type: 'presence', client, peer, blockId},
+//                    {type: 'leave', client}
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const options = { port: null, host: '127.0.0.1', origins: [] };
+for (let i = 2; i < process.argv.length; i++) {
+    const arg = process.argv[i];
+    if (arg === '--host' && i + 1 < process.argv.length) {
+        options.host = process.argv[++i];
+    } else if (arg === '--origin' && i + 1 < process.argv.length) {
+        options.origins.push(process.argv[++i].replace(/\/$/, ''));
+    } else if (/^\d+$/.test(arg) && options.port === null) {
+        options.port = Number(arg);
+    } else {
+        console.error('Usage: node collab-relay.js [port] [--host <address>] [--origin <origin>]...');
+        process.exit(2);
+    }
+}
+const PORT = options.port || Number(process.env.PORT || 8787);
+const HOST = options.host;
+const ALLOWED_ORIGINS = new Set(['null', ...options.origins]);
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_SIZE = 16 * 1024 * 1024;
+const STATIC_FILES = {
+    '/': ['index.html', 'text/html; charset=utf-8'],
+    '/index.html': ['index.html', 'text/html; charset=utf-8'],
+    '/core.js': ['core.js', 'text/javascript; charset=utf-8'],
+    '/script.js': ['script.js', 'text/javascript; charset=utf-8'],
+    '/styles.css': ['styles.css', 'text/css; charset=utf-8']
+};
+
+// The server side of RFC 6455: unmasks client frames, joins fragmented messages and answers pings and closes
+class WebSocketConnection {
+    constructor(socket, onMessage, onClose) {
+        this.socket = socket;
+        this.onMessage = onMessage;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.fragmentsLength = 0;
+        this.closed = false;
+
+        socket.on('data', data => this.receive(data));
+        socket.on('close', () => {
+            this.closed = true;
+            onClose();
+        });
+        socket.on('error', () => socket.destroy());
+    }
+
+    receive(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+        let frame;
+        while (!this.closed && (frame = this.readFrame())) {
+            this.handleFrame(frame);
+        }
+    }
+
+    readFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) return null;
+
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+        if (length === 126) {
+            if (buffer.length < 4) return null;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return null;
+            length = buffer.readUInt32BE(2) * 2 ** 32 + buffer.readUInt32BE(6);
+            offset = 10;
+        }
+        if (length > MAX_MESSAGE_SIZE) {
+            this.close(1009);
+            return null;
+        }
+        // Browsers always mask what they send
+        if ((buffer[1] & 0x80) === 0) {
+            this.close(1002);
+            return null;
+        }
+        if (buffer.length < offset + 4 + length) return null;
+
+        const mask = buffer.subarray(offset, offset + 4);
+        const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i % 4];
+        }
+        this.buffer = buffer.subarray(offset + 4 + length);
+        return { fin: (buffer[0] & 0x80) !== 0, opcode: buffer[0] & 0x0f, payload };
+    }
+
+    handleFrame({ fin, opcode, payload }) {
+        if (opcode === 0x8) {
+            this.close(payload.length >= 2 ? payload.readUInt16BE(0) : 1000);
+        } else if (opcode === 0x9) {
+            this.writeFrame(0xa, payload);
+        } else if (opcode === 0x0 || opcode === 0x1 || opcode === 0x2) {
+            if (opcode !== 0x0) {
+                this.fragments = [];
+                this.fragmentsLength = 0;
+            }
+            this.fragments.push(payload);
+            this.fragmentsLength += payload.length;
+            if (this.fragmentsLength > MAX_MESSAGE_SIZE) {
+                this.close(1009);
+            } else if (fin) {
+                const message = Buffer.concat(this.fragments).toString('utf8');
+                this.fragments = [];
+                this.fragmentsLength = 0;
+                this.onMessage(message);
+            }
+        }
+    }
+
+    send(text) {
+        this.writeFrame(0x1, Buffer.from(text, 'utf8'));
+    }
+
+    writeFrame(opcode, payload) {
+        if (this.socket.destroyed || !this.socket.writable) return;
+
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[1] = 127;
+            header.writeUInt32BE(Math.floor(payload.length / 2 ** 32), 2);
+            header.writeUInt32BE(payload.length >>> 0, 6);
+        }
+        header[0] = 0x80 | opcode;
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    close(code) {
+        if (this.closed) return;
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code);
+        this.writeFrame(0x8, payload);
+        this.closed = true;
+        this.socket.end();
+    }
+}
+
+// room name -> {registers: Map key -> op, members: Map client -> {connection, peer, blockId}}
+const rooms = new Map();
+
+function wins(op, current) {
+    return op.clock > current.clock || (op.clock === current.clock && op.client > current.client);
+}
+
+function isOp(op) {
+    return op !== null && typeof op === 'object' && typeof op.key === 'string' &&
+        Number.isFinite(op.clock) && typeof op.client === 'string' && op.value !== undefined;
+}
+
+// A page the relay served itself, opened by address: a host name could be pointed at the relay by someone
+// else's DNS, so those need --origin
+function isOwnOrigin(origin, host) {
+    return typeof host === 'string' && origin === `http://${host}` && /^(localhost|[\d.]+|\[[\da-f:.]+\])(:\d+)?$/i.test(host);
+}
+
+function broadcast(room, message, exceptClient) {
+    const text = JSON.stringify(message);
+    room.members.forEach((member, client) => {
+        if (client !== exceptClient) {
+            member.connection.send(text);
+        }
+    });
+}
+
+function handleUpgrade(request, socket) {
+    const key = request.headers['sec-websocket-key'];
+    if ((request.headers.upgrade || '').toLowerCase() !== 'websocket' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    // Browsers always send Origin, so this keeps other sites from joining rooms through their visitors
+    const origin = request.headers.origin;
+    if (origin !== undefined && !ALLOWED_ORIGINS.has(origin) && !isOwnOrigin(origin, request.headers.host)) {
+        socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+        return;
+    }
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+
+    let roomName = null;
+    let room = null;
+    let client = null;
+    const connection = new WebSocketConnection(socket, text => {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (e) {
+            return;
+        }
+        if (!message || typeof message !== 'object') return;
+
+        if (message.type === 'join' && room === null && typeof message.room === 'string' && typeof message.client === 'string') {
+            if (!rooms.has(message.room)) {
+                rooms.set(message.room, { registers: new Map(), members: new Map() });
+            }
+            roomName = message.room;
+            room = rooms.get(roomName);
+            client = message.client;
+            const peer = {
+                name: String((message.peer && message.peer.name) || 'Anonymous').slice(0, 100),
+                color: String((message.peer && message.peer.color) || '#7f8c8d').slice(0, 30)
+            };
+            // A client that reconnects before its old connection timed out replaces it
+            const previous = room.members.get(client);
+            if (previous) {
+                previous.connection.close(1000);
+            }
+            connection.send(JSON.stringify({
+                type: 'welcome',
+                ops: Array.from(room.registers.values()),
+                peers: Array.from(room.members, ([other, member]) => ({ client: other, peer: member.peer, blockId: member.blockId }))
+                    .filter(member => member.client !== client)
+            }));
+            room.members.set(client, { connection, peer, blockId: null });
+            broadcast(room, { type: 'presence', client, peer, blockId: null }, client);
+        } else if (message.type === 'ops' && room !== null && Array.isArray(message.ops)) {
+            // Everyone writes only under the client id they joined with, so nobody can pass edits off as someone else's
+            const changed = message.ops.filter(op => {
+                if (!isOp(op) || op.client !== client) return false;
+                const current = room.registers.get(op.key);
+                if (current && !wins(op, current)) return false;
+                room.registers.set(op.key, { key: op.key, value: op.value, clock: op.clock, client: op.client, base: typeof op.base === 'string' ? op.base : null });
+                return true;
+            });
+            if (changed.length > 0) {
+                broadcast(room, { type: 'ops', ops: changed }, client);
+            }
+        } else if (message.type === 'presence' && room !== null) {
+            const member = room.members.get(client);
+            member.blockId = typeof message.blockId === 'string' ? message.blockId : null;
+            broadcast(room, { type: 'presence', client, peer: member.peer, blockId: member.blockId }, client);
+        }
+    }, () => {
+        if (room === null || !room.members.has(client) || room.members.get(client).connection !== connection) return;
+        room.members.delete(client);
+        if (room.members.size === 0) {
+            rooms.delete(roomName);
+        } else {
+            broadcast(room, { type: 'leave', client }, client);
+        }
+    });
+}
+
+function handleRequest(request, response) {
+    const file = STATIC_FILES[request.url.split('?')[0]];
+    if (request.method !== 'GET' || !file) {
+        response.writeHead(404, { 'Content-Type': 'text/plain' });
+        response.end('Not found');
+        return;
+    }
+    fs.readFile(path.join(__dirname, file[0]), (error, content) => {
+        if (error) {
+            response.writeHead(500, { 'Content-Type': 'text/plain' });
+            response.end('Could not read ' + file[0]);
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': file[1] });
+        response.end(content);
+    });
+}
+
+const server = http.createServer(handleRequest);
+server.on('upgrade', handleUpgrade);
+server.listen(PORT, HOST, () => {
+    const address = HOST === '127.0.0.1' ? 'localhost' : HOST;
+    console.log(`Collaboration relay on http://${address}:${PORT}/ (WebSocket ws://${address}:${PORT})`);
+});
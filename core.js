@@ -0,0 +1,3155 @@
+// The document model and Markdown renderer, with no DOM access: the editor (script.js) builds on
+// StructuredDocument, and the smd command line tool runs it in Node.
+
+const DOCUMENT_FORMAT = 'structured-markdown';
+const DOCUMENT_FORMAT_VERSION = 9;
+const VARIABLE_TYPES = ['text', 'number', 'currency', 'date', 'boolean', 'list', 'table'];
+const DEFAULT_LOCALE = 'ja-JP';
+const DATA_FORMATS = { json: 'json', csv: 'csv', tsv: 'csv', yaml: 'yaml', yml: 'yaml' };
+// Block, group and variable ids end up in HTML attributes and inline handlers, so they are kept to these characters
+const DOCUMENT_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Markdown output flavours; picking a profile sets every option, which can then be changed one by one
+const MARKDOWN_PROFILES = {
+    gfm: { label: 'GitHub (GFM)', tables: 'pipe', tableCells: 'markdown', code: 'fenced', bullet: '-', callouts: 'alert', frontMatter: 'none' },
+    commonmark: { label: 'CommonMark', tables: 'html', tableCells: 'markdown', code: 'fenced', bullet: '-', callouts: 'quote', frontMatter: 'none' },
+    pandoc: { label: 'Pandoc', tables: 'grid', tableCells: 'markdown', code: 'fenced', bullet: '-', callouts: 'div', frontMatter: 'yaml' },
+    hugo: { label: 'Hugo', tables: 'pipe', tableCells: 'markdown', code: 'fenced', bullet: '-', callouts: 'alert', frontMatter: 'toml' },
+    jekyll: { label: 'Jekyll', tables: 'pipe', tableCells: 'markdown', code: 'fenced', bullet: '*', callouts: 'quote', frontMatter: 'yaml' }
+};
+const DIALECT_OPTIONS = {
+    tables: ['pipe', 'grid', 'html'],
+    tableCells: ['markdown', 'text'],
+    code: ['fenced', 'indented'],
+    bullet: ['-', '*', '+'],
+    callouts: ['alert', 'quote', 'div'],
+    frontMatter: ['none', 'yaml', 'toml']
+};
+const DEFAULT_DIALECT = { profile: 'gfm', tables: 'pipe', tableCells: 'markdown', code: 'fenced', bullet: '-', callouts: 'alert', frontMatter: 'none', fields: [] };
+
+class DocumentFormatError extends Error {
+    constructor(errors) {
+        super(errors.join('\n'));
+        this.name = 'DocumentFormatError';
+        this.errors = errors;
+    }
+}
+
+// DOCUMENT_MIGRATIONS[n] upgrades a version n document to version n + 1 (see FORMAT.md)
+const DOCUMENT_MIGRATIONS = [
+    // Unversioned saves stored groups and variables as Map entries and could lack order/groupId
+    (data) => {
+        if (!Array.isArray(data.blocks)) {
+            throw new DocumentFormatError(['blocks: expected an array (is this a Structured Markdown document?)']);
+        }
+        
+        return {
+            format: DOCUMENT_FORMAT,
+            version: 1,
+            metadata: data.metadata || {},
+            blocks: data.blocks.map((block, index) => {
+                const { selected, ...rest } = block;
+                return {
+                    ...rest,
+                    groupId: rest.groupId || null,
+                    order: typeof block.order === 'number' ? block.order : index
+                };
+            }),
+            groups: (data.groups || []).map((entry, index) => {
+                const [id, group] = Array.isArray(entry) ? entry : [entry.id, entry];
+                return {
+                    ...group,
+                    id: id,
+                    order: typeof group.order === 'number' ? group.order : index
+                };
+            }),
+            variables: (data.variables || []).map(entry => {
+                const [id, variable] = Array.isArray(entry) ? entry : [entry.id, entry];
+                return { id: id, key: variable.key, value: variable.value };
+            }),
+            groupCounter: data.groupCounter || 0
+        };
+    },
+    // Variables gained a type and documents a locale for formatting them
+    (data) => ({
+        ...data,
+        version: 2,
+        locale: DEFAULT_LOCALE,
+        variables: data.variables.map(variable => ({ ...variable, type: 'text' }))
+    }),
+    // Groups can nest, collapse and emit their name as a heading
+    (data) => ({
+        ...data,
+        version: 3,
+        groups: data.groups.map(group => ({
+            ...group,
+            parentId: null,
+            collapsed: false,
+            emitHeading: false
+        }))
+    }),
+    // Tables gain per-column alignment
+    (data) => ({
+        ...data,
+        version: 4,
+        blocks: data.blocks.map(block => block.type === 'table' && block.content && Array.isArray(block.content.headers)
+            ? { ...block, content: { ...block.content, align: block.content.headers.map(() => null) } }
+            : block)
+    }),
+    // List blocks store an item tree instead of Markdown
+    (data) => ({
+        ...data,
+        version: 5,
+        blocks: data.blocks.map(block => block.type === 'list' && typeof block.content === 'string'
+            ? { ...block, content: new ListCodec().parse(block.content) }
+            : block)
+    }),
+    // Blocks and groups gain a condition, and groups can repeat once per entry of a list or table
+    (data) => ({
+        ...data,
+        version: 6,
+        blocks: data.blocks.map(block => ({ ...block, condition: '' })),
+        groups: data.groups.map(group => ({ ...group, condition: '', repeat: null }))
+    }),
+    // Documents can attach data files, and tables can take their rows from one
+    (data) => ({
+        ...data,
+        version: 7,
+        dataSources: [],
+        blocks: data.blocks.map(block => block.type === 'table' && block.content && typeof block.content === 'object'
+            ? { ...block, content: { ...block.content, binding: null } }
+            : block)
+    }),
+    // Documents choose the Markdown flavour they are written in
+    (data) => ({
+        ...data,
+        version: 8,
+        dialect: { ...DEFAULT_DIALECT, fields: [] }
+    }),
+    // Typed table cells can be written as plain text instead of Markdown
+    (data) => ({
+        ...data,
+        version: 9,
+        dialect: { ...data.dialect, tableCells: 'markdown' }
+    })
+];
+
+class ExpressionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ExpressionError';
+    }
+}
+
+// Parses and evaluates variable expressions such as {{price}}*(1+{{tax}}) without eval
+class ExpressionEngine {
+    constructor() {
+        this.functions = {
+            round: (value, digits = 0) => {
+                const factor = Math.pow(10, this.toNumber(digits));
+                return Math.round(this.toNumber(value) * factor) / factor;
+            },
+            floor: (value) => Math.floor(this.toNumber(value)),
+            ceil: (value) => Math.ceil(this.toNumber(value)),
+            abs: (value) => Math.abs(this.toNumber(value)),
+            min: (...values) => Math.min(...this.toNumbers(values)),
+            max: (...values) => Math.max(...this.toNumbers(values)),
+            sum: (...values) => this.toNumbers(values).reduce((total, value) => total + value, 0),
+            average: (...values) => {
+                const numbers = this.toNumbers(values);
+                if (numbers.length === 0) {
+                    throw new ExpressionError('average() has no numbers to average');
+                }
+                return numbers.reduce((total, value) => total + value, 0) / numbers.length;
+            },
+            count: (...values) => this.toNumbers(values).length,
+            upper: (value) => this.toText(value).toUpperCase(),
+            lower: (value) => this.toText(value).toLowerCase(),
+            len: (value) => Array.isArray(value) ? value.length : this.toText(value).length,
+            date_add: (date, amount, unit = 'day') => this.addToDate(date, amount, unit)
+        };
+    }
+
+    tokenize(source) {
+        const tokens = [];
+        let i = 0;
+        
+        while (i < source.length) {
+            const rest = source.slice(i);
+            let match;
+            
+            if (/^\s/.test(rest)) {
+                i++;
+            } else if ((match = rest.match(/^\{\{\s*([^{}]*?)\s*\}\}/))) {
+                if (!match[1]) {
+                    throw new ExpressionError('Empty variable reference {{}}');
+                }
+                tokens.push({ type: 'variable', value: match[1] });
+                i += match[0].length;
+            } else if ((match = rest.match(/^(\d+(\.\d+)?|\.\d+)([eE][+-]?\d+)?/))) {
+                tokens.push({ type: 'number', value: parseFloat(match[0]) });
+                i += match[0].length;
+            } else if (rest[0] === '"' || rest[0] === "'") {
+                const quote = rest[0];
+                let value = '';
+                let j = 1;
+                while (j < rest.length && rest[j] !== quote) {
+                    value += rest[j] === '\\' && j + 1 < rest.length ? rest[++j] : rest[j];
+                    j++;
+                }
+                if (j >= rest.length) {
+                    throw new ExpressionError('Unterminated string');
+                }
+                tokens.push({ type: 'string', value: value });
+                i += j + 1;
+            } else if ((match = rest.match(/^[A-Za-z_][A-Za-z0-9_]*/))) {
+                tokens.push({ type: 'identifier', value: match[0] });
+                i += match[0].length;
+            } else if ((match = rest.match(/^(==|!=|<=|>=|&&|\|\||[-+*/%<>!(),:])/))) {
+                tokens.push({ type: 'operator', value: match[0] });
+                i += match[0].length;
+            } else {
+                throw new ExpressionError(`Unexpected character "${rest[0]}"`);
+            }
+        }
+        
+        return tokens;
+    }
+
+    parse(source) {
+        this.tokens = this.tokenize(source);
+        this.position = 0;
+        
+        if (this.tokens.length === 0) {
+            throw new ExpressionError('Empty expression');
+        }
+        
+        const node = this.parseBinary(0);
+        if (this.position < this.tokens.length) {
+            throw new ExpressionError(`Unexpected "${this.tokens[this.position].value}"`);
+        }
+        return node;
+    }
+
+    parseBinary(level) {
+        // Operator precedence, loosest first
+        const levels = [['||'], ['&&'], ['==', '!='], ['<', '<=', '>', '>='], ['+', '-'], ['*', '/', '%']];
+        if (level === levels.length) {
+            return this.parseUnary();
+        }
+        
+        let left = this.parseBinary(level + 1);
+        while (this.peekOperator(...levels[level])) {
+            const operator = this.tokens[this.position++].value;
+            const right = this.parseBinary(level + 1);
+            left = { type: 'binary', operator, left, right };
+        }
+        return left;
+    }
+
+    parseUnary() {
+        if (this.peekOperator('-', '+', '!')) {
+            const operator = this.tokens[this.position++].value;
+            return { type: 'unary', operator, operand: this.parseUnary() };
+        }
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        const token = this.tokens[this.position++];
+        if (!token) {
+            throw new ExpressionError('Unexpected end of expression');
+        }
+        
+        if (token.type === 'number' || token.type === 'string') {
+            return { type: 'literal', value: token.value };
+        }
+        if (token.type === 'variable') {
+            return { type: 'variable', name: token.value };
+        }
+        if (token.type === 'identifier') {
+            if (token.value === 'true' || token.value === 'false') {
+                return { type: 'literal', value: token.value === 'true' };
+            }
+            if (!this.peekOperator('(')) {
+                // Table cells are addressed spreadsheet-style: B2, or B2:B5 for a range
+                if (this.isCellReference(token.value)) {
+                    if (this.consumeOperator(':')) {
+                        const end = this.tokens[this.position++];
+                        if (!end || !this.isCellReference(end.value)) {
+                            throw new ExpressionError(`Expected a cell after "${token.value}:"`);
+                        }
+                        return { type: 'range', from: token.value.toUpperCase(), to: end.value.toUpperCase() };
+                    }
+                    return { type: 'cell', ref: token.value.toUpperCase() };
+                }
+                throw new ExpressionError(`Unknown name "${token.value}" (use {{${token.value}}} for variables)`);
+            }
+            const name = token.value.toLowerCase();
+            // Own properties only, so that names like constructor are not taken from Object.prototype
+            if (!Object.prototype.hasOwnProperty.call(this.functions, name) && name !== 'if') {
+                throw new ExpressionError(`Unknown function "${token.value}"`);
+            }
+            this.position++;
+            const args = [];
+            if (!this.peekOperator(')')) {
+                do {
+                    args.push(this.parseBinary(0));
+                } while (this.consumeOperator(','));
+            }
+            this.expectOperator(')');
+            return { type: 'call', name, args };
+        }
+        if (token.value === '(') {
+            const node = this.parseBinary(0);
+            this.expectOperator(')');
+            return node;
+        }
+        
+        throw new ExpressionError(`Unexpected "${token.value}"`);
+    }
+
+    peekOperator(...operators) {
+        const token = this.tokens[this.position];
+        return !!token && token.type === 'operator' && operators.includes(token.value);
+    }
+
+    consumeOperator(operator) {
+        if (this.peekOperator(operator)) {
+            this.position++;
+            return true;
+        }
+        return false;
+    }
+
+    expectOperator(operator) {
+        if (!this.consumeOperator(operator)) {
+            throw new ExpressionError(`Expected "${operator}"`);
+        }
+    }
+
+    evaluate(node, resolveVariable, resolveCell = null) {
+        switch (node.type) {
+            case 'literal':
+                return node.value;
+            case 'variable':
+                return resolveVariable(node.name);
+            case 'cell':
+            case 'range': {
+                if (!resolveCell) {
+                    throw new ExpressionError(`Cell references such as ${node.ref || node.from} only work in table formulas`);
+                }
+                if (node.type === 'cell') {
+                    const { row, col } = this.parseCellReference(node.ref);
+                    return resolveCell(row, col);
+                }
+                const from = this.parseCellReference(node.from);
+                const to = this.parseCellReference(node.to);
+                const values = [];
+                for (let row = Math.min(from.row, to.row); row <= Math.max(from.row, to.row); row++) {
+                    for (let col = Math.min(from.col, to.col); col <= Math.max(from.col, to.col); col++) {
+                        values.push(resolveCell(row, col));
+                    }
+                }
+                return values;
+            }
+            case 'unary': {
+                const operand = this.evaluate(node.operand, resolveVariable, resolveCell);
+                if (node.operator === '!') return !this.toBoolean(operand);
+                return node.operator === '-' ? -this.toNumber(operand) : this.toNumber(operand);
+            }
+            case 'binary':
+                return this.evaluateBinary(node, resolveVariable, resolveCell);
+            case 'call': {
+                // Only the chosen branch of if() is evaluated
+                if (node.name === 'if') {
+                    if (node.args.length < 2 || node.args.length > 3) {
+                        throw new ExpressionError('if() expects 2 or 3 arguments');
+                    }
+                    const condition = this.toBoolean(this.evaluate(node.args[0], resolveVariable, resolveCell));
+                    const branch = condition ? node.args[1] : node.args[2];
+                    return branch ? this.evaluate(branch, resolveVariable, resolveCell) : '';
+                }
+                const args = node.args.map(arg => this.evaluate(arg, resolveVariable, resolveCell));
+                return this.functions[node.name](...args);
+            }
+            default:
+                throw new ExpressionError(`Unknown expression node "${node.type}"`);
+        }
+    }
+
+    evaluateBinary(node, resolveVariable, resolveCell) {
+        const left = this.evaluate(node.left, resolveVariable, resolveCell);
+        
+        // Logical operators short-circuit
+        if (node.operator === '&&') {
+            return this.toBoolean(left) && this.toBoolean(this.evaluate(node.right, resolveVariable, resolveCell));
+        }
+        if (node.operator === '||') {
+            return this.toBoolean(left) || this.toBoolean(this.evaluate(node.right, resolveVariable, resolveCell));
+        }
+        
+        const right = this.evaluate(node.right, resolveVariable, resolveCell);
+        const numeric = this.isNumeric(left) && this.isNumeric(right);
+        
+        switch (node.operator) {
+            case '+':
+                return numeric ? Number(left) + Number(right) : this.toText(left) + this.toText(right);
+            case '-':
+                return this.toNumber(left) - this.toNumber(right);
+            case '*':
+                return this.toNumber(left) * this.toNumber(right);
+            case '/':
+            case '%': {
+                const divisor = this.toNumber(right);
+                if (divisor === 0) {
+                    throw new ExpressionError('Division by zero');
+                }
+                return node.operator === '/' ? this.toNumber(left) / divisor : this.toNumber(left) % divisor;
+            }
+            case '==':
+                return numeric ? Number(left) === Number(right) : this.toText(left) === this.toText(right);
+            case '!=':
+                return numeric ? Number(left) !== Number(right) : this.toText(left) !== this.toText(right);
+            case '<':
+                return numeric ? Number(left) < Number(right) : this.toText(left) < this.toText(right);
+            case '<=':
+                return numeric ? Number(left) <= Number(right) : this.toText(left) <= this.toText(right);
+            case '>':
+                return numeric ? Number(left) > Number(right) : this.toText(left) > this.toText(right);
+            case '>=':
+                return numeric ? Number(left) >= Number(right) : this.toText(left) >= this.toText(right);
+            default:
+                throw new ExpressionError(`Unknown operator "${node.operator}"`);
+        }
+    }
+
+    // Variable values are strings, so "1000" counts as a number wherever one is expected
+    isNumeric(value) {
+        return typeof value === 'number' || (typeof value === 'string' && /^\s*-?(\d+(\.\d+)?|\.\d+)([eE][+-]?\d+)?\s*$/.test(value));
+    }
+
+    toNumber(value) {
+        if (typeof value === 'boolean') {
+            return value ? 1 : 0;
+        }
+        if (!this.isNumeric(value)) {
+            throw new ExpressionError(`${JSON.stringify(value)} is not a number`);
+        }
+        return Number(value);
+    }
+
+    // Aggregates skip blank and non-numeric cells inside ranges, like a spreadsheet does
+    toNumbers(values) {
+        const numbers = [];
+        values.forEach(value => {
+            if (Array.isArray(value)) {
+                value.forEach(item => {
+                    if (this.isNumeric(item) || typeof item === 'boolean') {
+                        numbers.push(this.toNumber(item));
+                    }
+                });
+            } else {
+                numbers.push(this.toNumber(value));
+            }
+        });
+        return numbers;
+    }
+
+    isCellReference(name) {
+        return /^[A-Za-z]{1,2}[1-9][0-9]*$/.test(name);
+    }
+
+    // "B2" -> {row: 1, col: 1}; row 1 is the header row, so rows count from 1 and columns from 0
+    parseCellReference(ref) {
+        const [, letters, digits] = ref.toUpperCase().match(/^([A-Z]+)(\d+)$/);
+        let col = 0;
+        for (const letter of letters) {
+            col = col * 26 + (letter.charCodeAt(0) - 64);
+        }
+        return { row: Number(digits), col: col - 1 };
+    }
+
+    toCellReference(row, col) {
+        let letters = '';
+        for (let n = col + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            letters = String.fromCharCode(65 + (n - 1) % 26) + letters;
+        }
+        return `${letters}${row}`;
+    }
+
+    toBoolean(value) {
+        if (typeof value === 'string') {
+            return value !== '' && value !== 'false' && value !== '0';
+        }
+        return !!value;
+    }
+
+    toText(value) {
+        return this.format(value);
+    }
+
+    format(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.format(item)).join(', ');
+        }
+        if (value !== null && typeof value === 'object') {
+            return Object.values(value).map(item => this.format(item)).join(', ');
+        }
+        if (typeof value === 'number') {
+            // Hide floating point noise such as 0.1 + 0.2 = 0.30000000000000004
+            return String(parseFloat(value.toPrecision(12)));
+        }
+        return String(value);
+    }
+
+    addToDate(date, amount, unit) {
+        const match = this.toText(date).match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+        if (!match) {
+            throw new ExpressionError(`${JSON.stringify(date)} is not a date (expected YYYY-MM-DD)`);
+        }
+        
+        const [year, month, day] = match.slice(1).map(Number);
+        const result = new Date(0);
+        result.setUTCFullYear(year, month - 1, day);
+        // Date.UTC would quietly turn 2024-02-30 into March 1st
+        if (result.getUTCMonth() !== month - 1 || result.getUTCDate() !== day) {
+            throw new ExpressionError(`${JSON.stringify(date)} is not a date (expected YYYY-MM-DD)`);
+        }
+        const count = this.toNumber(amount);
+        const normalizedUnit = String(unit).toLowerCase().replace(/s$/, '');
+        
+        if (normalizedUnit === 'day') {
+            result.setUTCDate(result.getUTCDate() + count);
+        } else if (normalizedUnit === 'week') {
+            result.setUTCDate(result.getUTCDate() + count * 7);
+        } else if (normalizedUnit === 'month' || normalizedUnit === 'year') {
+            // Months keep the day where they can and end on the last day of a shorter month: Jan 31 + 1 month is
+            // Feb 29 (or 28), not Mar 2
+            const months = year * 12 + month - 1 + Math.trunc(count) * (normalizedUnit === 'year' ? 12 : 1);
+            const targetYear = Math.floor(months / 12);
+            const targetMonth = months - targetYear * 12;
+            const lastDay = new Date(0);
+            lastDay.setUTCFullYear(targetYear, targetMonth + 1, 0);
+            result.setUTCFullYear(targetYear, targetMonth, Math.min(day, lastDay.getUTCDate()));
+        } else {
+            throw new ExpressionError(`Unknown date unit "${unit}" (use day, week, month or year)`);
+        }
+        
+        return result.toISOString().slice(0, 10);
+    }
+}
+
+// Turns typed variable values into text, honouring the document locale and {{key | filter:arg}} filters
+class VariableFormatter {
+    constructor(engine) {
+        this.engine = engine;
+        this.defaultCurrencies = {
+            ja: 'JPY',
+            'en-US': 'USD',
+            'en-GB': 'GBP',
+            de: 'EUR',
+            fr: 'EUR',
+            es: 'EUR',
+            it: 'EUR',
+            zh: 'CNY',
+            ko: 'KRW'
+        };
+        this.filters = {
+            currency: (value, [code], context) => this.formatNumber(value, context.locale, {
+                style: 'currency',
+                currency: (code || context.currency || this.getDefaultCurrency(context.locale)).toUpperCase()
+            }),
+            number: (value, [digits], context) => this.formatNumber(value, context.locale, digits === undefined ? {} : {
+                minimumFractionDigits: this.engine.toNumber(digits),
+                maximumFractionDigits: this.engine.toNumber(digits)
+            }),
+            fixed: (value, [digits = '0']) => this.engine.toNumber(value).toFixed(this.engine.toNumber(digits)),
+            percent: (value, [digits = '0'], context) => this.formatNumber(value, context.locale, {
+                style: 'percent',
+                maximumFractionDigits: this.engine.toNumber(digits)
+            }),
+            date: (value, [pattern = 'long'], context) => this.formatDate(value, pattern, context.locale),
+            upper: (value) => this.engine.toText(value).toUpperCase(),
+            lower: (value) => this.engine.toText(value).toLowerCase(),
+            join: (value, [separator = ', ']) => (Array.isArray(value) ? value : [value]).map(item => this.engine.toText(item)).join(separator),
+            yesno: (value, [yes = 'Yes', no = 'No']) => this.engine.toBoolean(value) ? yes : no
+        };
+    }
+
+    // "price | currency:JPY | upper" -> {key: 'price', filters: [{name: 'currency', args: ['JPY']}, ...]}
+    parsePlaceholder(reference) {
+        const [key, ...filters] = this.splitOutsideQuotes(reference, '|');
+        return {
+            key: key.trim(),
+            filters: filters.map(filter => {
+                const [name, ...args] = this.splitOutsideQuotes(filter, ':');
+                return { name: name.trim(), args: args.map(arg => this.unquote(arg.trim())) };
+            })
+        };
+    }
+
+    splitOutsideQuotes(text, separator) {
+        const parts = [''];
+        let quote = null;
+        for (const char of text) {
+            if (quote) {
+                quote = char === quote ? null : quote;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === separator) {
+                parts.push('');
+                continue;
+            }
+            parts[parts.length - 1] += char;
+        }
+        return parts;
+    }
+
+    unquote(text) {
+        const match = text.match(/^(["'])(.*)\1$/);
+        return match ? match[2] : text;
+    }
+
+    // Literal values are typed in as text; this checks and converts them
+    parseTypedValue(raw, type) {
+        const text = this.engine.toText(raw).trim();
+        
+        switch (type) {
+            case 'number':
+            case 'currency': {
+                const number = text.replace(/[,_\s]/g, '');
+                if (!this.engine.isNumeric(number)) {
+                    throw new ExpressionError(`${JSON.stringify(text)} is not a valid ${type === 'number' ? 'number' : 'amount'}`);
+                }
+                return Number(number);
+            }
+            case 'date': {
+                const match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+                const date = match && new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+                if (!date || date.getUTCMonth() !== Number(match[2]) - 1) {
+                    throw new ExpressionError(`${JSON.stringify(text)} is not a valid date (expected YYYY-MM-DD)`);
+                }
+                return date.toISOString().slice(0, 10);
+            }
+            case 'boolean': {
+                if (/^(true|yes|on|1)$/i.test(text)) return true;
+                if (/^(false|no|off|0|)$/i.test(text)) return false;
+                throw new ExpressionError(`${JSON.stringify(text)} is not a valid boolean (use true or false)`);
+            }
+            case 'list':
+                return text.split(',').map(item => item.trim()).filter(item => item !== '');
+            case 'table': {
+                // CSV or tab-separated rows under a header row: "name, price\nWidget, 100" -> [{name: 'Widget', price: '100'}]
+                if (text === '') return [];
+                const [headers, ...rows] = this.parseDelimitedText(text, text.includes('\t') ? '\t' : ',');
+                if (headers.some(header => header === '')) {
+                    throw new ExpressionError('Every column of a table needs a name in the first row');
+                }
+                return rows
+                    .filter(cells => cells.some(cell => cell !== ''))
+                    .map(cells => Object.fromEntries(headers.map((header, index) => [header, cells[index] || ''])));
+            }
+            default:
+                return this.engine.toText(raw);
+        }
+    }
+
+    // CSV/TSV with quoted fields ("a, b", "say ""hi""", embedded line breaks)
+    parseDelimitedText(text, delimiter) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+        const input = text.replace(/\r\n?/g, '\n').replace(/\n$/, '');
+        
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+            if (quoted) {
+                if (char === '"' && input[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"' && cell === '') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n') {
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        row.push(cell);
+        rows.push(row);
+        
+        return rows.map(cells => cells.map(value => value.replace(/\n/g, ' ').trim()));
+    }
+
+    // Expression results are converted to the variable's declared type
+    coerce(value, type) {
+        if (type === 'text') {
+            return this.engine.toText(value);
+        }
+        if (type === 'boolean') {
+            return this.engine.toBoolean(value);
+        }
+        if (type === 'list' || type === 'table') {
+            return Array.isArray(value) ? value : this.parseTypedValue(value, type);
+        }
+        if ((type === 'number' || type === 'currency') && typeof value === 'number') {
+            return value;
+        }
+        return this.parseTypedValue(value, type);
+    }
+
+    render(value, filters, context) {
+        const state = { ...context };
+        let result = value;
+        let formatted = false;
+        
+        filters.forEach(({ name, args }) => {
+            // locale and default adjust the value without turning it into display text
+            if (name === 'locale') {
+                state.locale = args[0] || state.locale;
+            } else if (name === 'default') {
+                if (result === '' || result === null || (Array.isArray(result) && result.length === 0)) {
+                    result = args[0] || '';
+                    state.type = 'text';
+                }
+            } else if (Object.prototype.hasOwnProperty.call(this.filters, name)) {
+                result = this.filters[name](result, args, state);
+                formatted = true;
+            } else {
+                throw new ExpressionError(`Unknown filter "${name}"`);
+            }
+        });
+        
+        return formatted ? this.engine.toText(result) : this.formatTyped(result, state);
+    }
+
+    formatTyped(value, context) {
+        switch (context.type) {
+            case 'number':
+                return this.formatNumber(value, context.locale, {});
+            case 'currency':
+                return this.filters.currency(value, [], context);
+            case 'date':
+                return this.formatDate(value, 'long', context.locale);
+            case 'list':
+                return this.formatList(value, context.locale);
+            case 'table':
+                throw new ExpressionError('A table can\'t be written out as text; repeat a group over it or use {{key.field}} inside one');
+            default:
+                return this.engine.toText(value);
+        }
+    }
+
+    getDefaultCurrency(locale) {
+        return this.defaultCurrencies[locale] || this.defaultCurrencies[locale.split('-')[0]] || 'USD';
+    }
+
+    formatNumber(value, locale, options) {
+        try {
+            return new Intl.NumberFormat(locale, options).format(this.engine.toNumber(value));
+        } catch (e) {
+            if (e instanceof ExpressionError) throw e;
+            throw new ExpressionError(e.message);
+        }
+    }
+
+    formatList(value, locale) {
+        const items = (Array.isArray(value) ? value : [value]).map(item => this.engine.toText(item));
+        return typeof Intl.ListFormat === 'function'
+            ? new Intl.ListFormat(locale, { type: 'conjunction' }).format(items)
+            : items.join(', ');
+    }
+
+    // Patterns use YYYY, YY, MMMM, MMM, MM, M, DD, D, dddd, ddd and [literal]; short/medium/long/full use the locale's style
+    formatDate(value, pattern, locale) {
+        const iso = this.parseTypedValue(value, 'date');
+        const [year, month, day] = iso.split('-').map(Number);
+        const date = new Date(Date.UTC(year, month - 1, day));
+        const part = (options) => new Intl.DateTimeFormat(locale, { ...options, timeZone: 'UTC' }).format(date);
+        
+        if (['short', 'medium', 'long', 'full'].includes(pattern)) {
+            return part({ dateStyle: pattern });
+        }
+        
+        return pattern.replace(/\[([^\]]*)\]|YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd/g, (token, literal) => {
+            if (literal !== undefined) return literal;
+            switch (token) {
+                case 'YYYY': return String(year);
+                case 'YY': return String(year).slice(-2);
+                case 'MMMM': return part({ month: 'long' });
+                case 'MMM': return part({ month: 'short' });
+                case 'MM': return String(month).padStart(2, '0');
+                case 'M': return String(month);
+                case 'DD': return String(day).padStart(2, '0');
+                case 'D': return String(day);
+                case 'dddd': return part({ weekday: 'long' });
+                default: return part({ weekday: 'short' });
+            }
+        });
+    }
+}
+
+// Converts list blocks between Markdown and their item tree:
+// {style: 'bullet' | 'ordered' | 'task', items: [{text, checked, children: list | null}]}
+class ListCodec {
+    // Markdown list lines -> [{indent, marker, text, children}] nested by indentation
+    parseItems(markdown) {
+        const root = { indent: -1, children: [] };
+        const stack = [root];
+        
+        markdown.split('\n').forEach(line => {
+            const match = line.match(/^(\s*)([-*+]|\d{1,9}[.)])(?:\s+(.*))?$/);
+            if (match) {
+                const indent = match[1].replace(/\t/g, '    ').length;
+                while (stack.length > 1 && stack[stack.length - 1].indent >= indent) {
+                    stack.pop();
+                }
+                const item = { indent, marker: match[2], text: match[3] || '', children: [] };
+                stack[stack.length - 1].children.push(item);
+                stack.push(item);
+            } else if (line.trim() !== '' && stack.length > 1) {
+                stack[stack.length - 1].text += '\n' + line.trim();
+            }
+        });
+        
+        return root.children;
+    }
+
+    parse(markdown) {
+        return this.toList(this.parseItems(markdown));
+    }
+
+    // The first item decides the style of each (sub)list
+    toList(items) {
+        const taskPattern = /^\[([ xX])\](?:\s+|$)([\s\S]*)$/;
+        let style = 'bullet';
+        if (items.length > 0 && /\d/.test(items[0].marker)) {
+            style = 'ordered';
+        } else if (items.length > 0 && taskPattern.test(items[0].text)) {
+            style = 'task';
+        }
+        
+        return {
+            style,
+            items: items.map(item => {
+                const task = style === 'task' ? item.text.match(taskPattern) : null;
+                return {
+                    text: (task ? task[2] : item.text).replace(/\s*\n\s*/g, ' '),
+                    checked: !!task && task[1] !== ' ',
+                    children: item.children.length > 0 ? this.toList(item.children) : null
+                };
+            })
+        };
+    }
+
+    // Numbers are always written 1, 2, 3...; nested lists are indented past their parent's marker
+    serialize(list, indent = '', bullet = '-') {
+        return list.items.map((item, index) => {
+            const marker = list.style === 'ordered' ? `${index + 1}.` : bullet;
+            const box = list.style === 'task' ? `[${item.checked ? 'x' : ' '}] ` : '';
+            let markdown = `${indent}${marker} ${box}${item.text}`.trimEnd();
+            if (item.children && item.children.items.length > 0) {
+                markdown += '\n' + this.serialize(item.children, indent + ' '.repeat(marker.length + 1), bullet);
+            }
+            return markdown;
+        }).join('\n');
+    }
+
+    isList(value) {
+        return value !== null && typeof value === 'object' &&
+            ['bullet', 'ordered', 'task'].includes(value.style) &&
+            Array.isArray(value.items) &&
+            value.items.every(item => item !== null && typeof item === 'object' &&
+                typeof item.text === 'string' &&
+                typeof item.checked === 'boolean' &&
+                (item.children === null || this.isList(item.children)));
+    }
+}
+
+// Reads the YAML used for data files: block mappings and sequences, flow [..] and {..} collections,
+// quoted and plain scalars, | and > block text and comments. Anchors, tags and multiple documents are not supported;
+// anchors and aliases are reported rather than read as text.
+class YamlParser {
+    parse(text) {
+        this.lines = text.replace(/\r\n?/g, '\n').split('\n').map((raw, index) => ({ raw, number: index + 1 }));
+        this.index = 0;
+        
+        this.skipBlank();
+        if (this.index >= this.lines.length) {
+            return null;
+        }
+        const value = this.parseBlock(this.indentOf(this.lines[this.index]));
+        this.skipBlank();
+        if (this.index < this.lines.length) {
+            this.fail('Unexpected indentation');
+        }
+        return value;
+    }
+
+    fail(message, line = this.lines[this.index]) {
+        throw new SyntaxError(line ? `Line ${line.number}: ${message}` : message);
+    }
+
+    skipBlank() {
+        while (this.index < this.lines.length && /^\s*(#.*)?$|^(---|\.\.\.)\s*(#.*)?$/.test(this.lines[this.index].raw)) {
+            this.index++;
+        }
+    }
+
+    indentOf(line) {
+        if (/^ *\t/.test(line.raw)) {
+            this.fail('Tabs are not allowed for indentation', line);
+        }
+        return line.raw.match(/^ */)[0].length;
+    }
+
+    // Keys become own properties, so a "__proto__" key is data like any other and does not set the prototype
+    setEntry(result, key, value) {
+        Object.defineProperty(result, key, { value, writable: true, enumerable: true, configurable: true });
+    }
+
+    isSequenceItem(text) {
+        return /^-(\s|$)/.test(text);
+    }
+
+    // "key: value" with a plain or quoted key; the value may be empty
+    matchMappingEntry(text) {
+        return text.match(/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^'"{[\s#][^#]*?)\s*:(?:\s+|$)(.*)$/);
+    }
+
+    parseBlock(indent) {
+        const text = this.lines[this.index].raw.trim();
+        if (this.isSequenceItem(text)) {
+            return this.parseSequence(indent);
+        }
+        if (this.matchMappingEntry(text)) {
+            return this.parseMapping(indent);
+        }
+        this.index++;
+        return this.parseInline(text);
+    }
+
+    parseSequence(indent) {
+        const items = [];
+        
+        while (this.skipBlank(), this.index < this.lines.length) {
+            const line = this.lines[this.index];
+            const lineIndent = this.indentOf(line);
+            const text = line.raw.trim();
+            if (lineIndent < indent || !this.isSequenceItem(text)) break;
+            if (lineIndent > indent) this.fail('Unexpected indentation');
+            
+            const rest = text.slice(1).trim();
+            if (rest === '') {
+                this.index++;
+                this.skipBlank();
+                const next = this.lines[this.index];
+                items.push(next && this.indentOf(next) > indent ? this.parseBlock(this.indentOf(next)) : null);
+            } else if (this.isSequenceItem(rest) || this.matchMappingEntry(rest)) {
+                // "- key: value" opens a nested collection aligned with the text after the dash
+                const column = line.raw.indexOf(rest);
+                this.lines[this.index] = { ...line, raw: ' '.repeat(column) + rest };
+                items.push(this.parseBlock(column));
+            } else {
+                items.push(this.parseValue(rest, indent));
+            }
+        }
+        
+        return items;
+    }
+
+    parseMapping(indent) {
+        const result = {};
+        
+        while (this.skipBlank(), this.index < this.lines.length) {
+            const line = this.lines[this.index];
+            const lineIndent = this.indentOf(line);
+            if (lineIndent < indent) break;
+            if (lineIndent > indent) this.fail('Unexpected indentation');
+            
+            const match = this.matchMappingEntry(line.raw.trim());
+            if (!match) this.fail('Expected "key: value"');
+            if (/^[&*]/.test(match[1])) this.fail('Anchors and aliases are not supported');
+            const key = /^["']/.test(match[1]) ? this.parseInline(match[1]) : match[1];
+            if (Object.prototype.hasOwnProperty.call(result, key)) this.fail(`Duplicate key "${key}"`);
+            
+            const rest = match[2].trim();
+            if (rest === '' || rest.startsWith('#')) {
+                this.index++;
+                this.skipBlank();
+                const next = this.lines[this.index];
+                const nextIndent = next ? this.indentOf(next) : -1;
+                // A sequence may sit at the same indentation as its key
+                if (nextIndent > indent || (nextIndent === indent && this.isSequenceItem(next.raw.trim()))) {
+                    this.setEntry(result, key, this.parseBlock(nextIndent));
+                } else {
+                    this.setEntry(result, key, null);
+                }
+            } else {
+                this.setEntry(result, key, this.parseValue(rest, indent));
+            }
+        }
+        
+        return result;
+    }
+
+    // A value on the current line, or a | / > block of the more indented lines below it
+    parseValue(text, indent) {
+        const blockScalar = text.match(/^([|>])([+-]?)\s*(#.*)?$/);
+        this.index++;
+        if (!blockScalar) {
+            return this.parseInline(text);
+        }
+        
+        const lines = [];
+        let blockIndent = null;
+        while (this.index < this.lines.length) {
+            const raw = this.lines[this.index].raw;
+            const lineIndent = raw.match(/^ */)[0].length;
+            if (raw.trim() !== '' && lineIndent <= indent) break;
+            if (raw.trim() !== '' && blockIndent === null) {
+                blockIndent = lineIndent;
+            }
+            lines.push(raw.slice(blockIndent === null ? raw.length : blockIndent));
+            this.index++;
+        }
+        while (lines.length > 0 && lines[lines.length - 1].trim() === '') {
+            lines.pop();
+        }
+        
+        const value = blockScalar[1] === '|'
+            ? lines.join('\n')
+            : lines.reduce((folded, line) => line === '' ? `${folded}\n` : folded === '' || folded.endsWith('\n') ? folded + line : `${folded} ${line}`, '');
+        return blockScalar[2] === '-' || value === '' ? value : `${value}\n`;
+    }
+
+    parseInline(text) {
+        this.flow = { text: text, position: 0 };
+        const value = this.parseFlowValue('');
+        this.skipFlowSpace();
+        if (this.flow.position < text.length && !text.slice(this.flow.position).startsWith('#')) {
+            this.fail(`Unexpected "${text.slice(this.flow.position)}"`, this.lines[this.index - 1] || this.lines[this.index]);
+        }
+        return value;
+    }
+
+    skipFlowSpace() {
+        while (/\s/.test(this.flow.text[this.flow.position] || '')) {
+            this.flow.position++;
+        }
+    }
+
+    // stops lists the characters that end a plain scalar: ",]}" inside flow collections, ":" for flow keys
+    parseFlowValue(stops) {
+        const flow = this.flow;
+        this.skipFlowSpace();
+        const char = flow.text[flow.position];
+        
+        if (char === '[' || char === '{') {
+            const close = char === '[' ? ']' : '}';
+            const result = char === '[' ? [] : {};
+            flow.position++;
+            for (;;) {
+                this.skipFlowSpace();
+                if (flow.text[flow.position] === close) {
+                    flow.position++;
+                    return result;
+                }
+                if (char === '[') {
+                    result.push(this.parseFlowValue(',]'));
+                } else {
+                    const key = this.parseFlowValue(':,}');
+                    this.skipFlowSpace();
+                    if (flow.text[flow.position] === ':') {
+                        flow.position++;
+                        this.setEntry(result, key, this.parseFlowValue(',}'));
+                    } else {
+                        this.setEntry(result, key, null);
+                    }
+                }
+                this.skipFlowSpace();
+                if (flow.text[flow.position] === ',') {
+                    flow.position++;
+                } else if (flow.text[flow.position] !== close) {
+                    this.fail(`Expected "," or "${close}"`, this.lines[this.index - 1]);
+                }
+            }
+        }
+        
+        if (char === '"') {
+            const match = flow.text.slice(flow.position).match(/^"(?:[^"\\]|\\.)*"/);
+            if (!match) this.fail('Unterminated string', this.lines[this.index - 1]);
+            flow.position += match[0].length;
+            try {
+                return JSON.parse(match[0]);
+            } catch (e) {
+                this.fail(`Invalid string ${match[0]}`, this.lines[this.index - 1]);
+            }
+        }
+        if (char === "'") {
+            const match = flow.text.slice(flow.position).match(/^'((?:[^']|'')*)'/);
+            if (!match) this.fail('Unterminated string', this.lines[this.index - 1]);
+            flow.position += match[0].length;
+            return match[1].replace(/''/g, "'");
+        }
+        
+        if (char === '&' || char === '*') {
+            this.fail('Anchors and aliases are not supported', this.lines[this.index - 1]);
+        }
+        
+        // Plain scalars run to a stop character or a " #" comment
+        let end = flow.position;
+        while (end < flow.text.length && !stops.includes(flow.text[end]) && !(flow.text[end] === '#' && /\s/.test(flow.text[end - 1] || ' '))) {
+            end++;
+        }
+        const plain = flow.text.slice(flow.position, end).trim();
+        flow.position = end;
+        return this.parseScalar(plain);
+    }
+
+    parseScalar(text) {
+        if (/^(null|Null|NULL|~|)$/.test(text)) return null;
+        if (/^(true|True|TRUE)$/.test(text)) return true;
+        if (/^(false|False|FALSE)$/.test(text)) return false;
+        if (/^[-+]?(\d+(\.\d*)?|\.\d+)([eE][-+]?\d+)?$/.test(text)) return Number(text);
+        return text;
+    }
+}
+
+class StructuredDocument {
+    constructor() {
+        this.blocks = [];
+        this.variables = new Map();
+        this.groups = new Map();
+        this.groupCounter = 0;
+        this.documentMetadata = {};
+        this.expressionEngine = new ExpressionEngine();
+        this.variableFormatter = new VariableFormatter(this.expressionEngine);
+        this.listCodec = new ListCodec();
+        this.yamlParser = new YamlParser();
+        this.dataSources = [];
+        // Parsed data per source name: {value} or {error}
+        this.dataValues = new Map();
+        this.locale = DEFAULT_LOCALE;
+        this.dialect = { ...DEFAULT_DIALECT, fields: [] };
+        // Problems met while generating, such as undefined variables; reset before each run by the caller
+        this.placeholderWarnings = new Set();
+        // One {groupId, index, name, value} per repeating group being generated, outermost first
+        this.repeatFrames = [];
+    }
+
+    getCalloutKinds() {
+        return ['note', 'tip', 'important', 'warning', 'caution'];
+    }
+
+    getBlockTypeLabels() {
+        return {
+            heading: '📝 Heading',
+            paragraph: '📄 Paragraph',
+            list: '📋 List',
+            table: '📊 Table',
+            code: '💻 Code',
+            blockquote: '💬 Quote',
+            image: '🖼️ Image',
+            rule: '➖ Rule',
+            callout: '📢 Callout',
+            math: '∑ Math',
+            mermaid: '🔀 Diagram',
+            toc: '📑 TOC'
+        };
+    }
+
+    getBlockTypeLabel(type) {
+        return this.getBlockTypeLabels()[type] || type;
+    }
+
+    // True when groupId is ancestorId or sits somewhere inside it
+    isInGroup(groupId, ancestorId) {
+        let current = groupId;
+        while (current) {
+            if (current === ancestorId) return true;
+            const group = this.groups.get(current);
+            current = group ? group.parentId : null;
+        }
+        return false;
+    }
+
+    getGroupDepth(groupId) {
+        let depth = 0;
+        let group = this.groups.get(groupId);
+        while (group && group.parentId) {
+            depth++;
+            group = this.groups.get(group.parentId);
+        }
+        return depth;
+    }
+
+    getGroupHeadingLevel(groupId) {
+        return Math.min(this.getGroupDepth(groupId) + 1, 6);
+    }
+
+    // Returns the blocks and non-empty groups directly inside parentId (null for the top level), with
+    // each group's own contents under children
+    getAllOrderedItems(parentId = null) {
+        const orderedItems = [];
+        
+        this.blocks.filter(block => (block.groupId || null) === parentId).forEach(block => {
+            orderedItems.push({
+                type: 'block',
+                item: block,
+                order: block.order || 0
+            });
+        });
+        
+        this.groups.forEach((group, groupId) => {
+            if ((group.parentId || null) !== parentId) return;
+            
+            const children = this.getAllOrderedItems(groupId);
+            if (children.length > 0) {
+                orderedItems.push({
+                    type: 'group',
+                    item: group,
+                    children: children,
+                    order: group.order || 0
+                });
+            }
+        });
+        
+        return orderedItems.sort((a, b) => a.order - b.order);
+    }
+
+    nextGroupId() {
+        return `group_${this.groupCounter++}`;
+    }
+
+    getBoundTableRows(table) {
+        const rows = this.getTabularData(table.binding.source);
+        if (!rows) {
+            this.placeholderWarnings.add(`Table bound to {{data.${table.binding.source}}}: no such table data is attached`);
+            return [];
+        }
+        return rows.map(row => table.binding.columns.map(column => {
+            const value = row[column];
+            return value === undefined || value === null ? '' : this.expressionEngine.format(value);
+        }));
+    }
+
+    isTableFormula(cell) {
+        const trimmed = cell.trim();
+        return trimmed.startsWith('=') && trimmed.length > 1;
+    }
+
+    // Returns the table as it is output: formula cells replaced by their results ("#ERROR" on failure), plus
+    // an error message per failed formula keyed "row:col"
+    evaluateTable(table) {
+        if (table.binding) {
+            return { headers: table.headers, rows: this.getBoundTableRows(table), errors: new Map() };
+        }
+        
+        const results = this.evaluateVariables();
+        const engine = this.expressionEngine;
+        const computed = new Map();
+        const resolving = [];
+        
+        const resolveVariable = this.createVariableResolver(results);
+        
+        const resolveCell = (row, col) => {
+            const ref = engine.toCellReference(row, col);
+            const cells = row === 1 ? table.headers : table.rows[row - 2];
+            if (!cells || col >= table.headers.length) {
+                throw new ExpressionError(`${ref} is outside the table`);
+            }
+            
+            const key = `${row}:${col}`;
+            if (computed.has(key)) {
+                const cached = computed.get(key);
+                if (cached.error) {
+                    throw new ExpressionError(`Depends on ${ref}, which has an error`);
+                }
+                return cached.value;
+            }
+            if (resolving.includes(ref)) {
+                throw new ExpressionError(`Circular reference: ${resolving.slice(resolving.indexOf(ref)).concat(ref).join(' → ')}`);
+            }
+            
+            resolving.push(ref);
+            try {
+                const value = this.evaluateTableCell(cells[col], row > 1, resolveVariable, resolveCell);
+                computed.set(key, { value });
+                return value;
+            } catch (e) {
+                computed.set(key, { error: e.message });
+                throw e;
+            } finally {
+                resolving.pop();
+            }
+        };
+        
+        const errors = new Map();
+        const rows = table.rows.map((row, rowIndex) => row.map((cell, colIndex) => {
+            if (!this.isTableFormula(cell)) {
+                return cell;
+            }
+            try {
+                return engine.format(resolveCell(rowIndex + 2, colIndex));
+            } catch (e) {
+                errors.set(`${rowIndex}:${colIndex}`, e.message);
+                return '#ERROR';
+            }
+        }));
+        
+        return { headers: table.headers, rows, errors };
+    }
+
+    evaluateTableCell(cell, allowFormula, resolveVariable, resolveCell) {
+        if (allowFormula && this.isTableFormula(cell)) {
+            if (cell.includes('#REF')) {
+                throw new ExpressionError('Refers to a deleted cell (#REF)');
+            }
+            return this.expressionEngine.evaluate(this.expressionEngine.parse(cell.trim().slice(1)), resolveVariable, resolveCell);
+        }
+        
+        const text = cell.includes('{{') ? this.substituteVariables(cell) : cell;
+        // Pasted spreadsheet numbers often carry thousands separators
+        return /^\s*-?\d{1,3}(,\d{3})+(\.\d+)?\s*$/.test(text) ? text.replace(/,/g, '').trim() : text;
+    }
+
+    // Row and column edits keep formulas pointing at the same cells. They take a table block's content, with
+    // rows indexed from 0 within table.rows and columns from 0; index null means at the end.
+    insertTableRow(table, index = null) {
+        const at = index === null ? table.rows.length : index;
+        table.rows.splice(at, 0, new Array(table.headers.length).fill(''));
+        this.remapTableReferences(table, row => row >= at + 2 ? row + 1 : row, col => col);
+    }
+
+    insertTableColumn(table, index = null) {
+        const at = index === null ? table.headers.length : index;
+        table.headers.splice(at, 0, 'New Column');
+        table.align.splice(at, 0, null);
+        table.rows.forEach(row => row.splice(at, 0, ''));
+        this.remapTableReferences(table, row => row, col => col >= at ? col + 1 : col);
+    }
+
+    removeTableRow(table, rowIndex) {
+        table.rows.splice(rowIndex, 1);
+        this.remapTableReferences(table, (row, edge) => this.shiftDeletedIndex(row, rowIndex + 2, edge), col => col);
+    }
+
+    removeTableColumn(table, colIndex) {
+        table.headers.splice(colIndex, 1);
+        table.align.splice(colIndex, 1);
+        table.rows.forEach(row => row.splice(colIndex, 1));
+        this.remapTableReferences(table, row => row, (col, edge) => this.shiftDeletedIndex(col, colIndex, edge));
+    }
+
+    // Where an index ends up once `deleted` is removed; ranges shrink, single references to it are lost (null)
+    shiftDeletedIndex(index, deleted, edge) {
+        if (index < deleted) return index;
+        if (index > deleted) return index - 1;
+        if (edge === 'start') return index;
+        if (edge === 'end') return index - 1;
+        return null;
+    }
+
+    // Rows are sorted by their computed values; rows with range formulas (totals) keep their place
+    sortTableRows(table, colIndex) {
+        // Sort keys are computed values with variables filled in and thousands separators dropped
+        const computed = this.evaluateTable(table).rows.map((row, rowIndex) => row.map((cell, colIndex) =>
+            this.isTableFormula(table.rows[rowIndex][colIndex]) ? cell : this.evaluateTableCell(cell, false)));
+        const pinned = table.rows.map(row => row.some(cell => this.isTableFormula(cell) && cell.includes(':')));
+        const sortable = table.rows.map((row, index) => index).filter(index => !pinned[index]);
+        
+        const compare = (a, b) => {
+            const left = computed[a][colIndex];
+            const right = computed[b][colIndex];
+            if (left === '' || right === '') {
+                return (left === '') - (right === '');
+            }
+            if (this.expressionEngine.isNumeric(left) && this.expressionEngine.isNumeric(right)) {
+                return Number(left) - Number(right);
+            }
+            return left.localeCompare(right, this.locale, { numeric: true });
+        };
+        
+        // Sort ascending, or descending when the column is already ascending
+        let sorted = [...sortable].sort((a, b) => compare(a, b) || a - b);
+        if (sorted.every((index, position) => index === sortable[position])) {
+            sorted = [...sortable].sort((a, b) => {
+                const blank = (computed[a][colIndex] === '') - (computed[b][colIndex] === '');
+                return blank || compare(b, a) || a - b;
+            });
+        }
+        
+        const order = table.rows.map((row, index) => index);
+        sortable.forEach((slot, position) => {
+            order[slot] = sorted[position];
+        });
+        this.reorderTableRows(table, order);
+    }
+
+    // order[newIndex] = oldIndex
+    reorderTableRows(table, order) {
+        const newIndexOf = [];
+        order.forEach((oldIndex, newIndex) => {
+            newIndexOf[oldIndex] = newIndex;
+        });
+        table.rows = order.map(oldIndex => table.rows[oldIndex]);
+        this.remapTableReferences(table, row => row >= 2 ? newIndexOf[row - 2] + 2 : row, col => col, { permuted: 'row' });
+    }
+
+    // Keeps formulas pointing at the same cells after rows or columns move. mapRow/mapCol get the old index
+    // (rows 1-based with the header as row 1, columns 0-based) and return the new one, or null if the cell is gone.
+    // Reordering passes permuted: 'row' or 'col'; a range then keeps covering the same cells unless it lies
+    // within a single row or column, which moves along with it.
+    remapTableReferences(table, mapRow, mapCol, { permuted = null } = {}) {
+        const engine = this.expressionEngine;
+        const pattern = /("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\{\{[^{}]*\}\})|\b([A-Za-z]{1,2}[1-9][0-9]*)(?::([A-Za-z]{1,2}[1-9][0-9]*))?\b(?!\s*\()/g;
+        const mapReference = (ref, edge) => {
+            const { row, col } = engine.parseCellReference(ref);
+            const newRow = mapRow(row, edge);
+            const newCol = mapCol(col, edge);
+            return newRow === null || newCol === null ? null : { row: newRow, col: newCol };
+        };
+        
+        table.rows.forEach(row => {
+            row.forEach((cell, colIndex) => {
+                if (!this.isTableFormula(cell)) return;
+                row[colIndex] = cell.replace(pattern, (match, literal, from, to) => {
+                    if (literal) return literal;
+                    if (!to) {
+                        const moved = mapReference(from, null);
+                        return moved ? engine.toCellReference(moved.row, moved.col) : '#REF';
+                    }
+                    if (permuted && engine.parseCellReference(from)[permuted] !== engine.parseCellReference(to)[permuted]) {
+                        return match;
+                    }
+                    const start = mapReference(from, 'start');
+                    const end = mapReference(to, 'end');
+                    if (!start || !end || start.row > end.row || start.col > end.col) {
+                        return '#REF';
+                    }
+                    return `${engine.toCellReference(start.row, start.col)}:${engine.toCellReference(end.row, end.col)}`;
+                });
+            });
+        });
+    }
+
+    // Splits off YAML (---) or TOML (+++) front matter and reads its top-level fields; nested tables are not kept
+    splitFrontMatter(markdown) {
+        const match = markdown.match(/^(---|\+\+\+)[ \t]*\r?\n([\s\S]*?)\r?\n\1[ \t]*(?:\r?\n|$)/);
+        if (!match) {
+            return { frontMatter: null, body: markdown };
+        }
+        
+        const toText = value => Array.isArray(value) ? `[${value.join(', ')}]` : String(value);
+        let fields = [];
+        try {
+            if (match[1] === '---') {
+                const data = this.yamlParser.parse(match[2]);
+                if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+                    throw new SyntaxError('Front matter is not a mapping');
+                }
+                fields = Object.entries(data)
+                    .filter(([key, value]) => value === null || typeof value !== 'object' || Array.isArray(value))
+                    .map(([key, value]) => ({ key, value: value === null ? '' : toText(value) }));
+            } else {
+                for (const line of match[2].split(/\r?\n/)) {
+                    if (/^\s*\[/.test(line)) break;
+                    const field = line.match(/^\s*("[^"]+"|[A-Za-z0-9_-]+)\s*=\s*(.*?)\s*$/);
+                    if (!field) continue;
+                    let value = field[2].replace(/^'(.*)'$/, '$1');
+                    try {
+                        value = toText(JSON.parse(value));
+                    } catch (e) {
+                        // Bare TOML values such as dates are kept as written
+                    }
+                    fields.push({ key: field[1].replace(/^"(.*)"$/, '$1'), value });
+                }
+            }
+        } catch (e) {
+            console.error('Failed to read front matter:', e);
+            return { frontMatter: null, body: markdown };
+        }
+        
+        return { frontMatter: { format: match[1] === '---' ? 'yaml' : 'toml', fields }, body: markdown.slice(match[0].length) };
+    }
+
+    substituteVariables(text) {
+        const results = this.evaluateVariables();
+        
+        return text.replace(/\{\{\s*([^{}]+?)\s*\}\}/g, (match, reference) => {
+            const { key, filters } = this.variableFormatter.parsePlaceholder(reference);
+            const result = this.findVariableResult(results, key);
+            if (!result) {
+                // Left in place so the gap is visible, and listed under the Variables panel
+                this.placeholderWarnings.add(`Undefined variable {{${key}}}`);
+                return match;
+            }
+            if (result.error) {
+                // Errors in variables themselves are already shown next to them
+                if (!results.has(key)) {
+                    this.placeholderWarnings.add(`${match}: ${result.error}`);
+                }
+                return match;
+            }
+            try {
+                return this.variableFormatter.render(result.value, filters, this.getFormatContext(result));
+            } catch (e) {
+                this.placeholderWarnings.add(`${match}: ${e.message}`);
+                return match;
+            }
+        });
+    }
+
+    // "item.name" is the name field of the item variable, such as a table row inside a repeating group;
+    // "data.products[0]" is the first entry of a list
+    findVariableResult(results, key) {
+        const path = this.splitVariablePath(key);
+        if (results.has(key) || !path) {
+            return results.get(key);
+        }
+        
+        const parent = this.findVariableResult(results, path.parent);
+        if (!parent || parent.error) {
+            return parent;
+        }
+        try {
+            return { value: this.getVariableField(parent.value, path.field, path.parent), type: 'text' };
+        } catch (e) {
+            return { error: e.message };
+        }
+    }
+
+    // "a.b[2]" -> {parent: 'a.b', field: 2}; null for a plain key
+    splitVariablePath(key) {
+        const match = key.match(/^(.+)(?:\.([^.[\]]+)|\[(\d+)\])$/);
+        return match ? { parent: match[1], field: match[2] !== undefined ? match[2] : Number(match[3]) } : null;
+    }
+
+    getVariableField(value, field, parentKey) {
+        if (typeof field === 'number') {
+            if (!Array.isArray(value) || field >= value.length) {
+                throw new ExpressionError(`{{${parentKey}}} has no entry [${field}]`);
+            }
+            return value[field];
+        }
+        if (value === null || typeof value !== 'object' || Array.isArray(value) || !Object.prototype.hasOwnProperty.call(value, field)) {
+            throw new ExpressionError(`{{${parentKey}}} has no field "${field}"`);
+        }
+        return value[field];
+    }
+
+    // Resolves {{references}} in expressions against evaluateVariables() results
+    createVariableResolver(results) {
+        return (reference) => {
+            const { key, filters } = this.variableFormatter.parsePlaceholder(reference);
+            const result = this.findVariableResult(results, key);
+            if (!result) {
+                throw new ExpressionError(`Undefined variable {{${key}}}`);
+            }
+            if (result.error) {
+                throw new ExpressionError(results.has(key) ? `Depends on {{${key}}}, which has an error` : result.error);
+            }
+            return filters.length > 0
+                ? this.variableFormatter.render(result.value, filters, this.getFormatContext(result))
+                : result.value;
+        };
+    }
+
+    getFormatContext(variable) {
+        return {
+            type: variable.type || 'text',
+            currency: variable.currency,
+            locale: this.locale
+        };
+    }
+
+    // Replaces variable values by key, e.g. with the values for one deployment. Keys the document lacks become
+    // text variables. Values are written the way they are typed in: lists comma-separated, tables as CSV.
+    setVariableValues(values) {
+        Object.entries(values).forEach(([key, value]) => {
+            const text = this.formatVariableInput(value);
+            const variable = Array.from(this.variables.values()).find(item => item.key === key);
+            if (variable) {
+                variable.value = text;
+            } else {
+                this.variables.set(`var_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`, { key, value: text, type: 'text' });
+            }
+        });
+    }
+
+    formatVariableInput(value) {
+        const isRow = row => row !== null && typeof row === 'object' && !Array.isArray(row);
+        const cell = item => {
+            const text = item === null || item === undefined ? '' : String(item);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        if (Array.isArray(value) && value.length > 0 && value.every(isRow)) {
+            const headers = [...new Set(value.flatMap(row => Object.keys(row)))];
+            return [headers, ...value.map(row => headers.map(header => row[header]))]
+                .map(row => row.map(cell).join(','))
+                .join('\n');
+        }
+        if (Array.isArray(value)) {
+            return value.join(', ');
+        }
+        if (value !== null && typeof value === 'object') {
+            return JSON.stringify(value);
+        }
+        return value === null || value === undefined ? '' : String(value);
+    }
+
+    // Resolves every variable through the dependency graph; returns key -> {value, type, currency} or {error}
+    evaluateVariables() {
+        const definitions = new Map();
+        this.variables.forEach((variable) => {
+            if (variable.key && !definitions.has(variable.key)) {
+                definitions.set(variable.key, variable);
+            }
+        });
+        
+        // Attached data is {{data.<name>}}; inside a repeating group its entry shadows any variable of the same name
+        const results = new Map();
+        if (this.dataSources.length > 0) {
+            results.set('data', { value: this.getDataNamespace(), type: 'text' });
+        }
+        this.repeatFrames.forEach(frame => {
+            results.set(frame.name, { value: frame.value, type: 'text' });
+        });
+        const resolving = [];
+        
+        const resolve = (key) => {
+            if (results.has(key)) {
+                const result = results.get(key);
+                if (result.error) {
+                    throw new ExpressionError(`Depends on {{${key}}}, which has an error`);
+                }
+                return result.value;
+            }
+            if (!definitions.has(key)) {
+                const path = this.splitVariablePath(key);
+                if (path) {
+                    return this.getVariableField(resolve(path.parent), path.field, path.parent);
+                }
+                throw new ExpressionError(`Undefined variable {{${key}}}`);
+            }
+            if (resolving.includes(key)) {
+                const cycle = resolving.slice(resolving.indexOf(key)).concat(key);
+                throw new ExpressionError(`Circular reference: ${cycle.join(' → ')}`);
+            }
+            
+            const variable = definitions.get(key);
+            resolving.push(key);
+            try {
+                const value = this.evaluateVariableValue(variable, resolveReference);
+                results.set(key, { value, type: variable.type || 'text', currency: variable.currency });
+                return value;
+            } catch (e) {
+                results.set(key, { error: e.message });
+                throw e;
+            } finally {
+                resolving.pop();
+            }
+        };
+        
+        // Filtered references such as {{price | fixed:2}} resolve to display text
+        const resolveReference = (reference) => {
+            const { key, filters } = this.variableFormatter.parsePlaceholder(reference);
+            const value = resolve(key);
+            return filters.length > 0
+                ? this.variableFormatter.render(value, filters, this.getFormatContext(definitions.get(key) || results.get(key) || {}))
+                : value;
+        };
+        
+        definitions.forEach((variable, key) => {
+            try {
+                resolve(key);
+            } catch (e) {
+                // Recorded in results
+            }
+        });
+        
+        return results;
+    }
+
+    evaluateVariableValue(variable, resolveReference) {
+        const value = variable.value;
+        const type = variable.type || 'text';
+        const trimmed = value.trim();
+        
+        // "=..." is always an expression; anything else with {{...}} is one if it parses, otherwise a text template
+        if (trimmed.startsWith('=')) {
+            const result = this.expressionEngine.evaluate(this.expressionEngine.parse(trimmed.slice(1)), resolveReference);
+            return this.variableFormatter.coerce(result, type);
+        }
+        if (!value.includes('{{')) {
+            return this.variableFormatter.parseTypedValue(value, type);
+        }
+        
+        let expression = null;
+        try {
+            expression = this.expressionEngine.parse(value);
+        } catch (e) {
+            expression = null;
+        }
+        if (expression) {
+            return this.variableFormatter.coerce(this.expressionEngine.evaluate(expression, resolveReference), type);
+        }
+        
+        const text = value.replace(/\{\{\s*([^{}]+?)\s*\}\}/g, (match, reference) => {
+            const { key, filters } = this.variableFormatter.parsePlaceholder(reference);
+            const referenced = resolveReference(key);
+            const referencedVariable = Array.from(this.variables.values()).find(item => item.key === key);
+            return this.variableFormatter.render(referenced, filters, this.getFormatContext(referencedVariable || {}));
+        });
+        return this.variableFormatter.parseTypedValue(text, type);
+    }
+
+    // Data files are kept in the document as text, so it renders the same wherever it is opened
+    refreshDataValues() {
+        this.dataValues = new Map(this.dataSources.map(source => {
+            try {
+                return [source.name, { value: this.parseDataSource(source) }];
+            } catch (e) {
+                return [source.name, { error: e.message }];
+            }
+        }));
+    }
+
+    parseDataSource(source) {
+        if (source.format === 'json') {
+            return JSON.parse(source.content);
+        }
+        if (source.format === 'yaml') {
+            return this.yamlParser.parse(source.content);
+        }
+        return this.variableFormatter.parseTypedValue(source.content, 'table');
+    }
+
+    getDataNamespace() {
+        const namespace = {};
+        this.dataValues.forEach((result, name) => {
+            if (!result.error) {
+                namespace[name] = result.value;
+            }
+        });
+        return namespace;
+    }
+
+    // Rows of a source that holds a table (CSV, or a JSON/YAML list of objects); null otherwise
+    getTabularData(name) {
+        const result = this.dataValues.get(name);
+        const isRow = row => row !== null && typeof row === 'object' && !Array.isArray(row);
+        return result && !result.error && Array.isArray(result.value) && result.value.every(isRow) ? result.value : null;
+    }
+
+    // The preview, plain text and HTML exports read the GFM output back, so only Markdown output uses the document's dialect
+    generateMarkdown(dialect = this.dialect) {
+        // Get ordered items (blocks and groups) for consistent output
+        // Only blank lines go: the indent of a leading indented code block is part of it
+        const body = this.generateItemsMarkdown(this.getAllOrderedItems(), this.buildOutline(), dialect).replace(/^\n+|\n+$/g, '');
+        const frontMatter = this.generateFrontMatter(dialect);
+        return frontMatter ? `${frontMatter}\n\n${body}` : body;
+    }
+
+    generateItemsMarkdown(items, outline, dialect = DEFAULT_DIALECT) {
+        let markdown = '';
+        let previousType = null;
+        
+        items.forEach(item => this.forEachInstance(item, () => {
+            if (item.type === 'block') {
+                // Indented code straight after a list would be read as part of the last item
+                if (previousType === 'list' && item.item.type === 'code' && dialect.code === 'indented') {
+                    markdown += '<!-- end list -->\n\n';
+                }
+                markdown += this.generateBlockMarkdown(item.item, outline, dialect) + '\n\n';
+                previousType = item.item.type;
+            } else if (item.type === 'group') {
+                previousType = null;
+                const group = item.item;
+                
+                // Group boundaries are kept as comments so importMarkdown can restore them
+                const marker = group.emitHeading ? 'group(heading)' : 'group';
+                markdown += `<!-- ${marker}: ${group.name.replace(/-->/g, '')} -->\n\n`;
+                
+                if (group.emitHeading) {
+                    markdown += this.generateGroupHeading(group, outline) + '\n\n';
+                }
+                
+                markdown += this.generateItemsMarkdown(item.children, outline, dialect);
+                markdown += '<!-- /group -->\n\n';
+            }
+        }));
+        
+        return markdown;
+    }
+
+    // Calls render once for each copy of the item in the output: not at all when its condition is false,
+    // once per entry of a repeating group's source (the condition then filters entries), otherwise once
+    forEachInstance(item, render) {
+        const target = item.item;
+        if (item.type !== 'group' || !target.repeat) {
+            if (this.isConditionMet(target.condition)) {
+                render();
+            }
+            return;
+        }
+        
+        this.getRepeatEntries(target.repeat).forEach((value, index) => {
+            this.repeatFrames.push({ groupId: target.id, index, name: target.repeat.as, value });
+            try {
+                if (this.isConditionMet(target.condition)) {
+                    render();
+                }
+            } finally {
+                this.repeatFrames.pop();
+            }
+        });
+    }
+
+    // An empty condition always holds; a broken one is reported and treated as true so the content stays visible
+    isConditionMet(condition) {
+        if (!condition || !condition.trim()) {
+            return true;
+        }
+        
+        try {
+            const node = this.expressionEngine.parse(condition.trim().replace(/^=/, ''));
+            return this.expressionEngine.toBoolean(this.expressionEngine.evaluate(node, this.createVariableResolver(this.evaluateVariables())));
+        } catch (e) {
+            this.placeholderWarnings.add(`Condition "${condition}": ${e.message}`);
+            return true;
+        }
+    }
+
+    getRepeatEntries(repeat) {
+        const result = this.findVariableResult(this.evaluateVariables(), repeat.source);
+        const problem = !result ? `Undefined variable {{${repeat.source}}}`
+            : result.error ? result.error
+            : !Array.isArray(result.value) ? `{{${repeat.source}}} is not a list or table variable`
+            : null;
+        if (problem) {
+            this.placeholderWarnings.add(`Repeat over {{${repeat.source}}}: ${problem}`);
+            return [];
+        }
+        return result.value;
+    }
+
+    // Identifies the copy of a repeated group being generated, so each copy finds its own outline entries
+    getRepeatInstance() {
+        return this.repeatFrames.map(frame => `${frame.groupId}:${frame.index}`).join('/');
+    }
+
+    findOutlineEntry(outline, type, id) {
+        const instance = this.getRepeatInstance();
+        return outline.find(entry => entry.type === type && entry.id === id && entry.instance === instance);
+    }
+
+    generateGroupHeading(group, outline = this.buildOutline()) {
+        const entry = this.findOutlineEntry(outline, 'group', group.id);
+        const number = entry && entry.number ? `${entry.number} ` : '';
+        return `${'#'.repeat(this.getGroupHeadingLevel(group.id))} ${number}${this.substituteVariables(group.name)}`;
+    }
+
+    // Headings in document order, from heading blocks and from groups that emit one:
+    // [{type: 'block' | 'group', id, level, text, number, anchor, instance}]. `number` is only set when a TOC block
+    // numbers sections; `instance` tells apart the copies of a repeated group (see getRepeatInstance).
+    buildOutline() {
+        const entries = [];
+        const walk = (items) => {
+            items.forEach(item => this.forEachInstance(item, () => {
+                const instance = this.getRepeatInstance();
+                if (item.type === 'group') {
+                    if (item.item.emitHeading) {
+                        entries.push({ type: 'group', id: item.item.id, level: this.getGroupHeadingLevel(item.item.id), text: this.substituteVariables(item.item.name), instance });
+                    }
+                    walk(item.children);
+                } else if (item.item.type === 'heading') {
+                    const match = item.item.content.match(/^ {0,3}(#{1,6})\s+(.*?)(\s+#+)?\s*$/m);
+                    if (match) {
+                        entries.push({ type: 'block', id: item.item.id, level: match[1].length, text: this.substituteVariables(match[2]), instance });
+                    }
+                }
+            }));
+        };
+        walk(this.getAllOrderedItems());
+        
+        const numbering = this.blocks.find(block => block.type === 'toc' && block.content.numbered);
+        const counters = [];
+        const anchors = new Map();
+        entries.forEach(entry => {
+            if (numbering && entry.level >= numbering.content.minLevel && entry.level <= numbering.content.maxLevel) {
+                const depth = entry.level - numbering.content.minLevel;
+                counters.length = depth + 1;
+                counters[depth] = (counters[depth] || 0) + 1;
+                entry.number = Array.from(counters, count => count || 0).join('.');
+            }
+            
+            // Same rule as GitHub: repeated anchors get -1, -2... appended
+            const slug = this.slugify(entry.number ? `${entry.number} ${entry.text}` : entry.text);
+            const seen = anchors.get(slug) || 0;
+            anchors.set(slug, seen + 1);
+            entry.anchor = seen ? `${slug}-${seen}` : slug;
+        });
+        
+        return entries;
+    }
+
+    // GitHub-style heading anchor: lowercase, punctuation dropped, spaces to hyphens
+    slugify(text) {
+        return text
+            .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+            .replace(/<[^>]+>/g, '')
+            .toLowerCase()
+            .trim()
+            .replace(/[^\p{L}\p{N}\p{M}\s_-]/gu, '')
+            .replace(/\s/g, '-');
+    }
+
+    generateTocMarkdown(toc, outline, bullet = '-') {
+        // The root stands in for an item so every level nests the same way
+        const root = { children: null };
+        const stack = [{ level: 0, item: root }];
+        
+        outline.filter(entry => entry.level >= toc.minLevel && entry.level <= toc.maxLevel).forEach(entry => {
+            while (stack.length > 1 && stack[stack.length - 1].level >= entry.level) {
+                stack.pop();
+            }
+            const parent = stack[stack.length - 1].item;
+            if (!parent.children) {
+                parent.children = { style: 'bullet', items: [] };
+            }
+            const label = (entry.number ? `${entry.number} ${entry.text}` : entry.text).replace(/([[\]])/g, '\\$1');
+            const item = { text: `[${label}](#${entry.anchor})`, checked: false, children: null };
+            parent.children.items.push(item);
+            stack.push({ level: entry.level, item });
+        });
+        
+        // Markers let importMarkdown turn the generated list back into a TOC block
+        const settings = `minLevel=${toc.minLevel} maxLevel=${toc.maxLevel}${toc.numbered ? ' numbered' : ''}`;
+        const list = root.children ? this.listCodec.serialize(root.children, '', bullet) : '';
+        return `<!-- toc ${settings} -->\n${list}\n<!-- /toc -->`;
+    }
+
+    generateBlockMarkdown(block, outline = this.buildOutline(), dialect = DEFAULT_DIALECT) {
+        let content = '';
+        
+        if (block.type === 'heading') {
+            const entry = this.findOutlineEntry(outline, 'block', block.id);
+            content = entry && entry.number
+                ? block.content.replace(/^( {0,3}#{1,6})\s+/, `$1 ${entry.number} `)
+                : block.content;
+        } else if (block.type === 'toc') {
+            content = this.generateTocMarkdown(block.content, outline, dialect.bullet);
+        } else if (block.type === 'table') {
+            // Cells are substituted one by one, so that values can be escaped for the table syntax
+            return this.generateTableMarkdown(block.content, dialect.tables, dialect.tableCells);
+        } else if (block.type === 'list') {
+            content = this.listCodec.serialize(block.content, '', dialect.bullet);
+        } else if (block.type === 'code' && dialect.code === 'indented') {
+            const { info } = this.splitCodeFence(block.content);
+            content = (info ? `<!-- language: ${info.replace(/-->/g, '')} -->\n\n` : '') + this.indentCode(block.content);
+        } else if (block.type === 'blockquote') {
+            content = this.quoteLines(block.content);
+        } else if (block.type === 'callout') {
+            content = this.generateCalloutMarkdown(block.content, dialect.callouts);
+        } else if (block.type === 'image') {
+            content = this.generateImageMarkdown(block.content);
+        } else if (block.type === 'math') {
+            content = `$$\n${block.content}\n$$`;
+        } else if (block.type === 'mermaid') {
+            // The fence has to be longer than any backtick run inside the diagram
+            const longest = Math.max(0, ...(block.content.match(/`+/g) || []).map(run => run.length));
+            const fence = '`'.repeat(Math.max(3, longest + 1));
+            content = `${fence}mermaid\n${block.content}\n${fence}`;
+        } else {
+            content = block.content;
+        }
+        
+        return this.substituteVariables(content);
+    }
+
+    quoteLines(text) {
+        return text.split('\n').map(line => line ? `> ${line}` : '>').join('\n');
+    }
+
+    // GitHub alerts, a quote opened by the kind in bold, or a Pandoc fenced div
+    generateCalloutMarkdown({ kind, text }, style) {
+        if (style === 'div') {
+            return `::: ${kind}\n${text}\n:::`;
+        }
+        if (style === 'quote') {
+            return this.quoteLines(`**${kind[0].toUpperCase()}${kind.slice(1)}**\n\n${text}`);
+        }
+        return this.quoteLines(`[!${kind.toUpperCase()}]\n${text}`);
+    }
+
+    // Indented code cannot carry a language, so generateBlockMarkdown writes it in a comment above the code
+    indentCode(source) {
+        return this.splitCodeFence(source).code.split('\n').map(line => line.trim() ? `    ${line}` : '').join('\n');
+    }
+
+    // Code block source -> {info, code}; source without an opening fence is all code
+    splitCodeFence(source) {
+        const lines = source.split('\n');
+        const fence = lines[0].match(/^ {0,3}(`{3,}|~{3,})\s*(.*)$/);
+        if (!fence) {
+            return { info: '', code: source };
+        }
+        lines.shift();
+        if (lines.length > 0 && lines[lines.length - 1].trim().startsWith(fence[1])) {
+            lines.pop();
+        }
+        return { info: fence[2].trim(), code: lines.join('\n') };
+    }
+
+    // Static site generators read metadata from a YAML (---) or TOML (+++) block at the top of the file.
+    // Values may use variables; numbers, booleans, dates and [a, b] lists are written unquoted.
+    generateFrontMatter(dialect) {
+        if (dialect.frontMatter === 'none' || dialect.fields.length === 0) {
+            return '';
+        }
+        const toml = dialect.frontMatter === 'toml';
+        const formatValue = value => {
+            if (/^(-?\d+(\.\d+)?|true|false|\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?)$/.test(value)) {
+                return value;
+            }
+            const list = value.match(/^\[(.*)\]$/);
+            if (list) {
+                const items = list[1].split(',').map(item => item.trim()).filter(item => item !== '');
+                return `[${items.map(item => JSON.stringify(item)).join(', ')}]`;
+            }
+            return JSON.stringify(value);
+        };
+        const lines = dialect.fields.map(({ key, value }) => {
+            const name = /^[A-Za-z0-9_-]+$/.test(key) ? key : JSON.stringify(key);
+            return `${name}${toml ? ' =' : ':'} ${formatValue(this.substituteVariables(value).trim())}`;
+        });
+        const delimiter = toml ? '+++' : '---';
+        return `${delimiter}\n${lines.join('\n')}\n${delimiter}`;
+    }
+
+    generateImageMarkdown({ alt, src, title }) {
+        const escapedTitle = title ? ` "${title.replace(/"/g, '\\"')}"` : '';
+        return `![${alt.replace(/([[\]])/g, '\\$1')}](${src.trim().replace(/ /g, '%20')}${escapedTitle})`;
+    }
+
+    // Typed cells are Markdown; formula results and bound data are plain values, so emphasis markers in them are escaped.
+    // A | is escaped too, as it would otherwise end the cell; in typed cells one written as \| already is.
+    generateTableMarkdown(tableData, style = 'pipe', cells = 'markdown') {
+        const { headers, rows, errors } = this.evaluateTable(tableData);
+        
+        errors.forEach((message, key) => {
+            const [row, col] = key.split(':').map(Number);
+            this.placeholderWarnings.add(`Table cell ${this.expressionEngine.toCellReference(row + 2, col)}: ${message}`);
+        });
+        
+        // Formula results and bound data are plain values; typed cells are Markdown unless the dialect writes them as text
+        const escape = (text, computed) => computed
+            ? text.replace(/([\\*_])/g, '\\$1').replace(/\|/g, '\\|')
+            : text.replace(cells === 'text' ? /\\?([*_|])/g : /\\?(\|)/g, '\\$1');
+        const computed = (rowIndex, colIndex) => Boolean(tableData.binding) || this.isTableFormula(tableData.rows[rowIndex][colIndex]);
+        const grid = [
+            headers.map(header => escape(this.substituteVariables(header), false)),
+            ...rows.map((row, rowIndex) => row.map((cell, colIndex) => computed(rowIndex, colIndex)
+                ? escape(cell, true)
+                : escape(this.substituteVariables(cell), false)))
+        ];
+        
+        if (style === 'html') {
+            return this.generateHtmlTable(grid, tableData.align);
+        }
+        if (style === 'grid') {
+            return this.generateGridTable(grid, tableData.align);
+        }
+        
+        const delimiters = { left: ':---', center: ':---:', right: '---:' };
+        const line = cells => `| ${cells.map(cell => cell.replace(/\s*\n\s*/g, ' ')).join(' | ')} |`;
+        return [
+            line(grid[0]),
+            `| ${headers.map((header, index) => delimiters[tableData.align[index]] || '---').join(' | ')} |`,
+            ...grid.slice(1).map(line)
+        ].join('\n');
+    }
+
+    // Pandoc grid tables; cells may span several lines, and columns are padded to their display width
+    generateGridTable(grid, align) {
+        const cellLines = grid.map(row => row.map(cell => cell.split('\n')));
+        const widths = grid[0].map((header, col) => Math.max(3, ...cellLines.map(row => Math.max(...row[col].map(line => this.getDisplayWidth(line))))));
+        const border = (fill, withAlignment) => '+' + widths.map((width, col) => {
+            const dashes = fill.repeat(width + 2);
+            if (!withAlignment || !align[col]) return dashes;
+            const left = align[col] === 'left' || align[col] === 'center' ? ':' : fill;
+            const right = align[col] === 'right' || align[col] === 'center' ? ':' : fill;
+            return left + fill.repeat(width) + right;
+        }).join('+') + '+';
+        const rowLines = row => {
+            const height = Math.max(...row.map(lines => lines.length));
+            return Array.from({ length: height }, (_, index) => '|' + row.map((lines, col) => {
+                const text = lines[index] || '';
+                return ` ${text}${' '.repeat(widths[col] - this.getDisplayWidth(text))} `;
+            }).join('|') + '|');
+        };
+        
+        const lines = [border('-', false), ...rowLines(cellLines[0]), border('=', true)];
+        cellLines.slice(1).forEach(row => {
+            lines.push(...rowLines(row), border('-', false));
+        });
+        return lines.join('\n');
+    }
+
+    // For CommonMark, which has no table syntax; Markdown is not read inside HTML, so cells are rendered here
+    generateHtmlTable(grid, align) {
+        const cell = (tag, text, col) => {
+            const style = align[col] ? ` style="text-align: ${align[col]}"` : '';
+            return `<${tag}${style}>${this.renderInlineMarkdown(text.replace(/\\\|/g, '|')).replace(/\n/g, ' ')}</${tag}>`;
+        };
+        const lines = ['<table>', '<thead>', `<tr>${grid[0].map((text, col) => cell('th', text, col)).join('')}</tr>`, '</thead>'];
+        if (grid.length > 1) {
+            lines.push('<tbody>', ...grid.slice(1).map(row => `<tr>${row.map((text, col) => cell('td', text, col)).join('')}</tr>`), '</tbody>');
+        }
+        lines.push('</table>');
+        return lines.join('\n');
+    }
+
+    // Columns a monospace font gives the text: East Asian wide and full-width characters take two
+    getDisplayWidth(text) {
+        let width = 0;
+        for (const char of text) {
+            width += /[\u1100-\u115F\u2E80-\u303E\u3041-\u33FF\u3400-\u4DBF\u4E00-\u9FFF\uA000-\uA4CF\uAC00-\uD7A3\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFF60\uFFE0-\uFFE6\u{1F300}-\u{1FAFF}\u{20000}-\u{3FFFD}]/u.test(char) ? 2 : 1;
+        }
+        return width;
+    }
+
+    renderInlineMarkdown(text) {
+        const stash = [];
+        const keep = (html) => {
+            stash.push(html);
+            return `\u0000${stash.length - 1}\u0000`;
+        };
+        
+        let html = text.replace(/\u0000/g, '');
+        
+        // Code spans are protected before anything else is interpreted
+        html = html.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => {
+            return keep(`<code>${this.escapeHtml(code.replace(/^ (.*) $/, '$1'))}</code>`);
+        });
+        
+        // Backslash-escaped punctuation is taken literally
+        html = html.replace(/\\([!-\/:-@[-`{-~])/g, (match, char) => keep(this.escapeHtml(char)));
+        
+        html = this.escapeHtml(html)
+            .replace(/!\[([^\]]*)\]\(([^)\s]+)(?:\s+&quot;(.*?)&quot;)?\)/g, (match, alt, url, title) => {
+                return keep(`<img src="${this.sanitizeUrl(url)}" alt="${alt}"${title ? ` title="${title}"` : ''}>`);
+            })
+            .replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+&quot;(.*?)&quot;)?\)/g, (match, label, url, title) => {
+                const titleAttribute = title ? ` title="${title}"` : '';
+                return keep(`<a href="${this.sanitizeUrl(url)}"${titleAttribute} target="_blank" rel="noopener noreferrer">`) + label + keep('</a>');
+            })
+            .replace(/&lt;((?:https?|mailto):[^\s&]+)&gt;/g, (match, url) => {
+                return keep(`<a href="${this.sanitizeUrl(url)}" target="_blank" rel="noopener noreferrer">${url}</a>`);
+            })
+            .replace(/\*\*(?!\s)(.+?)\*\*|__(?!\s)(.+?)__/g, (match, star, underscore) => `<strong>${star || underscore}</strong>`)
+            .replace(/\*(?!\s)([^*]+?)\*/g, '<em>$1</em>')
+            .replace(/(^|[^\w])_(?!\s)([^_]+?)_(?!\w)/g, '$1<em>$2</em>')
+            .replace(/~~(?!\s)(.+?)~~/g, '<del>$1</del>')
+            .replace(/( {2,}|\\)\n/g, '<br>\n');
+        
+        return html.replace(/\u0000(\d+)\u0000/g, (match, index) => stash[index]);
+    }
+
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    sanitizeUrl(url) {
+        // Only allow web, mail and relative links; anything else (javascript:, data:, ...) is dropped
+        const scheme = url.replace(/[\s\u0000-\u001f]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+        if (scheme && !['http', 'https', 'mailto', 'tel'].includes(scheme[1].toLowerCase())) {
+            return '#';
+        }
+        return url;
+    }
+
+    importMarkdown(markdown) {
+        this.blocks = [];
+        this.groups = new Map();
+        // One entry per open group, innermost last; the bottom entry is the top level
+        const context = { containers: [{ groupId: null, order: 0 }], skipHeading: false };
+        
+        const { frontMatter, body } = this.splitFrontMatter(markdown);
+        if (frontMatter) {
+            this.dialect = { ...this.dialect, frontMatter: frontMatter.format, fields: frontMatter.fields };
+        }
+
+        this.parseMarkdownBlocks(body).forEach(entry => {
+            if (entry.type === 'group-start') {
+                const container = context.containers[context.containers.length - 1];
+                const groupId = this.nextGroupId();
+                this.groups.set(groupId, {
+                    id: groupId,
+                    name: entry.name,
+                    parentId: container.groupId,
+                    order: container.order++,
+                    collapsed: false,
+                    emitHeading: entry.heading,
+                    condition: '',
+                    repeat: null
+                });
+                context.containers.push({ groupId: groupId, order: 0 });
+                // The heading generated for the group is not a block of its own
+                context.skipHeading = entry.heading;
+            } else if (entry.type === 'group-end') {
+                this.closeImportedGroup(context);
+            } else if (entry.type === 'toc') {
+                context.skipHeading = false;
+                this.finishCurrentBlock({ type: 'toc', content: entry.content }, context);
+            } else if (context.skipHeading && entry.type === 'heading') {
+                context.skipHeading = false;
+            } else {
+                context.skipHeading = false;
+                if (entry.type === 'list') {
+                    entry.content = this.listCodec.parse(entry.content);
+                }
+                this.finishCurrentBlock(entry, context);
+            }
+        });
+
+        while (context.containers.length > 1) {
+            this.closeImportedGroup(context);
+        }
+        this.stripSectionNumbers();
+    }
+
+    // Splits Markdown into block entries ({type, content}) plus group-start/group-end markers
+    parseMarkdownBlocks(markdown) {
+        const entries = [];
+        const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+        let paragraph = null;
+        let codeLanguage = null;
+        let i = 0;
+
+        const flushParagraph = () => {
+            if (paragraph) {
+                // An image on a line of its own becomes an image block
+                const image = paragraph.content.match(/^\s*!\[((?:\\.|[^\]\\])*)\]\(\s*([^\s)]+)(?:\s+"((?:\\.|[^"\\])*)")?\s*\)\s*$/);
+                if (image) {
+                    const unescape = text => (text || '').replace(/\\(.)/g, '$1');
+                    // generateImageMarkdown writes spaces in the address as %20
+                    entries.push({ type: 'image', content: { alt: unescape(image[1]), src: image[2].replace(/%20/g, ' '), title: unescape(image[3]) } });
+                } else {
+                    entries.push(paragraph);
+                }
+            }
+            paragraph = null;
+        };
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (line.trim() === '') {
+                flushParagraph();
+                i++;
+                continue;
+            }
+
+            // Group boundaries are written by generateMarkdown as HTML comments
+            const groupStart = line.match(/^\s*<!--\s*group(\(heading\))?:\s*(.*?)\s*-->\s*$/);
+            if (groupStart) {
+                flushParagraph();
+                entries.push({ type: 'group-start', name: groupStart[2], heading: !!groupStart[1] });
+                i++;
+                continue;
+            }
+
+            // A generated table of contents is kept as its settings; the list is regenerated on output. Tools like
+            // markdown-toc close theirs with <!-- tocstop -->; a marker that is never closed is dropped on its own.
+            const tocStart = line.match(/^\s*<!--\s*toc\b(.*?)-->\s*$/);
+            if (tocStart) {
+                flushParagraph();
+                const settings = tocStart[1];
+                const level = (name, fallback) => {
+                    const match = settings.match(new RegExp(`${name}=(\\d)`));
+                    return match ? Number(match[1]) : fallback;
+                };
+                const start = i + 1;
+                const end = lines.findIndex((other, index) => index >= start && /^\s*<!--\s*(\/toc|tocstop)\s*-->\s*$/.test(other));
+                if (end === -1) {
+                    i = start;
+                    continue;
+                }
+                i = end;
+                entries.push({
+                    type: 'toc',
+                    content: { minLevel: level('minLevel', 2), maxLevel: level('maxLevel', 3), numbered: /\bnumbered\b/.test(settings) },
+                    list: lines.slice(start, i).join('\n')
+                });
+                i++;
+                continue;
+            }
+
+            if (/^\s*<!--\s*\/group\s*-->\s*$/.test(line)) {
+                flushParagraph();
+                entries.push({ type: 'group-end' });
+                i++;
+                continue;
+            }
+
+            // Written between a list and indented code (see generateItemsMarkdown); it is not content
+            if (/^\s*<!--\s*end list\s*-->\s*$/.test(line)) {
+                flushParagraph();
+                i++;
+                continue;
+            }
+
+            // The language of the indented code block that follows
+            const language = line.match(/^\s*<!--\s*language:\s*(.*?)\s*-->\s*$/);
+            if (language) {
+                flushParagraph();
+                codeLanguage = { info: language[1], index: entries.length };
+                i++;
+                continue;
+            }
+
+            if (this.isGridTableStart(lines, i)) {
+                flushParagraph();
+                const table = this.parseGridTable(lines, i);
+                entries.push({ type: 'table', content: table.content });
+                i = table.end;
+                continue;
+            }
+
+            if (/^ {0,3}<table[\s>]/i.test(line)) {
+                const end = lines.findIndex((other, index) => index >= i && /<\/table>/i.test(other));
+                const content = end === -1 ? null : this.parseHtmlTable(lines.slice(i, end + 1).join('\n'));
+                if (content) {
+                    flushParagraph();
+                    entries.push({ type: 'table', content });
+                    i = end + 1;
+                    continue;
+                }
+            }
+
+            // Pandoc fenced divs named after a callout kind
+            const div = line.match(/^ {0,3}:{3,}\s*\{?\s*\.?(\w+)\s*\}?\s*$/);
+            if (div && this.getCalloutKinds().includes(div[1].toLowerCase())) {
+                const end = lines.findIndex((other, index) => index > i && /^ {0,3}:{3,}\s*$/.test(other));
+                flushParagraph();
+                const close = end === -1 ? lines.length : end;
+                entries.push({ type: 'callout', content: { kind: div[1].toLowerCase(), text: lines.slice(i + 1, close).join('\n') } });
+                i = close + 1;
+                continue;
+            }
+
+            if (this.isFenceOpening(line)) {
+                flushParagraph();
+                const end = this.findFenceEnd(lines, i);
+                const fenced = lines.slice(i, end);
+                if (/^ {0,3}(`{3,}|~{3,})\s*mermaid\s*$/.test(line)) {
+                    const closed = end - i > 1 && /^ {0,3}(`{3,}|~{3,})\s*$/.test(fenced[fenced.length - 1]);
+                    entries.push({ type: 'mermaid', content: fenced.slice(1, closed ? -1 : undefined).join('\n') });
+                } else {
+                    entries.push({ type: 'code', content: fenced.join('\n') });
+                }
+                i = end;
+                continue;
+            }
+
+            if (this.isMathStart(line)) {
+                flushParagraph();
+                const end = this.findMathEnd(lines, i);
+                const source = lines.slice(i, end).join('\n').trim().replace(/^\$\$/, '').replace(/\$\$$/, '');
+                entries.push({ type: 'math', content: source.replace(/^\n|\n$/g, '') });
+                i = end;
+                continue;
+            }
+
+            if (this.isAtxHeading(line)) {
+                flushParagraph();
+                entries.push({ type: 'heading', content: line.trim() });
+                i++;
+                continue;
+            }
+
+            // Setext headings underline the paragraph collected so far
+            const setext = line.match(/^ {0,3}(=+|-+)\s*$/);
+            if (setext && paragraph) {
+                const marker = setext[1][0] === '=' ? '#' : '##';
+                const text = paragraph.content.split('\n').map(l => l.trim()).join(' ');
+                paragraph = null;
+                entries.push({ type: 'heading', content: `${marker} ${text}` });
+                i++;
+                continue;
+            }
+
+            if (this.isTableStart(lines, i)) {
+                flushParagraph();
+                const headers = this.parseTableRow(lines[i]);
+                const align = this.parseTableAlignment(lines[i + 1]);
+                const rows = [];
+                i += 2;
+                while (i < lines.length && lines[i].trim() !== '' && lines[i].includes('|') && !this.isBlockStart(lines, i)) {
+                    const cells = this.parseTableRow(lines[i]);
+                    rows.push(headers.map((_, index) => cells[index] || ''));
+                    i++;
+                }
+                entries.push({ type: 'table', content: { headers, rows, align, binding: null } });
+                continue;
+            }
+
+            if (this.isThematicBreak(line)) {
+                flushParagraph();
+                entries.push({ type: 'rule', content: line.trim() });
+                i++;
+                continue;
+            }
+
+            if (this.isListStart(line)) {
+                flushParagraph();
+                const end = this.findListEnd(lines, i);
+                entries.push({ type: 'list', content: lines.slice(i, end).join('\n') });
+                i = end;
+                continue;
+            }
+
+            if (/^ {0,3}>/.test(line)) {
+                flushParagraph();
+                const start = i;
+                while (i < lines.length && lines[i].trim() !== '' && (i === start || !this.isBlockStart(lines, i) || /^ {0,3}>/.test(lines[i]))) {
+                    i++;
+                }
+                const quoted = lines.slice(start, i).map(quotedLine => quotedLine.replace(/^ {0,3}> ?/, ''));
+                // GitHub-style alerts: > [!NOTE] on the first line, or the kind in bold on a line of its own
+                const alert = quoted[0].match(/^\s*\[!(\w+)\]\s*$/);
+                const titled = quoted[0].match(/^\s*\*\*(\w+)\*\*\s*$/);
+                if (alert && this.getCalloutKinds().includes(alert[1].toLowerCase())) {
+                    entries.push({ type: 'callout', content: { kind: alert[1].toLowerCase(), text: quoted.slice(1).join('\n') } });
+                } else if (titled && this.getCalloutKinds().includes(titled[1].toLowerCase()) && (quoted.length === 1 || quoted[1].trim() === '')) {
+                    entries.push({ type: 'callout', content: { kind: titled[1].toLowerCase(), text: quoted.slice(2).join('\n') } });
+                } else {
+                    entries.push({ type: 'blockquote', content: quoted.join('\n') });
+                }
+                continue;
+            }
+
+            // Indented code cannot interrupt a paragraph
+            if (!paragraph && /^( {4}|\t)/.test(line)) {
+                const codeLines = [];
+                let end = i;
+                while (end < lines.length && (/^( {4}|\t)/.test(lines[end]) || lines[end].trim() === '')) {
+                    codeLines.push(lines[end].replace(/^( {4}|\t)/, ''));
+                    end++;
+                }
+                while (codeLines.length && codeLines[codeLines.length - 1].trim() === '') {
+                    codeLines.pop();
+                    end--;
+                }
+                const info = codeLanguage && codeLanguage.index === entries.length ? codeLanguage.info : '';
+                entries.push({ type: 'code', content: '```' + info + '\n' + codeLines.join('\n') + '\n```' });
+                i = end;
+                continue;
+            }
+
+            if (paragraph) {
+                paragraph.content += '\n' + line;
+            } else {
+                paragraph = { type: 'paragraph', content: line };
+            }
+            i++;
+        }
+
+        flushParagraph();
+        return entries;
+    }
+
+    // Numbers written by a numbering TOC block are added again on output, so imported headings drop them
+    stripSectionNumbers() {
+        const numbering = this.blocks.find(block => block.type === 'toc' && block.content.numbered);
+        if (!numbering) return;
+        
+        const { minLevel, maxLevel } = numbering.content;
+        this.blocks.filter(block => block.type === 'heading').forEach(block => {
+            const match = block.content.match(/^( {0,3}(#{1,6}))\s+\d+(\.\d+)*\s+/);
+            if (match && match[2].length >= minLevel && match[2].length <= maxLevel) {
+                block.content = `${match[1]} ${block.content.slice(match[0].length)}`;
+            }
+        });
+    }
+
+    finishCurrentBlock(block, context) {
+        if (block) {
+            const container = context.containers[context.containers.length - 1];
+            block.id = `block_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+            block.groupId = container.groupId;
+            block.selected = false;
+            block.order = container.order++;
+            block.condition = '';
+            this.blocks.push(block);
+        }
+    }
+
+    closeImportedGroup(context) {
+        if (context.containers.length <= 1) return;
+        
+        // Groups without blocks are never rendered, so don't keep them around
+        const { groupId } = context.containers.pop();
+        if (!this.blocks.some(block => this.isInGroup(block.groupId, groupId))) {
+            this.groups.delete(groupId);
+        }
+    }
+
+    isAtxHeading(line) {
+        return /^ {0,3}#{1,6}(\s|$)/.test(line);
+    }
+
+    isFenceOpening(line) {
+        const match = line.match(/^ {0,3}(`{3,}|~{3,})(.*)$/);
+        return !!match && !(match[1][0] === '`' && match[2].includes('`'));
+    }
+
+    findFenceEnd(lines, start) {
+        const fence = lines[start].trim().match(/^(`+|~+)/)[1];
+        const closing = new RegExp(`^ {0,3}${fence[0] === '`' ? '`' : '~'}{${fence.length},}\\s*$`);
+        for (let i = start + 1; i < lines.length; i++) {
+            if (closing.test(lines[i])) {
+                return i + 1;
+            }
+        }
+        // An unclosed fence runs to the end of the document
+        return lines.length;
+    }
+
+    isMathStart(line) {
+        return /^ {0,3}\$\$/.test(line);
+    }
+
+    findMathEnd(lines, start) {
+        // $$ ... $$ on one line
+        if (/^ {0,3}\$\$.*\S.*\$\$\s*$/.test(lines[start])) {
+            return start + 1;
+        }
+        for (let i = start + 1; i < lines.length; i++) {
+            if (/\$\$\s*$/.test(lines[i])) {
+                return i + 1;
+            }
+        }
+        return lines.length;
+    }
+
+    isThematicBreak(line) {
+        return /^ {0,3}((\*\s*){3,}|(-\s*){3,}|(_\s*){3,})$/.test(line);
+    }
+
+    isListItem(line) {
+        return /^\s*([-*+]|\d{1,9}[.)])(\s|$)/.test(line) && !this.isThematicBreak(line);
+    }
+
+    isListStart(line) {
+        return /^ {0,3}\S/.test(line) && this.isListItem(line);
+    }
+
+    isTableDelimiter(line) {
+        return line.includes('|') && /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(line);
+    }
+
+    isTableStart(lines, index) {
+        const line = lines[index];
+        const next = lines[index + 1];
+        if (!line.includes('|') || next === undefined || !this.isTableDelimiter(next)) {
+            return false;
+        }
+        return this.parseTableRow(line).length === this.parseTableRow(next).length;
+    }
+
+    parseTableAlignment(line) {
+        return this.parseTableRow(line).map(cell => {
+            const left = cell.startsWith(':');
+            const right = cell.endsWith(':');
+            if (left && right) return 'center';
+            if (right) return 'right';
+            return left ? 'left' : null;
+        });
+    }
+
+    // Cells are Markdown, so an escaped \| stays escaped in them
+    parseTableRow(line) {
+        const cells = [];
+        let cell = '';
+        const text = line.trim().replace(/^\|/, '');
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '\\' && text[i + 1] === '|') {
+                cell += '\\|';
+                i++;
+            } else if (text[i] === '|') {
+                cells.push(cell.trim());
+                cell = '';
+            } else {
+                cell += text[i];
+            }
+        }
+        // A trailing pipe closes the last cell rather than opening a new one
+        if (cell.trim() !== '' || !text.endsWith('|')) {
+            cells.push(cell.trim());
+        }
+        return cells;
+    }
+
+    isGridTableStart(lines, index) {
+        return /^ {0,3}\+(:?-+:?\+)+\s*$/.test(lines[index]) && index + 1 < lines.length && /^ {0,3}\|/.test(lines[index + 1]);
+    }
+
+    // Pandoc grid tables: rows sit between + borders and the header ends at a border of =, which carries the
+    // alignment. Cells are found by their | like in pipe tables, and a cell over several lines keeps them.
+    parseGridTable(lines, start) {
+        const rows = [];
+        let align = null;
+        let row = null;
+        let i = start + 1;
+        while (i < lines.length) {
+            const line = lines[i].trim();
+            if (/^\+(:?[-=]+:?\+)+$/.test(line)) {
+                if (row) rows.push(row);
+                row = null;
+                if (line.includes('=') && align === null) {
+                    align = this.parseTableAlignment(line.replace(/\+/g, '|').replace(/=/g, '-'));
+                }
+            } else if (line.startsWith('|')) {
+                const cells = this.parseTableRow(line);
+                row = row ? row.map((cellLines, index) => [...cellLines, cells[index] || '']) : cells.map(cell => [cell]);
+            } else {
+                break;
+            }
+            i++;
+        }
+        if (row) rows.push(row);
+        
+        const [headers = [], ...body] = rows.map(cells => cells.map(cellLines => cellLines.join('\n').replace(/\n+$/, '')));
+        return {
+            content: {
+                headers,
+                rows: body.map(cells => headers.map((_, index) => cells[index] || '')),
+                align: headers.map((_, index) => (align && align[index]) || null),
+                binding: null
+            },
+            end: i
+        };
+    }
+
+    // Reads back the tables generateHtmlTable writes; null when the HTML has no header row
+    parseHtmlTable(html) {
+        const rows = Array.from(html.matchAll(/<tr\b[^>]*>([\s\S]*?)<\/tr>/gi), match => Array.from(
+            match[1].matchAll(/<(th|td)\b([^>]*)>([\s\S]*?)<\/\1>/gi),
+            ([, , attributes, text]) => {
+                const align = attributes.match(/text-align:\s*(left|center|right)/i);
+                return { text: this.htmlToInlineMarkdown(text), align: align ? align[1].toLowerCase() : null };
+            }
+        ));
+        if (rows.length === 0 || rows[0].length === 0) {
+            return null;
+        }
+        const headers = rows[0];
+        return {
+            headers: headers.map(cell => cell.text),
+            rows: rows.slice(1).map(cells => headers.map((_, index) => cells[index] ? cells[index].text : '')),
+            align: headers.map(cell => cell.align),
+            binding: null
+        };
+    }
+
+    // The inverse of renderInlineMarkdown for the tags it writes; characters that would read as Markdown are escaped
+    htmlToInlineMarkdown(html) {
+        const stash = [];
+        const keep = (markdown) => {
+            stash.push(markdown);
+            return `\u0000${stash.length - 1}\u0000`;
+        };
+        const decode = text => text
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, "'")
+            .replace(/&amp;/g, '&');
+        const attribute = (attributes, name) => {
+            const match = attributes.match(new RegExp(`\\b${name}="([^"]*)"`, 'i'));
+            return match ? decode(match[1]) : '';
+        };
+        const title = attributes => attribute(attributes, 'title') ? ` "${attribute(attributes, 'title').replace(/"/g, '\\"')}"` : '';
+        
+        let markdown = html.replace(/\u0000/g, '')
+            .replace(/<code>([\s\S]*?)<\/code>/gi, (match, code) => {
+                const text = decode(code);
+                const ticks = '`'.repeat(Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length)) + 1);
+                return keep(/^`|`$/.test(text) ? `${ticks} ${text} ${ticks}` : `${ticks}${text}${ticks}`);
+            })
+            .replace(/<img\b([^>]*)>/gi, (match, attributes) => {
+                return keep(`![${attribute(attributes, 'alt').replace(/([[\]])/g, '\\$1')}](${attribute(attributes, 'src')}${title(attributes)})`);
+            })
+            .replace(/<a\b([^>]*)>([\s\S]*?)<\/a>/gi, (match, attributes, label) => {
+                const href = attribute(attributes, 'href');
+                return decode(label) === href ? keep(`<${href}>`) : keep('[') + label + keep(`](${href}${title(attributes)})`);
+            })
+            .replace(/<\/?strong>/gi, () => keep('**'))
+            .replace(/<\/?em>/gi, () => keep('*'))
+            .replace(/<\/?del>/gi, () => keep('~~'))
+            .replace(/<br\s*\/?>\s*/gi, () => keep('\n'))
+            .replace(/<[^>]+>/g, '');
+        markdown = decode(markdown).replace(/[\\`*[\]~|]|(^|\W)_|_(?=\W|$)/g, match => match.replace(/[\\`*[\]~|_]/, '\\$&'));
+        return markdown.replace(/\u0000(\d+)\u0000/g, (match, index) => stash[index]).trim();
+    }
+
+    isBlockStart(lines, index) {
+        const line = lines[index];
+        return this.isAtxHeading(line) ||
+            this.isFenceOpening(line) ||
+            this.isMathStart(line) ||
+            this.isThematicBreak(line) ||
+            /^ {0,3}>/.test(line) ||
+            /^\s*<!--\s*\/?(group|toc\b)/.test(line) ||
+            /^ {0,3}(<table[\s>]|:{3,})/i.test(line) ||
+            this.isTableStart(lines, index) ||
+            this.isGridTableStart(lines, index);
+    }
+
+    findListEnd(lines, start) {
+        let i = start + 1;
+        while (i < lines.length) {
+            const line = lines[i];
+            if (line.trim() === '') {
+                // A blank line only continues the list when the next content is indented under an item
+                let next = i + 1;
+                while (next < lines.length && lines[next].trim() === '') {
+                    next++;
+                }
+                if (next < lines.length && /^( {2,}|\t)\S/.test(lines[next])) {
+                    i = next;
+                    continue;
+                }
+                break;
+            }
+            if (/^\s/.test(line) || this.isListItem(line)) {
+                i++;
+                continue;
+            }
+            // Lazy continuation lines belong to the last item
+            if (this.isBlockStart(lines, i)) {
+                break;
+            }
+            i++;
+        }
+        return i;
+    }
+
+    serializeDocument() {
+        // Selection is UI state and stays out of saved files and undo steps
+        return JSON.parse(JSON.stringify({
+            format: DOCUMENT_FORMAT,
+            version: DOCUMENT_FORMAT_VERSION,
+            metadata: this.documentMetadata,
+            locale: this.locale,
+            dialect: this.dialect,
+            blocks: this.blocks.map(({ selected, ...block }) => block),
+            groups: Array.from(this.groups.values()).map(({ selected, ...group }) => group),
+            variables: Array.from(this.variables.entries()).map(([id, variable]) => ({ id, ...variable })),
+            dataSources: this.dataSources,
+            groupCounter: this.groupCounter
+        }));
+    }
+
+    parseDocument(data) {
+        const migrated = this.migrateDocument(data);
+        const errors = this.validateDocument(migrated);
+        if (errors.length > 0) {
+            throw new DocumentFormatError(errors);
+        }
+        return migrated;
+    }
+
+    migrateDocument(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new DocumentFormatError(['document: expected a JSON object']);
+        }
+        
+        let migrated = JSON.parse(JSON.stringify(data));
+        let version = migrated.version === undefined ? 0 : migrated.version;
+        if (!Number.isInteger(version) || version < 0) {
+            throw new DocumentFormatError([`version: expected a non-negative integer, got ${JSON.stringify(version)}`]);
+        }
+        if (version > DOCUMENT_FORMAT_VERSION) {
+            throw new DocumentFormatError([`version: the document uses format version ${version}, but this editor only supports up to version ${DOCUMENT_FORMAT_VERSION}`]);
+        }
+        
+        while (version < DOCUMENT_FORMAT_VERSION) {
+            migrated = DOCUMENT_MIGRATIONS[version](migrated);
+            version = migrated.version;
+        }
+        return migrated;
+    }
+
+    validateDocument(data) {
+        const errors = [];
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const isStringArray = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+        
+        if (data.format !== DOCUMENT_FORMAT) {
+            errors.push(`format: expected "${DOCUMENT_FORMAT}", got ${JSON.stringify(data.format)}`);
+        }
+        if (data.metadata !== undefined && !isObject(data.metadata)) {
+            errors.push('metadata: expected an object');
+        }
+        try {
+            new Intl.NumberFormat(data.locale);
+            if (typeof data.locale !== 'string' || data.locale === '') {
+                throw new RangeError();
+            }
+        } catch (e) {
+            errors.push(`locale: ${JSON.stringify(data.locale)} is not a valid locale such as "ja-JP" or "en-US"`);
+        }
+        const dialect = data.dialect;
+        if (!isObject(dialect) || !Object.keys(MARKDOWN_PROFILES).includes(dialect.profile) ||
+            !Object.entries(DIALECT_OPTIONS).every(([option, values]) => values.includes(dialect[option]))) {
+            errors.push(`dialect: expected {profile: ${Object.keys(MARKDOWN_PROFILES).join(' | ')}, ${Object.entries(DIALECT_OPTIONS).map(([option, values]) => `${option}: ${values.join(' | ')}`).join(', ')}, fields}`);
+        } else if (!Array.isArray(dialect.fields) || !dialect.fields.every(field => isObject(field) && typeof field.key === 'string' && field.key !== '' && typeof field.value === 'string')) {
+            errors.push('dialect.fields: expected an array of {key: non-empty string, value: string}');
+        }
+        if (!Number.isInteger(data.groupCounter) || data.groupCounter < 0) {
+            errors.push('groupCounter: expected a non-negative integer');
+        }
+        ['blocks', 'groups', 'variables', 'dataSources'].forEach(field => {
+            if (!Array.isArray(data[field])) {
+                errors.push(`${field}: expected an array`);
+            }
+        });
+        if (errors.length > 0) {
+            return errors;
+        }
+        
+        const checkIds = (items, field) => {
+            const ids = new Set();
+            items.forEach((item, index) => {
+                const path = `${field}[${index}]`;
+                if (!isObject(item)) {
+                    errors.push(`${path}: expected an object`);
+                } else if (typeof item.id !== 'string' || !DOCUMENT_ID_PATTERN.test(item.id)) {
+                    errors.push(`${path}.id: expected letters, digits, _ and - only, got ${JSON.stringify(item.id)}`);
+                } else if (ids.has(item.id)) {
+                    errors.push(`${path}.id: duplicate id "${item.id}"`);
+                } else {
+                    ids.add(item.id);
+                }
+            });
+            return ids;
+        };
+        
+        const groupIds = checkIds(data.groups, 'groups');
+        data.groups.forEach((group, index) => {
+            if (!isObject(group)) return;
+            if (typeof group.name !== 'string') {
+                errors.push(`groups[${index}].name: expected a string`);
+            }
+            if (!Number.isFinite(group.order)) {
+                errors.push(`groups[${index}].order: expected a number`);
+            }
+            if (group.parentId !== null && !groupIds.has(group.parentId)) {
+                errors.push(`groups[${index}].parentId: no group with id ${JSON.stringify(group.parentId)}`);
+            }
+            ['collapsed', 'emitHeading'].forEach(field => {
+                if (typeof group[field] !== 'boolean') {
+                    errors.push(`groups[${index}].${field}: expected true or false`);
+                }
+            });
+            if (typeof group.condition !== 'string') {
+                errors.push(`groups[${index}].condition: expected a string`);
+            }
+            if (group.repeat !== null && !(isObject(group.repeat) && typeof group.repeat.source === 'string' && group.repeat.source !== '' &&
+                typeof group.repeat.as === 'string' && /^[A-Za-z_][A-Za-z0-9_]*$/.test(group.repeat.as))) {
+                errors.push(`groups[${index}].repeat: expected null or {source: variable key, as: name}`);
+            }
+        });
+        
+        // Following parentId upwards must always reach the top level
+        const parents = new Map(data.groups.filter(isObject).map(group => [group.id, group.parentId]));
+        parents.forEach((parentId, groupId) => {
+            const seen = new Set([groupId]);
+            let current = parentId;
+            while (current && parents.has(current)) {
+                if (seen.has(current)) {
+                    errors.push(`groups: "${groupId}" is nested inside itself`);
+                    break;
+                }
+                seen.add(current);
+                current = parents.get(current);
+            }
+        });
+        
+        const blockTypes = Object.keys(this.getBlockTypeLabels());
+        checkIds(data.blocks, 'blocks');
+        data.blocks.forEach((block, index) => {
+            if (!isObject(block)) return;
+            const path = `blocks[${index}]`;
+            if (!blockTypes.includes(block.type)) {
+                errors.push(`${path}.type: expected one of ${blockTypes.join(', ')}, got ${JSON.stringify(block.type)}`);
+            } else if (block.type === 'table') {
+                const table = block.content;
+                if (!isObject(table) || !isStringArray(table.headers) || !Array.isArray(table.rows) || !Array.isArray(table.align)) {
+                    errors.push(`${path}.content: expected {headers: string[], rows: string[][], align: []}`);
+                } else {
+                    table.rows.forEach((row, rowIndex) => {
+                        if (!isStringArray(row)) {
+                            errors.push(`${path}.content.rows[${rowIndex}]: expected an array of strings`);
+                        }
+                    });
+                    if (table.align.length !== table.headers.length || !table.align.every(align => [null, 'left', 'center', 'right'].includes(align))) {
+                        errors.push(`${path}.content.align: expected one of null, "left", "center" or "right" per column`);
+                    }
+                    const binding = table.binding;
+                    if (binding !== null && !(isObject(binding) && typeof binding.source === 'string' && isStringArray(binding.columns) && binding.columns.length === table.headers.length)) {
+                        errors.push(`${path}.content.binding: expected null or {source: data name, columns: one string per header}`);
+                    }
+                }
+            } else if (block.type === 'list') {
+                if (!this.listCodec.isList(block.content)) {
+                    errors.push(`${path}.content: expected {style: bullet | ordered | task, items: [{text, checked, children}]}`);
+                }
+            } else if (block.type === 'toc') {
+                const toc = block.content;
+                const isLevel = level => Number.isInteger(level) && level >= 1 && level <= 6;
+                if (!isObject(toc) || !isLevel(toc.minLevel) || !isLevel(toc.maxLevel) || toc.minLevel > toc.maxLevel || typeof toc.numbered !== 'boolean') {
+                    errors.push(`${path}.content: expected {minLevel: 1-6, maxLevel: minLevel-6, numbered: boolean}`);
+                }
+            } else if (block.type === 'image') {
+                const image = block.content;
+                if (!isObject(image) || !['alt', 'src', 'title'].every(field => typeof image[field] === 'string')) {
+                    errors.push(`${path}.content: expected {alt: string, src: string, title: string}`);
+                }
+            } else if (block.type === 'callout') {
+                const callout = block.content;
+                if (!isObject(callout) || !this.getCalloutKinds().includes(callout.kind) || typeof callout.text !== 'string') {
+                    errors.push(`${path}.content: expected {kind: ${this.getCalloutKinds().join(' | ')}, text: string}`);
+                }
+            } else if (typeof block.content !== 'string') {
+                errors.push(`${path}.content: expected a string`);
+            }
+            if (block.groupId !== null && !groupIds.has(block.groupId)) {
+                errors.push(`${path}.groupId: no group with id ${JSON.stringify(block.groupId)}`);
+            }
+            if (!Number.isFinite(block.order)) {
+                errors.push(`${path}.order: expected a number`);
+            }
+            if (typeof block.condition !== 'string') {
+                errors.push(`${path}.condition: expected a string`);
+            }
+        });
+        
+        checkIds(data.variables, 'variables');
+        data.variables.forEach((variable, index) => {
+            if (!isObject(variable)) return;
+            ['key', 'value'].forEach(field => {
+                if (typeof variable[field] !== 'string') {
+                    errors.push(`variables[${index}].${field}: expected a string`);
+                }
+            });
+            if (!VARIABLE_TYPES.includes(variable.type)) {
+                errors.push(`variables[${index}].type: expected one of ${VARIABLE_TYPES.join(', ')}, got ${JSON.stringify(variable.type)}`);
+            }
+            if (variable.currency !== undefined && !/^[A-Z]{3}$/.test(variable.currency)) {
+                errors.push(`variables[${index}].currency: expected a three-letter currency code such as JPY`);
+            }
+        });
+        
+        const dataNames = new Set();
+        const dataFormats = Array.from(new Set(Object.values(DATA_FORMATS)));
+        data.dataSources.forEach((source, index) => {
+            const path = `dataSources[${index}]`;
+            if (!isObject(source)) {
+                errors.push(`${path}: expected an object`);
+                return;
+            }
+            if (typeof source.name !== 'string' || !/^[\p{L}\p{N}_]+$/u.test(source.name)) {
+                errors.push(`${path}.name: expected letters, digits and _ only`);
+            } else if (dataNames.has(source.name)) {
+                errors.push(`${path}.name: duplicate name "${source.name}"`);
+            }
+            dataNames.add(source.name);
+            if (!dataFormats.includes(source.format)) {
+                errors.push(`${path}.format: expected one of ${dataFormats.join(', ')}`);
+            }
+            ['fileName', 'content'].forEach(field => {
+                if (typeof source[field] !== 'string') {
+                    errors.push(`${path}.${field}: expected a string`);
+                }
+            });
+            if (!Number.isFinite(source.loadedAt)) {
+                errors.push(`${path}.loadedAt: expected a timestamp`);
+            }
+        });
+        
+        return errors;
+    }
+
+    loadDocument(data) {
+        const parsed = this.parseDocument(data);
+        
+        this.documentMetadata = parsed.metadata || {};
+        this.locale = parsed.locale;
+        this.dialect = parsed.dialect;
+        this.blocks = parsed.blocks;
+        this.groups = new Map(parsed.groups.map(group => [group.id, group]));
+        this.variables = new Map(parsed.variables.map(({ id, ...variable }) => [id, variable]));
+        this.dataSources = parsed.dataSources;
+        this.refreshDataValues();
+        this.groupCounter = parsed.groupCounter;
+    }
+
+    // Pairs of indices [i, j] where a[i] and b[j] belong to a longest common subsequence. A common start and end
+    // are matched directly, so the table only covers the part that changed.
+    matchSequences(a, b) {
+        const pairs = [];
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) {
+            pairs.push([start, start]);
+            start++;
+        }
+        let endA = a.length;
+        let endB = b.length;
+        const tail = [];
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+            tail.unshift([endA, endB]);
+        }
+        
+        const rows = endA - start;
+        const cols = endB - start;
+        if (rows > 0 && cols > 0 && rows * cols <= 4000000) {
+            const lengths = new Uint32Array((rows + 1) * (cols + 1));
+            const at = (i, j) => i * (cols + 1) + j;
+            for (let i = rows - 1; i >= 0; i--) {
+                for (let j = cols - 1; j >= 0; j--) {
+                    lengths[at(i, j)] = a[start + i] === b[start + j]
+                        ? lengths[at(i + 1, j + 1)] + 1
+                        : Math.max(lengths[at(i + 1, j)], lengths[at(i, j + 1)]);
+                }
+            }
+            let i = 0;
+            let j = 0;
+            while (i < rows && j < cols) {
+                if (a[start + i] === b[start + j]) {
+                    pairs.push([start + i, start + j]);
+                    i++;
+                    j++;
+                } else if (lengths[at(i + 1, j)] >= lengths[at(i, j + 1)]) {
+                    i++;
+                } else {
+                    j++;
+                }
+            }
+        }
+        return [...pairs, ...tail];
+    }
+
+    // Three-way merge of values both sides changed from base: text by character, objects by field and
+    // arrays of unchanged length by item. Returns {value}, or null when the changes overlap.
+    mergeCollabValues(base, mine, theirs) {
+        const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        if (same(mine, theirs) || same(base, mine)) return { value: theirs };
+        if (same(base, theirs)) return { value: mine };
+        
+        if ([base, mine, theirs].every(value => typeof value === 'string')) {
+            const text = this.mergeCollabText(base, mine, theirs);
+            return text === null ? null : { value: text };
+        }
+        if ([base, mine, theirs].every(isObject)) {
+            const merged = {};
+            for (const field of new Set([...Object.keys(theirs), ...Object.keys(mine)])) {
+                const result = this.mergeCollabValues(base[field], mine[field], theirs[field]);
+                if (!result) return null;
+                if (result.value !== undefined) {
+                    merged[field] = result.value;
+                }
+            }
+            return { value: merged };
+        }
+        if ([base, mine, theirs].every(value => Array.isArray(value) && value.length === base.length)) {
+            const merged = [];
+            for (let i = 0; i < base.length; i++) {
+                const result = this.mergeCollabValues(base[i], mine[i], theirs[i]);
+                if (!result) return null;
+                merged.push(result.value);
+            }
+            return { value: merged };
+        }
+        return null;
+    }
+
+    // Between characters of base that both sides kept, a stretch changed on one side takes that side's
+    // text; a stretch both changed differently cannot be merged
+    mergeCollabText(base, mine, theirs) {
+        const toMine = new Map(this.matchSequences(base, mine));
+        const toTheirs = new Map(this.matchSequences(base, theirs));
+        let merged = '';
+        let i = 0;
+        let a = 0;
+        let b = 0;
+        for (;;) {
+            let k = i;
+            while (k < base.length && !(toMine.has(k) && toTheirs.has(k))) {
+                k++;
+            }
+            const nextA = k < base.length ? toMine.get(k) : mine.length;
+            const nextB = k < base.length ? toTheirs.get(k) : theirs.length;
+            const original = base.slice(i, k);
+            const ours = mine.slice(a, nextA);
+            const other = theirs.slice(b, nextB);
+            if (ours === original || ours === other) {
+                merged += other;
+            } else if (other === original) {
+                merged += ours;
+            } else {
+                return null;
+            }
+            if (k === base.length) {
+                return merged;
+            }
+            merged += base[k];
+            i = k + 1;
+            a = nextA + 1;
+            b = nextB + 1;
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        StructuredDocument,
+        DocumentFormatError,
+        ExpressionError,
+        DOCUMENT_FORMAT,
+        DOCUMENT_FORMAT_VERSION,
+        VARIABLE_TYPES,
+        DEFAULT_LOCALE,
+        DATA_FORMATS,
+        DOCUMENT_ID_PATTERN,
+        MARKDOWN_PROFILES,
+        DIALECT_OPTIONS,
+        DEFAULT_DIALECT
+    };
+}
@@ -1,17 +1,385 @@
-class StructuredMarkdownEditor {
+class DocumentStore {
+    constructor(databaseName = 'structuredMarkdownEditor') {
+        this.databaseName = databaseName;
+        this.database = null;
+    }
+
+    open() {
+        if (!this.database) {
+            this.database = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.databaseName, 4);
+                request.onupgradeneeded = () => {
+                    // Version 2 adds the shared template library next to the documents, version 3 the snapshots,
+                    // version 4 the undo history, which used to be saved inside each document record
+                    ['documents', 'templates', 'snapshots', 'history'].forEach(storeName => {
+                        if (!request.result.objectStoreNames.contains(storeName)) {
+                            const store = request.result.createObjectStore(storeName, { keyPath: 'id' });
+                            if (storeName === 'snapshots') {
+                                store.createIndex('documentId', 'documentId');
+                            }
+                        }
+                    });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.database;
+    }
+
+    async request(mode, operation, storeName = 'documents') {
+        const database = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('The transaction was aborted'));
+        });
+    }
+
+    getAll(storeName = 'documents') {
+        return this.request('readonly', store => store.getAll(), storeName);
+    }
+
+    getAllByIndex(indexName, value, storeName) {
+        return this.request('readonly', store => store.index(indexName).getAll(value), storeName);
+    }
+
+    get(id, storeName = 'documents') {
+        return this.request('readonly', store => store.get(id), storeName);
+    }
+
+    put(record, storeName = 'documents') {
+        return this.request('readwrite', store => store.put(record), storeName);
+    }
+
+    delete(id, storeName = 'documents') {
+        return this.request('readwrite', store => store.delete(id), storeName);
+    }
+}
+
+// Stands in for DocumentStore when IndexedDB can't be opened (blocked storage, some private windows). Records
+// are kept in memory and copied to localStorage; whatever it has no room for lasts until the tab is closed.
+// The undo history would soon fill localStorage's few megabytes, so it is only kept in memory.
+class LocalDocumentStore {
+    constructor(prefix = 'structuredMarkdownEditor:', memoryOnly = ['history']) {
+        this.prefix = prefix;
+        this.memoryOnly = new Set(memoryOnly);
+        this.stores = new Map();
+    }
+
+    records(storeName) {
+        if (!this.stores.has(storeName)) {
+            let records = [];
+            try {
+                if (!this.memoryOnly.has(storeName)) {
+                    records = JSON.parse(localStorage.getItem(this.prefix + storeName)) || [];
+                }
+            } catch (e) {
+                console.error('Failed to read local storage:', e);
+            }
+            this.stores.set(storeName, new Map(records.map(record => [record.id, record])));
+        }
+        return this.stores.get(storeName);
+    }
+
+    persist(storeName) {
+        if (this.memoryOnly.has(storeName)) return;
+        localStorage.setItem(this.prefix + storeName, JSON.stringify(Array.from(this.records(storeName).values())));
+    }
+
+    // Records are copied in and out, as IndexedDB does
+    async getAll(storeName = 'documents') {
+        return Array.from(this.records(storeName).values(), record => JSON.parse(JSON.stringify(record)));
+    }
+
+    async getAllByIndex(indexName, value, storeName) {
+        return (await this.getAll(storeName)).filter(record => record[indexName] === value);
+    }
+
+    async get(id, storeName = 'documents') {
+        const record = this.records(storeName).get(id);
+        return record && JSON.parse(JSON.stringify(record));
+    }
+
+    async put(record, storeName = 'documents') {
+        this.records(storeName).set(record.id, JSON.parse(JSON.stringify(record)));
+        this.persist(storeName);
+        return record.id;
+    }
+
+    async delete(id, storeName = 'documents') {
+        this.records(storeName).delete(id);
+        this.persist(storeName);
+    }
+}
+
+const TEMPLATE_LIBRARY_FORMAT = 'structured-markdown-templates';
+const FRAGMENT_FORMAT = 'structured-markdown-fragment';
+// Automatic snapshots are taken on the first save this long after the last one; only the newest are kept
+const AUTO_SNAPSHOT_INTERVAL = 10 * 60 * 1000;
+const MAX_AUTO_SNAPSHOTS = 20;
+// The undo history is written this long after the last edit rather than on every one
+const HISTORY_SAVE_DELAY = 2000;
+// Collaborators are told apart by these colours, picked from their client id
+const COLLAB_COLORS = ['#e74c3c', '#27ae60', '#8e44ad', '#e67e22', '#16a085', '#2980b9', '#c0392b', '#d35400'];
+// Own versions of a register kept for merging, enough to cover the edits still on their way to the others
+const MAX_COLLAB_VERSIONS = 50;
+// Register keys a collaborative document uses (see getCollabValues); ids follow DOCUMENT_ID_PATTERN
+const COLLAB_KEY_PATTERN = /^(meta:(metadata|locale|dialect)|data:[\p{L}\p{N}_]+|(variable|group|block|place):[\w-]+|(row|column):[\w-]+:[\w-]+|cell:[\w-]+:[\w-]+:[\w-]+)$/u;
+
+// Exported HTML embeds EXPORT_STYLESHEET; a theme only sets the custom properties it uses
+const EXPORT_THEMES = {
+    light: {
+        label: 'Light',
+        variables: '--text: #333; --heading: #2c3e50; --background: #fff; --muted: #6a737d; --border: #dfe2e5; --surface: #f6f8fa; --link: #0366d6; --font: "Segoe UI", Tahoma, Geneva, Verdana, sans-serif;'
+    },
+    serif: {
+        label: 'Serif',
+        variables: '--text: #222; --heading: #111; --background: #fff; --muted: #555; --border: #c8c8c8; --surface: #f5f5f2; --link: #1a4f8b; --font: Georgia, "Times New Roman", serif;'
+    },
+    dark: {
+        label: 'Dark',
+        variables: '--text: #d6dbe1; --heading: #f0f3f6; --background: #0d1117; --muted: #8b949e; --border: #30363d; --surface: #161b22; --link: #58a6ff; --font: "Segoe UI", Tahoma, Geneva, Verdana, sans-serif;'
+    }
+};
+
+const EXPORT_STYLESHEET = `
+body { margin: 0; background: var(--background); color: var(--text); font-family: var(--font); line-height: 1.6; }
+main { max-width: 50rem; margin: 0 auto; padding: 2rem 1.5rem; }
+main h1, main h2, main h3, main h4, main h5, main h6 { color: var(--heading); line-height: 1.3; }
+main h1, main h2 { border-bottom: 1px solid var(--border); padding-bottom: 0.3rem; }
+main a { color: var(--link); }
+main blockquote { border-left: 4px solid var(--border); color: var(--muted); margin-left: 0; padding: 0 1rem; }
+main code { font-family: Monaco, Consolas, monospace; font-size: 0.85em; background: var(--surface); padding: 0.1rem 0.3rem; border-radius: 3px; }
+main pre { background: var(--surface); padding: 0.75rem 1rem; border-radius: 4px; overflow-x: auto; }
+main pre code { background: none; padding: 0; }
+main table { border-collapse: collapse; }
+main th, main td { border: 1px solid var(--border); padding: 0.4rem 0.75rem; }
+main th { background: var(--surface); }
+main img { max-width: 100%; }
+main hr { border: none; border-top: 2px solid var(--border); }
+.callout { border-left: 4px solid var(--border); padding: 0.25rem 1rem; }
+.callout-title { font-weight: 600; margin-bottom: 0.25rem; }
+.callout-note { border-left-color: #0969da; }
+.callout-tip { border-left-color: #1a7f37; }
+.callout-important { border-left-color: #8250df; }
+.callout-warning { border-left-color: #9a6700; }
+.callout-caution { border-left-color: #cf222e; }
+.math-block { font-family: Monaco, Consolas, monospace; text-align: center; padding: 0.5rem; background: var(--surface); }
+pre.mermaid { border: 1px dashed var(--border); }
+.toc { background: var(--surface); border-radius: 4px; padding: 0.5rem 1rem; }
+.page-layout { width: 100%; border-collapse: collapse; }
+.page-layout > * > tr > td { padding: 0; }
+.page-header, .page-footer { display: none; color: var(--muted); font-size: 0.8rem; }
+@media print {
+    @page { margin: 15mm; }
+    body { background: #fff; font-size: 11pt; }
+    main { max-width: none; padding: 0; }
+    main pre, main table, main img, .callout { break-inside: avoid; }
+    main h1, main h2, main h3 { break-after: avoid; }
+    .page-break { break-before: page; }
+    .page-header, .page-footer { display: table-cell; }
+    .page-header { padding-bottom: 4mm; }
+    .page-footer { padding-top: 4mm; }
+}
+`;
+
+// Command id -> key combinations, written as modifiers in the order Ctrl, Alt, Shift followed by the key.
+// Ctrl also stands for Cmd on macOS. Users can rebind any command in the settings.
+const DEFAULT_SHORTCUTS = {
+    'palette.open': ['Ctrl+K'],
+    'history.undo': ['Ctrl+Z'],
+    'history.redo': ['Ctrl+Shift+Z', 'Ctrl+Y'],
+    'item.moveUp': ['Alt+ArrowUp'],
+    'item.moveDown': ['Alt+ArrowDown'],
+    'focus.previous': ['Alt+Shift+ArrowUp'],
+    'focus.next': ['Alt+Shift+ArrowDown'],
+    'selection.group': ['Ctrl+G'],
+    'block.split': ['Ctrl+Shift+Enter'],
+    'block.mergeNext': ['Alt+Shift+J'],
+    'document.export': ['Ctrl+Shift+E'],
+    'find.open': ['Ctrl+F']
+};
+
+// Rules of the document linter; each can be turned off in the problems panel
+const LINT_RULES = {
+    'undefined-variable': 'Placeholders with no matching variable',
+    'unused-variable': 'Variables that are never used',
+    'duplicate-variable': 'Duplicate variable keys',
+    'heading-skip': 'Heading levels that skip (h1 → h3)',
+    'empty-cell': 'Empty table cells',
+    'ragged-table': 'Table rows with missing or extra cells',
+    'code-fence': 'Unclosed code fences',
+    'table-pipe': 'Unescaped pipes (|) in table cells'
+};
+
+// Shared state of a collaborative document: last-writer-wins registers that replicas can merge in any order.
+// An op is {key, value, clock, client, base}; the higher Lamport clock wins and the client id breaks ties, so every
+// replica that has seen the same ops holds the same values. collab-relay.js applies the same rule. base is the
+// version ("clock:client") the writer replaced, which tells whether an op was written without seeing another.
+class CollabDocument {
+    constructor(clientId) {
+        this.clientId = clientId;
+        this.clock = 0;
+        this.registers = new Map();
+        // For each register this replica wrote last: the value it replaced and its own recent versions, which
+        // are the bases for merging its edit with a concurrent one
+        this.edits = new Map();
+    }
+
+    static wins(op, current) {
+        return op.clock > current.clock || (op.clock === current.clock && op.client > current.client);
+    }
+
+    static versionOf(op) {
+        return `${op.clock}:${op.client}`;
+    }
+
+    // Fractional positions sort as strings, and there is always room for one more between two of them,
+    // so moving an item only rewrites its own position. after = null means no upper bound.
+    static positionBetween(before = '', after = null) {
+        const digits = '0123456789abcdefghijklmnopqrstuvwxyz';
+        let position = '';
+        for (let i = 0; ; i++) {
+            const low = i < before.length ? digits.indexOf(before[i]) : 0;
+            const high = after !== null && i < after.length ? digits.indexOf(after[i]) : digits.length;
+            if (high - low > 1) {
+                return position + digits[Math.floor((low + high) / 2)];
+            }
+            position += digits[low];
+            if (high - low === 1) {
+                after = null;
+            }
+        }
+    }
+
+    // Applies ops from any replica and returns the ones that changed a register
+    apply(ops) {
+        return ops.filter(op => {
+            this.clock = Math.max(this.clock, op.clock);
+            const current = this.registers.get(op.key);
+            if (current && !CollabDocument.wins(op, current)) return false;
+            this.registers.set(op.key, { value: op.value, clock: op.clock, client: op.client, base: op.base || null });
+            if (op.client !== this.clientId) {
+                this.edits.delete(op.key);
+            }
+            return true;
+        });
+    }
+
+    // Records local values and returns an op for each one that differs from its register
+    set(values) {
+        const ops = [];
+        values.forEach((value, key) => {
+            const current = this.registers.get(key);
+            if (current && JSON.stringify(current.value) === JSON.stringify(value)) return;
+            const base = current ? CollabDocument.versionOf(current) : null;
+            ops.push({ key, value, clock: ++this.clock, client: this.clientId, base });
+            if (!this.edits.has(key)) {
+                this.edits.set(key, { base, value: current ? current.value : undefined, versions: new Map() });
+            }
+        });
+        this.apply(ops);
+        ops.forEach(op => {
+            const { versions } = this.edits.get(op.key);
+            versions.set(CollabDocument.versionOf(op), op.value);
+            if (versions.size > MAX_COLLAB_VERSIONS) {
+                versions.delete(versions.keys().next().value);
+            }
+        });
+        return ops;
+    }
+
+    // Own edits that ops are about to replace although their writers had not seen them: [{key, base, mine, op}],
+    // where base is the value both sides started from
+    findLostEdits(ops) {
+        const lost = [];
+        ops.forEach(op => {
+            const current = this.registers.get(op.key);
+            const edit = this.edits.get(op.key);
+            if (!current || !edit || current.client !== this.clientId || !CollabDocument.wins(op, current)) return;
+            if (op.base === CollabDocument.versionOf(current)) return;
+            const base = edit.versions.has(op.base) ? edit.versions.get(op.base) : edit.value;
+            lost.push({ key: op.key, base, mine: current.value, op });
+        });
+        return lost;
+    }
+
+    get(key) {
+        const register = this.registers.get(key);
+        return register ? register.value : undefined;
+    }
+
+    values() {
+        return new Map(Array.from(this.registers, ([key, register]) => [key, register.value]));
+    }
+
+    getOps() {
+        return Array.from(this.registers, ([key, register]) => ({ key, ...register }));
+    }
+}
+
+class StructuredMarkdownEditor extends StructuredDocument {
     constructor() {
-        this.blocks = [];
-        this.variables = new Map();
-        this.groups = new Map();
-        this.groupCounter = 0;
-        this.draggedBlock = null;
-        this.draggedGroup = null;
+        super();
+        this.dragged = null;
+        this.previewMode = 'raw';
+        this.activeBlockId = null;
+        this.shortcuts = { ...DEFAULT_SHORTCUTS };
+        // The command palette works on the block or group that had focus when it opened
+        this.paletteTarget = null;
+        this.paletteIndex = 0;
+        // Command id whose new key combination the settings dialog is waiting for
+        this.capturingShortcut = null;
+        // "block:<id>" or "group:<id>" of the last clicked selection checkbox, where a shift-click range starts
+        this.selectionAnchor = null;
+        // Matches of the find bar's query, and the one that Replace acts on
+        this.findMatches = [];
+        this.findIndex = -1;
+        this.disabledLintRules = new Set();
+        this.problems = [];
+        // Snapshots of the open document, newest first, and the two being compared ('current' is the document itself)
+        this.snapshots = [];
+        this.lastSnapshotAt = 0;
+        this.diffFrom = null;
+        this.diffTo = 'current';
+        this.diffView = 'structure';
+        // Collaboration: the shared registers, the relay connection and the other people in the room
+        this.collab = null;
+        this.collabSession = null;
+        this.collabSocket = null;
+        this.collabReconnect = null;
+        this.collabPeers = new Map();
+        this.collabBlockId = null;
+        this.collabIdCounter = 0;
+        // Blocks whose own edit lost against an overlapping one: blockId -> {name, values: register key -> own value}
+        this.collabConflicts = new Map();
+        this.collabServer = '';
+        this.collabName = '';
+        this.history = { undo: [], redo: [] };
+        this.maxHistory = 100;
+        this.historySaveTimer = null;
+        this.pendingHistorySave = null;
+        this.committedState = null;
+        this.lastHistoryKey = null;
+        this.store = new DocumentStore();
+        this.saveFailed = false;
+        this.documents = [];
+        this.documentId = null;
+        this.documentName = '';
+        this.templates = [];
+        // The files picked this session for each data source, for reloading
+        this.dataFiles = new Map();
         this.init();
     }
 
-    init() {
+    async init() {
         this.bindEvents();
-        this.loadFromStorage();
+        this.loadSettings();
+        await this.loadFromStorage();
+        await this.loadTemplates();
         this.updatePreview();
     }
 
@@ -27,855 +395,5835 @@ class StructuredMarkdownEditor {
             this.addVariable();
         });
 
+        document.getElementById('attach-data-btn').addEventListener('click', () => {
+            this.attachDataFile();
+        });
+
+        document.getElementById('reload-data-btn').addEventListener('click', () => {
+            this.reloadAllData();
+        });
+
         document.getElementById('group-selected-btn').addEventListener('click', () => {
             this.groupSelectedBlocks();
         });
 
+        document.getElementById('duplicate-selected-btn').addEventListener('click', () => {
+            this.duplicateSelected();
+        });
+
+        document.getElementById('move-selected-up-btn').addEventListener('click', () => {
+            this.moveSelected(-1);
+        });
+
+        document.getElementById('move-selected-down-btn').addEventListener('click', () => {
+            this.moveSelected(1);
+        });
+
+        document.getElementById('convert-selected-select').addEventListener('change', (e) => {
+            if (e.target.value) {
+                this.convertSelected(e.target.value);
+            }
+        });
+
+        document.getElementById('copy-selected-btn').addEventListener('click', () => {
+            this.copySelected(false);
+        });
+
+        document.getElementById('cut-selected-btn').addEventListener('click', () => {
+            this.copySelected(true);
+        });
+
+        document.getElementById('delete-selected-btn').addEventListener('click', () => {
+            this.deleteSelected();
+        });
+
+        document.getElementById('clear-selection-btn').addEventListener('click', () => {
+            this.clearSelection();
+        });
+
+        document.getElementById('template-select').addEventListener('change', (e) => {
+            const templateId = e.target.value;
+            e.target.value = '';
+            if (templateId) {
+                this.insertTemplate(templateId);
+            }
+        });
+
+        document.getElementById('save-template-btn').addEventListener('click', () => {
+            this.saveSelectionAsTemplate();
+        });
+
+        document.getElementById('delete-template-btn').addEventListener('click', () => {
+            this.deleteTemplate();
+        });
+
+        document.getElementById('export-templates-btn').addEventListener('click', () => {
+            this.exportTemplates();
+        });
+
+        document.getElementById('import-templates-btn').addEventListener('click', () => {
+            this.importTemplatesFile();
+        });
+
         document.querySelector('.copy-btn').addEventListener('click', () => {
             this.copyToClipboard();
         });
 
         document.querySelector('.download-btn').addEventListener('click', () => {
-            this.downloadMarkdown();
+            this.openExportDialog();
+        });
+
+        document.querySelectorAll('input[name="export-format"]').forEach(input => {
+            input.addEventListener('change', () => {
+                this.updateExportDialog();
+            });
+        });
+
+        document.getElementById('export-filename').addEventListener('input', () => {
+            this.updateExportDialog();
+        });
+
+        document.getElementById('export-cancel-btn').addEventListener('click', () => {
+            document.getElementById('export-dialog').close();
+        });
+
+        document.getElementById('export-confirm-btn').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.confirmExport();
         });
 
         document.querySelector('.upload-btn').addEventListener('click', () => {
             this.uploadFile();
         });
-    }
 
-    addBlock(type, groupId = null) {
-        const blockId = `block_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-        const block = {
-            id: blockId,
-            type: type,
-            content: this.getDefaultContent(type),
-            groupId: groupId,
-            selected: false,
-            order: this.blocks.length
-        };
+        document.querySelector('.undo-btn').addEventListener('click', () => {
+            this.undo();
+        });
 
-        this.blocks.push(block);
-        this.renderAllContent();
-        this.updatePreview();
-        this.saveToStorage();
-    }
+        document.querySelector('.redo-btn').addEventListener('click', () => {
+            this.redo();
+        });
 
-    getDefaultContent(type) {
-        const defaults = {
-            heading: '# New Heading',
-            paragraph: 'New paragraph content...',
-            list: '- Item 1\n- Item 2\n- Item 3',
-            code: '```javascript\n// Your code here\nconsole.log("Hello World");\n```',
-            table: {
-                headers: ['Column 1', 'Column 2', 'Column 3'],
-                rows: [
-                    ['Cell 1', 'Cell 2', 'Cell 3'],
-                    ['Cell 4', 'Cell 5', 'Cell 6']
-                ]
-            }
-        };
-        return defaults[type] || '';
-    }
+        document.addEventListener('keydown', (e) => {
+            this.handleKeyDown(e);
+        });
 
-    renderAllContent() {
-        const container = document.getElementById('blocks-container');
-        container.innerHTML = '';
-        
-        // Create a unified ordered list combining blocks and groups
-        const orderedItems = [];
-        
-        // Add ungrouped blocks
-        this.blocks.filter(block => !block.groupId).forEach(block => {
-            orderedItems.push({
-                type: 'block',
-                item: block,
-                order: block.order || 0
+        document.getElementById('find-input').addEventListener('input', () => {
+            this.findIndex = 0;
+            this.runFind();
+        });
+
+        document.querySelectorAll('.find-option').forEach(option => {
+            option.addEventListener('change', () => {
+                this.findIndex = 0;
+                this.runFind();
             });
         });
-        
-        // Add groups
-        this.groups.forEach((group, groupId) => {
-            const groupBlocks = this.blocks.filter(block => block.groupId === groupId);
-            if (groupBlocks.length > 0) {
-                orderedItems.push({
-                    type: 'group',
-                    item: group,
-                    blocks: groupBlocks,
-                    order: group.order || 0
-                });
-            }
+
+        document.getElementById('find-bar').addEventListener('keydown', (e) => {
+            this.handleFindKeyDown(e);
         });
-        
-        // Sort by order
-        orderedItems.sort((a, b) => a.order - b.order);
-        
-        // Render in order
-        orderedItems.forEach(item => {
-            if (item.type === 'block') {
-                this.renderBlock(item.item, container);
-            } else if (item.type === 'group') {
-                this.renderGroup(item.item, item.blocks, container);
-            }
+
+        document.getElementById('find-previous-btn').addEventListener('click', () => {
+            this.goToFindMatch(-1);
         });
 
-        this.bindBlockEvents();
-    }
+        document.getElementById('find-next-btn').addEventListener('click', () => {
+            this.goToFindMatch(1);
+        });
 
-    renderBlock(block, container) {
-        const blockElement = document.createElement('div');
-        blockElement.className = `block ${block.selected ? 'selected' : ''}`;
-        blockElement.dataset.blockId = block.id;
-        blockElement.draggable = true;
+        document.getElementById('replace-btn').addEventListener('click', () => {
+            this.replaceCurrentMatch();
+        });
 
-        blockElement.innerHTML = `
-            <div class="block-header">
-                <input type="checkbox" class="block-select" data-block-id="${block.id}" ${block.selected ? 'checked' : ''}>
-                <span class="drag-handle">⋮⋮</span>
-                <span>${this.getBlockTypeLabel(block.type)}</span>
-                <div class="block-controls">
-                    <button onclick="editor.moveBlockUp('${block.id}')">↑</button>
-                    <button onclick="editor.moveBlockDown('${block.id}')">↓</button>
-                    <button onclick="editor.deleteBlock('${block.id}')" style="color: #dc3545;">🗑️</button>
-                </div>
-            </div>
-            <div class="block-content">
-                ${this.renderBlockContent(block)}
-            </div>
-        `;
+        document.getElementById('replace-all-btn').addEventListener('click', () => {
+            this.replaceAllMatches();
+        });
 
-        this.addDragEvents(blockElement);
-        container.appendChild(blockElement);
-    }
+        document.getElementById('extract-variable-btn').addEventListener('click', () => {
+            const regex = document.getElementById('find-regex').checked;
+            this.extractToVariable(regex ? '' : document.getElementById('find-input').value);
+        });
 
-    renderGroup(group, blocks, container) {
-        const groupElement = document.createElement('div');
-        groupElement.className = 'group';
-        groupElement.dataset.groupId = group.id;
-        groupElement.draggable = true;
+        document.getElementById('find-close-btn').addEventListener('click', () => {
+            this.closeFind();
+        });
 
-        groupElement.innerHTML = `
-            <div class="group-header">
-                <span class="drag-handle">⋮⋮</span>
-                <input type="text" class="group-name-input" value="${group.name}" data-group-id="${group.id}">
-                <div class="group-controls">
-                    <button onclick="editor.moveGroupUp('${group.id}')">↑</button>
-                    <button onclick="editor.moveGroupDown('${group.id}')">↓</button>
-                    <button onclick="editor.ungroupBlocks('${group.id}')">📤 Ungroup</button>
-                    <button onclick="editor.deleteGroup('${group.id}')" style="color: #dc3545;">🗑️</button>
-                </div>
-            </div>
-            <div class="group-content">
-                ${blocks.map(block => this.renderGroupBlock(block)).join('')}
-            </div>
-        `;
+        document.addEventListener('copy', (e) => {
+            this.handleCopy(e, false);
+        });
 
-        this.addGroupDragEvents(groupElement);
-        container.appendChild(groupElement);
-    }
+        document.addEventListener('cut', (e) => {
+            this.handleCopy(e, true);
+        });
 
-    renderGroupBlock(block) {
-        return `
-            <div class="block group-block ${block.selected ? 'selected' : ''}" data-block-id="${block.id}" draggable="true">
-                <div class="block-header">
-                    <input type="checkbox" class="block-select" data-block-id="${block.id}" ${block.selected ? 'checked' : ''}>
-                    <span class="drag-handle">⋮⋮</span>
-                    <span>${this.getBlockTypeLabel(block.type)}</span>
-                    <div class="block-controls">
-                        <button onclick="editor.deleteBlock('${block.id}')" style="color: #dc3545;">🗑️</button>
-                    </div>
-                </div>
-                <div class="block-content">
-                    ${this.renderBlockContent(block)}
-                </div>
-            </div>
-        `;
-    }
+        document.addEventListener('paste', (e) => {
+            this.handlePaste(e);
+        });
 
-    renderBlockContent(block) {
-        if (block.type === 'table') {
-            return this.renderTableEditor(block);
-        } else {
-            return `<textarea class="block-input" data-block-id="${block.id}" placeholder="Enter your ${block.type} content...">${block.content}</textarea>`;
-        }
-    }
+        document.getElementById('command-palette-input').addEventListener('input', () => {
+            this.paletteIndex = 0;
+            this.renderCommandPalette();
+        });
 
-    renderTableEditor(block) {
-        const table = block.content;
-        let html = '<div class="table-container">';
-        html += '<table class="editable-table">';
-        
-        html += '<thead><tr>';
-        html += '<th class="delete-col-header"></th>';
-        table.headers.forEach((header, index) => {
-            html += `<th><input type="text" class="table-input header-input" data-block-id="${block.id}" data-row="-1" data-col="${index}" value="${header}"></th>`;
-            html += `<th class="delete-col-cell"><button class="delete-col-btn" onclick="editor.deleteTableColumn('${block.id}', ${index})">🗑️</button></th>`;
+        document.getElementById('command-palette-input').addEventListener('keydown', (e) => {
+            this.handlePaletteKeyDown(e);
         });
-        html += '</tr></thead>';
-        
-        html += '<tbody>';
-        table.rows.forEach((row, rowIndex) => {
-            html += '<tr>';
-            html += `<td class="delete-row-cell"><button class="delete-row-btn" onclick="editor.deleteTableRow('${block.id}', ${rowIndex})">🗑️</button></td>`;
-            row.forEach((cell, colIndex) => {
-                html += `<td><input type="text" class="table-input" data-block-id="${block.id}" data-row="${rowIndex}" data-col="${colIndex}" value="${cell}"></td>`;
-                html += '<td></td>';
-            });
-            html += '</tr>';
+
+        document.getElementById('command-palette-list').addEventListener('click', (e) => {
+            const entry = e.target.closest('.command-palette-item');
+            if (entry) {
+                this.runPaletteCommand(parseInt(entry.dataset.index));
+            }
         });
-        html += '</tbody></table>';
-        
-        html += `
-            <div class="table-controls">
-                <button class="table-control-btn" onclick="editor.addTableRow('${block.id}')">Add Row</button>
-                <button class="table-control-btn" onclick="editor.addTableColumn('${block.id}')">Add Column</button>
-            </div>
-        `;
-        html += '</div>';
-        
-        return html;
+
+        document.querySelector('.settings-btn').addEventListener('click', () => {
+            this.openSettings();
+        });
+
+        document.querySelector('.collab-btn').addEventListener('click', () => {
+            this.openCollaboration();
+        });
+
+        document.getElementById('collab-join-btn').addEventListener('click', () => {
+            this.joinCollaboration(
+                document.getElementById('collab-server').value.trim(),
+                document.getElementById('collab-room').value.trim(),
+                document.getElementById('collab-name').value.trim()
+            );
+        });
+
+        document.getElementById('collab-leave-btn').addEventListener('click', () => {
+            this.leaveCollaboration();
+        });
+
+        document.getElementById('collab-close-btn').addEventListener('click', () => {
+            document.getElementById('collab-dialog').close();
+        });
+
+        document.getElementById('blocks-container').addEventListener('focusin', (e) => {
+            const block = e.target.closest('.block');
+            this.setCollabPresence(block ? block.dataset.blockId : null);
+        });
+
+        // A history save still waiting for its timer is done before the page goes away
+        window.addEventListener('pagehide', () => this.flushHistorySave());
+
+        document.querySelector('.history-btn').addEventListener('click', () => {
+            this.openSnapshots();
+        });
+
+        document.getElementById('take-snapshot-btn').addEventListener('click', () => {
+            this.takeNamedSnapshot();
+        });
+
+        document.getElementById('snapshot-list').addEventListener('change', (e) => {
+            if (e.target.name === 'diff-from') {
+                this.diffFrom = e.target.value;
+            } else if (e.target.name === 'diff-to') {
+                this.diffTo = e.target.value;
+            }
+            this.renderSnapshotDiff();
+        });
+
+        document.querySelectorAll('.diff-view-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.diffView = btn.dataset.view;
+                this.renderSnapshotDiff();
+            });
+        });
+
+        document.getElementById('history-close-btn').addEventListener('click', () => {
+            document.getElementById('history-dialog').close();
+        });
+
+        document.getElementById('settings-dialog').addEventListener('keydown', (e) => {
+            this.handleSettingsKeyDown(e);
+        });
+
+        // Escape while waiting for a key combination cancels that, not the dialog
+        document.getElementById('settings-dialog').addEventListener('cancel', (e) => {
+            if (this.capturingShortcut) {
+                e.preventDefault();
+            }
+        });
+
+        document.getElementById('settings-close-btn').addEventListener('click', () => {
+            document.getElementById('settings-dialog').close();
+        });
+
+        document.getElementById('reset-shortcuts-btn').addEventListener('click', () => {
+            this.resetAllShortcuts();
+        });
+
+        // Leaving a field ends its typing run, so the next edit starts a new undo step
+        document.addEventListener('focusout', () => {
+            this.lastHistoryKey = null;
+        });
+
+        document.querySelector('.document-select').addEventListener('change', (e) => {
+            this.switchDocument(e.target.value);
+        });
+
+        document.querySelector('.new-document-btn').addEventListener('click', () => {
+            this.createDocument();
+        });
+
+        document.querySelector('.rename-document-btn').addEventListener('click', () => {
+            this.renameDocument();
+        });
+
+        document.querySelector('.duplicate-document-btn').addEventListener('click', () => {
+            this.duplicateDocument();
+        });
+
+        document.querySelector('.delete-document-btn').addEventListener('click', () => {
+            this.deleteDocument();
+        });
+
+        document.querySelector('.export-json-btn').addEventListener('click', () => {
+            this.exportDocument();
+        });
+
+        document.querySelector('.import-json-btn').addEventListener('click', () => {
+            this.importDocumentFile();
+        });
+
+        document.getElementById('document-locale').addEventListener('change', (e) => {
+            this.setLocale(e.target.value);
+        });
+
+        document.getElementById('dialect-profile').addEventListener('change', (e) => {
+            this.setDialectProfile(e.target.value);
+        });
+
+        document.querySelectorAll('.dialect-option').forEach(select => {
+            select.addEventListener('change', () => {
+                this.setDialectOption(select.dataset.option, select.value);
+            });
+        });
+
+        document.getElementById('dialect-front-matter').addEventListener('input', (e) => {
+            this.setFrontMatterFields(e.target.value);
+        });
+
+        document.querySelectorAll('.preview-mode-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.setPreviewMode(btn.dataset.mode);
+            });
+        });
+
+        document.getElementById('preview-content').addEventListener('click', (e) => {
+            this.handlePreviewClick(e);
+        });
+
+        document.getElementById('blocks-container').addEventListener('focusin', (e) => {
+            this.handleEditorFocus(e);
+        });
+
+        this.bindOutlineEvents();
+    }
+
+    addBlock(type, groupId = null, afterBlockId = null) {
+        const block = this.createBlock(type, this.getDefaultContent(type), groupId);
+        this.insertBlock(block, afterBlockId);
+        this.renderAllContent();
+        this.updatePreview();
+        this.saveToStorage();
+        return block.id;
+    }
+
+    createBlock(type, content, groupId = null, condition = '') {
+        return {
+            id: `block_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            type: type,
+            content: content,
+            groupId: groupId,
+            selected: false,
+            order: this.blocks.length,
+            condition: condition
+        };
+    }
+
+    // Adds the block at the end of its container, or right after afterBlockId
+    insertBlock(block, afterBlockId = null) {
+        this.blocks.push(block);
+        if (afterBlockId) {
+            const siblings = this.getAllOrderedItems(block.groupId).filter(entry => entry.item !== block);
+            siblings.splice(siblings.findIndex(entry => entry.item.id === afterBlockId) + 1, 0, { type: 'block', item: block });
+            this.setContainerOrder(siblings);
+        }
+    }
+
+    // Text blocks split at the cursor and convert through their lines; lists and tables convert through items and rows
+    getTextBlockTypes() {
+        return ['heading', 'paragraph', 'blockquote', 'code', 'callout', 'math', 'mermaid'];
+    }
+
+    getConvertibleTypes() {
+        return [...this.getTextBlockTypes(), 'list', 'table'];
+    }
+
+    // The block's text without its Markdown syntax; lists give one line per item, tables tab-separated rows
+    getBlockText(block) {
+        if (block.type === 'heading') {
+            return block.content.replace(/^ {0,3}#{1,6}\s+/, '').replace(/\s+#+\s*$/, '');
+        }
+        if (block.type === 'code') {
+            return this.splitCodeFence(block.content).code;
+        }
+        if (block.type === 'callout') {
+            return block.content.text;
+        }
+        if (block.type === 'list') {
+            const lines = [];
+            const walk = list => list.items.forEach(item => {
+                lines.push(item.text);
+                if (item.children) walk(item.children);
+            });
+            walk(block.content);
+            return lines.join('\n');
+        }
+        if (block.type === 'table') {
+            const { headers, rows } = this.evaluateTable(block.content);
+            return [headers, ...rows].map(row => row.join('\t')).join('\n');
+        }
+        return block.content;
+    }
+
+    // Lines that are already Markdown list items keep their nesting; any other line becomes an item
+    getBlockList(block) {
+        if (block.type === 'list') {
+            return block.content;
+        }
+        if (block.type === 'table') {
+            // The first column names each item; the other columns become "Header: value" sub-items
+            const { headers, rows } = this.evaluateTable(block.content);
+            return {
+                style: 'bullet',
+                items: rows.map(row => {
+                    const details = row.slice(1)
+                        .map((cell, index) => ({ text: `${headers[index + 1]}: ${cell}`, checked: false, children: null }))
+                        .filter((item, index) => row[index + 1].trim() !== '');
+                    return { text: row[0], checked: false, children: details.length > 0 ? { style: 'bullet', items: details } : null };
+                })
+            };
+        }
+        
+        const lines = this.getBlockText(block).split('\n').filter(line => line.trim() !== '');
+        if (lines.length > 0 && lines.every(line => /^\s*([-*+]|\d{1,9}[.)])\s/.test(line) || /^\s{2,}\S/.test(line))) {
+            return this.listCodec.parse(lines.join('\n'));
+        }
+        return { style: 'bullet', items: lines.map(line => ({ text: line.trim(), checked: false, children: null })) };
+    }
+
+    // Tab-separated text keeps its columns with the first line as headers; lists give one row per item
+    getBlockTable(block) {
+        if (block.type === 'table') {
+            return block.content;
+        }
+        
+        if (block.type === 'list') {
+            const task = block.content.style === 'task';
+            const rows = [];
+            const walk = list => list.items.forEach(item => {
+                rows.push(task ? [item.checked ? 'x' : '', item.text] : [item.text]);
+                if (item.children) walk(item.children);
+            });
+            walk(block.content);
+            const headers = task ? ['Done', 'Item'] : ['Item'];
+            return { headers, rows, align: headers.map(() => null), binding: null };
+        }
+        
+        const lines = this.getBlockText(block).split('\n').filter(line => line.trim() !== '');
+        if (lines.some(line => line.includes('\t'))) {
+            const grid = lines.map(line => line.split('\t').map(cell => cell.trim()));
+            const width = Math.max(...grid.map(row => row.length));
+            const pad = row => [...row, ...new Array(width - row.length).fill('')];
+            const headers = pad(grid[0]).map((header, index) => header || `Column ${index + 1}`);
+            return { headers, rows: grid.slice(1).map(pad), align: headers.map(() => null), binding: null };
+        }
+        return { headers: ['Item'], rows: lines.map(line => [line.trim()]), align: [null], binding: null };
+    }
+
+    convertBlock(blockId, type) {
+        const block = this.blocks.find(b => b.id === blockId);
+        if (!block || !this.setBlockType(block, type)) return;
+        
+        this.renderAllContent();
+        this.updatePreview();
+        this.saveToStorage();
+        this.focusBlock(blockId);
+    }
+
+    // Returns false when the block cannot become that type
+    setBlockType(block, type) {
+        const convertible = this.getConvertibleTypes();
+        if (block.type === type || !convertible.includes(block.type) || !convertible.includes(type)) return false;
+        
+        if (type === 'list') {
+            block.content = this.getBlockList(block);
+        } else if (type === 'table') {
+            block.content = this.getBlockTable(block);
+        } else {
+            const text = this.getBlockText(block);
+            if (type === 'heading') {
+                block.content = `## ${text.replace(/\s*\n\s*/g, ' ')}`;
+            } else if (type === 'code') {
+                block.content = this.fenceCode(text, '');
+            } else if (type === 'callout') {
+                block.content = { kind: 'note', text };
+            } else {
+                block.content = text;
+            }
+        }
+        block.type = type;
+        return true;
+    }
+
+    // The fence has to be longer than any backtick run inside the code
+    fenceCode(code, info) {
+        const longest = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(Math.max(3, longest + 1));
+        return `${fence}${info}\n${code}\n${fence}`;
+    }
+
+    setCodeLanguage(blockId) {
+        const block = this.blocks.find(b => b.id === blockId);
+        if (!block || block.type !== 'code') return;
+        
+        const { info, code } = this.splitCodeFence(block.content);
+        const language = prompt('Language of the code (e.g. javascript, python; empty for none):', info);
+        if (language === null) return;
+        
+        block.content = this.fenceCode(code, language.trim());
+        this.rerenderBlock(block);
+        this.updatePreview();
+        this.saveToStorage();
+    }
+
+    // The text field being edited and its cursor; callouts edit their text in a field of their own
+    getBlockTextInput(blockId) {
+        return document.querySelector(`#blocks-container textarea.block-input[data-block-id="${blockId}"], #blocks-container textarea.block-field[data-block-id="${blockId}"][data-field="text"]`);
+    }
+
+    // The text after the cursor moves into a new block of the same type right after this one.
+    // A heading's remainder becomes a paragraph, and both halves of code keep the fence and language.
+    splitBlock(blockId, position = null) {
+        const block = this.blocks.find(b => b.id === blockId);
+        if (!block || !this.getTextBlockTypes().includes(block.type)) return;
+        
+        const input = this.getBlockTextInput(blockId);
+        const text = block.type === 'callout' ? block.content.text : block.content;
+        const cursor = Math.min(position !== null ? position : input ? input.selectionStart : text.length, text.length);
+        let before = text.slice(0, cursor).replace(/[ \t]*\n*$/, '');
+        let after = text.slice(cursor).replace(/^\n*/, '');
+        let type = block.type;
+        
+        if (block.type === 'heading') {
+            type = 'paragraph';
+            after = after.trim();
+        } else if (block.type === 'code') {
+            const opening = text.match(/^ {0,3}(`{3,}|~{3,})(.*)\n?/);
+            if (opening) {
+                const { info, code } = this.splitCodeFence(text);
+                const offset = Math.min(Math.max(cursor - opening[0].length, 0), code.length);
+                before = this.fenceCode(code.slice(0, offset).replace(/\n$/, ''), info);
+                after = this.fenceCode(code.slice(offset).replace(/^\n/, ''), info);
+            }
+        }
+        
+        const newBlock = this.createBlock(type, block.type === 'callout' ? { kind: block.content.kind, text: after } : after, block.groupId, block.condition);
+        if (block.type === 'callout') {
+            block.content.text = before;
+        } else {
+            block.content = before;
+        }
+        this.insertBlock(newBlock, block.id);
+        
+        this.renderAllContent();
+        this.updatePreview();
+        this.saveToStorage();
+        this.activeBlockId = newBlock.id;
+        this.focusBlock(newBlock.id);
+        const newInput = this.getBlockTextInput(newBlock.id);
+        if (newInput) {
+            newInput.setSelectionRange(0, 0);
+        }
+    }
+
+    // The block after this one in the same group, if it can be merged into it: same type (tables also need
+    // the same number of columns and no data binding) and the same condition
+    getMergeTarget(blockId) {
+        const block = this.blocks.find(b => b.id === blockId);
+        if (!block) return null;
+        
+        const siblings = this.getAllOrderedItems(block.groupId);
+        const next = siblings[siblings.findIndex(entry => entry.item === block) + 1];
+        if (!next || next.type !== 'block') return null;
+        
+        const other = next.item;
+        const mergeable = [...this.getTextBlockTypes(), 'list', 'table'];
+        if (other.type !== block.type || !mergeable.includes(block.type) || other.condition !== block.condition) return null;
+        if (block.type === 'table' && (block.content.binding || other.content.binding || block.content.headers.length !== other.content.headers.length)) {
+            return null;
+        }
+        return other;
+    }
+
+    mergeBlockWithNext(blockId) {
+        const block = this.blocks.find(b => b.id === blockId);
+        const other = this.getMergeTarget(blockId);
+        if (!other) {
+            alert('This block can only be merged with a following block of the same type, in the same group and with the same condition');
+            return;
+        }
+        
+        // Where the merged text starts, for placing the cursor
+        let joinAt = null;
+        if (block.type === 'list') {
+            block.content.items.push(...other.content.items);
+        } else if (block.type === 'table') {
+            block.content.rows.push(...other.content.rows);
+        } else if (block.type === 'code') {
+            const { info, code } = this.splitCodeFence(block.content);
+            block.content = this.fenceCode(`${code}\n${this.splitCodeFence(other.content).code}`, info);
+        } else if (block.type === 'callout') {
+            joinAt = block.content.text.length + 2;
+            block.content.text = `${block.content.text}\n\n${other.content.text}`;
+        } else {
+            // Headings stay on one line; math and diagrams continue line by line; the rest keep their paragraphs
+            const separator = block.type === 'heading' ? ' ' : ['math', 'mermaid'].includes(block.type) ? '\n' : '\n\n';
+            const text = block.type === 'heading' ? this.getBlockText(other) : other.content;
+            joinAt = block.content.length + separator.length;
+            block.content = `${block.content}${separator}${text}`;
+        }
+        this.blocks = this.blocks.filter(b => b !== other);
+        
+        this.renderAllContent();
+        this.updatePreview();
+        this.saveToStorage();
+        this.focusBlock(blockId);
+        const input = this.getBlockTextInput(blockId);
+        if (input && joinAt !== null) {
+            input.setSelectionRange(joinAt, joinAt);
+        }
+    }
+
+    getDefaultContent(type) {
+        const defaults = {
+            heading: '# New Heading',
+            paragraph: 'New paragraph content...',
+            list: {
+                style: 'bullet',
+                items: ['Item 1', 'Item 2', 'Item 3'].map(text => ({ text, checked: false, children: null }))
+            },
+            code: '```javascript\n// Your code here\nconsole.log("Hello World");\n```',
+            table: {
+                headers: ['Column 1', 'Column 2', 'Column 3'],
+                rows: [
+                    ['Cell 1', 'Cell 2', 'Cell 3'],
+                    ['Cell 4', 'Cell 5', 'Cell 6']
+                ],
+                align: [null, null, null],
+                binding: null
+            },
+            blockquote: 'Quoted text...',
+            image: { alt: 'Image description', src: 'https://example.com/image.png', title: '' },
+            rule: '---',
+            callout: { kind: 'note', text: 'Useful information that users should know...' },
+            math: 'E = mc^2',
+            mermaid: 'graph TD\n    A[Start] --> B[End]',
+            toc: { minLevel: 2, maxLevel: 3, numbered: false }
+        };
+        return defaults[type] || '';
+    }
+
+    renderAllContent() {
+        const container = document.getElementById('blocks-container');
+        container.innerHTML = '';
+        
+        this.renderItems(this.getAllOrderedItems(), container);
+
+        this.bindBlockEvents();
+        this.updateSelectionControls();
+        this.renderCollabPresence();
+        if (!document.getElementById('find-bar').hidden) {
+            this.runFind();
+        }
+    }
+
+    renderItems(items, container) {
+        items.forEach(item => {
+            if (item.type === 'block') {
+                this.renderBlock(item.item, container);
+            } else if (item.type === 'group') {
+                this.renderGroup(item.item, item.children, container);
+            }
+        });
+    }
+
+    // Quotes a value as a string argument of an inline onclick/onchange handler
+    jsString(value) {
+        return this.escapeHtml(JSON.stringify(String(value)));
+    }
+
+    renderBlock(block, container) {
+        const blockElement = document.createElement('div');
+        blockElement.className = `block ${block.groupId ? 'group-block' : ''} ${block.selected ? 'selected' : ''}`;
+        blockElement.dataset.blockId = block.id;
+        blockElement.draggable = true;
+
+        blockElement.innerHTML = `
+            <div class="block-header">
+                <input type="checkbox" class="block-select" data-block-id="${this.escapeHtml(block.id)}" ${block.selected ? 'checked' : ''}>
+                <span class="drag-handle">⋮⋮</span>
+                ${this.renderBlockTypeControl(block)}
+                ${block.condition ? `<span class="condition-badge" title="Only included when this holds">if ${this.escapeHtml(block.condition)}</span>` : ''}
+                <div class="block-controls">
+                    <button class="condition-btn ${block.condition ? 'active' : ''}" onclick="editor.editCondition('block', ${this.jsString(block.id)})" title="Include only when a condition holds">if</button>
+                    <button onclick="editor.moveBlockUp(${this.jsString(block.id)})">↑</button>
+                    <button onclick="editor.moveBlockDown(${this.jsString(block.id)})">↓</button>
+                    ${this.getMergeTarget(block.id) ? `<button onclick="editor.mergeBlockWithNext(${this.jsString(block.id)})" title="Merge with the next block">⤓</button>` : ''}
+                    <button onclick="editor.deleteBlock(${this.jsString(block.id)})" style="color: #dc3545;">🗑️</button>
+                </div>
+            </div>
+            ${this.renderCollabConflict(block)}
+            <div class="block-content">
+                ${this.renderBlockContent(block)}
+            </div>
+        `;
+
+        this.addDragEvents(blockElement, 'block');
+        container.appendChild(blockElement);
+    }
+
+    // Convertible blocks show their type as a menu of the types they can become
+    renderBlockTypeControl(block) {
+        const types = this.getConvertibleTypes();
+        if (!types.includes(block.type)) {
+            return `<span>${this.getBlockTypeLabel(block.type)}</span>`;
+        }
+        return `
+            <select class="block-type-select" onchange="editor.convertBlock(${this.jsString(block.id)}, this.value)" title="Convert to another block type">
+                ${types.map(type => `<option value="${type}" ${type === block.type ? 'selected' : ''}>${this.getBlockTypeLabel(type)}</option>`).join('')}
+            </select>
+        `;
+    }
+
+    renderGroup(group, children, container) {
+        const groupElement = document.createElement('div');
+        groupElement.className = `group ${group.collapsed ? 'collapsed' : ''} ${group.selected ? 'selected' : ''}`;
+        groupElement.dataset.groupId = group.id;
+        groupElement.draggable = true;
+        
+        const headingLevel = this.getGroupHeadingLevel(group.id);
+        const blockCount = this.blocks.filter(block => this.isInGroup(block.groupId, group.id)).length;
+
+        groupElement.innerHTML = `
+            <div class="group-header">
+                <input type="checkbox" class="group-select" data-group-id="${this.escapeHtml(group.id)}" ${group.selected ? 'checked' : ''}>
+                <span class="drag-handle">⋮⋮</span>
+                <button class="group-toggle" onclick="editor.toggleGroupCollapsed(${this.jsString(group.id)})" title="${group.collapsed ? 'Expand' : 'Collapse'}">${group.collapsed ? '▸' : '▾'}</button>
+                <input type="text" class="group-name-input" value="${this.escapeHtml(group.name)}" data-group-id="${this.escapeHtml(group.id)}">
+                ${group.collapsed ? `<span class="group-summary">${blockCount} block${blockCount === 1 ? '' : 's'}</span>` : ''}
+                ${group.repeat ? `<span class="condition-badge" title="Output once per entry">🔁 each ${this.escapeHtml(group.repeat.as)} in ${this.escapeHtml(group.repeat.source)}</span>` : ''}
+                ${group.condition ? `<span class="condition-badge" title="${group.repeat ? 'Only entries for which this holds are output' : 'Only included when this holds'}">if ${this.escapeHtml(group.condition)}</span>` : ''}
+                <div class="group-controls">
+                    <button class="group-heading-btn ${group.emitHeading ? 'active' : ''}" onclick="editor.toggleGroupHeading(${this.jsString(group.id)})" title="Emit the group name as a level ${headingLevel} heading">H${headingLevel}</button>
+                    <button class="${group.condition ? 'active' : ''}" onclick="editor.editCondition('group', ${this.jsString(group.id)})" title="Include only when a condition holds">if</button>
+                    <button class="${group.repeat ? 'active' : ''}" onclick="editor.editRepeat(${this.jsString(group.id)})" title="Repeat for each entry of a list or table variable">🔁</button>
+                    <button onclick="editor.moveGroupUp(${this.jsString(group.id)})">↑</button>
+                    <button onclick="editor.moveGroupDown(${this.jsString(group.id)})">↓</button>
+                    <button onclick="editor.ungroupBlocks(${this.jsString(group.id)})">📤 Ungroup</button>
+                    <button onclick="editor.deleteGroup(${this.jsString(group.id)})" style="color: #dc3545;">🗑️</button>
+                </div>
+            </div>
+            <div class="group-content"></div>
+        `;
+        
+        this.renderItems(children, groupElement.querySelector('.group-content'));
+
+        this.addDragEvents(groupElement, 'group');
+        container.appendChild(groupElement);
+    }
+
+    renderBlockContent(block) {
+        if (block.type === 'table') {
+            return this.renderTableEditor(block);
+        } else if (block.type === 'list') {
+            return this.renderListEditor(block);
+        } else if (block.type === 'image') {
+            return this.renderImageEditor(block);
+        } else if (block.type === 'callout') {
+            return this.renderCalloutEditor(block);
+        } else if (block.type === 'toc') {
+            return this.renderTocEditor(block);
+        } else if (block.type === 'rule') {
+            const styles = ['---', '***', '___'];
+            return `
+                <div class="rule-editor">
+                    <hr>
+                    <select class="block-input" data-block-id="${this.escapeHtml(block.id)}" title="Marker">
+                        ${styles.map(style => `<option value="${style}" ${block.content === style ? 'selected' : ''}>${style}</option>`).join('')}
+                    </select>
+                </div>
+            `;
+        } else {
+            const placeholders = {
+                blockquote: 'Enter the quoted text (without >)...',
+                math: 'Enter a LaTeX formula, e.g. \\frac{a}{b}...',
+                mermaid: 'Enter a Mermaid diagram, e.g. graph TD...'
+            };
+            const monospace = ['code', 'math', 'mermaid'].includes(block.type) ? ' monospace' : '';
+            return `<textarea class="block-input${monospace}" data-block-id="${this.escapeHtml(block.id)}" placeholder="${placeholders[block.type] || `Enter your ${block.type} content...`}">${this.escapeHtml(block.content)}</textarea>`;
+        }
+    }
+
+    renderListEditor(block) {
+        const styles = { bullet: '• Bullets', ordered: '1. Numbered', task: '☑ Tasks' };
+        let html = `
+            <div class="list-editor">
+                <select class="list-style-select" onchange="editor.setListStyle(${this.jsString(block.id)}, this.value)">
+                    ${Object.entries(styles).map(([style, label]) => `<option value="${style}" ${block.content.style === style ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+                <div class="list-items">`;
+        
+        // Items are shown flat and indented; data-path ("0.2.1") locates each one in the tree
+        const renderItems = (list, prefix, depth) => {
+            list.items.forEach((item, index) => {
+                const path = prefix === '' ? `${index}` : `${prefix}.${index}`;
+                const marker = list.style === 'task'
+                    ? `<input type="checkbox" class="list-item-check" ${item.checked ? 'checked' : ''} onchange="editor.toggleListItem(${this.jsString(block.id)}, '${path}')">`
+                    : `<span class="list-marker">${list.style === 'ordered' ? `${index + 1}.` : '•'}</span>`;
+                html += `
+                    <div class="list-item-row" style="padding-left: ${depth * 1.5}rem">
+                        ${marker}
+                        <input type="text" class="list-item-input" data-block-id="${this.escapeHtml(block.id)}" data-path="${path}" value="${this.escapeHtml(item.text)}">
+                    </div>`;
+                if (item.children) {
+                    renderItems(item.children, path, depth + 1);
+                }
+            });
+        };
+        renderItems(block.content, '', 0);
+        
+        html += `
+                </div>
+                <div class="list-hint">Enter: new item · Tab / Shift+Tab: indent / outdent · Backspace on an empty item: remove</div>
+            </div>
+        `;
+        return html;
+    }
+
+    renderImageEditor(block) {
+        const { alt, src, title } = block.content;
+        return `
+            <div class="block-fields">
+                <label>Alt text <input type="text" class="block-field" data-block-id="${this.escapeHtml(block.id)}" data-field="alt" value="${this.escapeHtml(alt)}"></label>
+                <label>URL / path <input type="text" class="block-field" data-block-id="${this.escapeHtml(block.id)}" data-field="src" value="${this.escapeHtml(src)}"></label>
+                <label>Title <input type="text" class="block-field" data-block-id="${this.escapeHtml(block.id)}" data-field="title" value="${this.escapeHtml(title)}" placeholder="Optional"></label>
+            </div>
+        `;
+    }
+
+    renderCalloutEditor(block) {
+        const { kind, text } = block.content;
+        return `
+            <div class="block-fields callout-editor callout-${kind}">
+                <select class="block-field" data-block-id="${this.escapeHtml(block.id)}" data-field="kind">
+                    ${this.getCalloutKinds().map(option => `<option value="${option}" ${kind === option ? 'selected' : ''}>${option.toUpperCase()}</option>`).join('')}
+                </select>
+                <textarea class="block-field" data-block-id="${this.escapeHtml(block.id)}" data-field="text" placeholder="Enter the callout text...">${this.escapeHtml(text)}</textarea>
+            </div>
+        `;
+    }
+
+    renderTocEditor(block) {
+        const { minLevel, maxLevel, numbered } = block.content;
+        const levelOptions = (selected) => [1, 2, 3, 4, 5, 6]
+            .map(level => `<option value="${level}" ${level === selected ? 'selected' : ''}>H${level}</option>`)
+            .join('');
+        return `
+            <div class="block-fields toc-editor">
+                <label>Headings from
+                    <select class="block-field" data-block-id="${this.escapeHtml(block.id)}" data-field="minLevel" data-number>${levelOptions(minLevel)}</select>
+                    to
+                    <select class="block-field" data-block-id="${this.escapeHtml(block.id)}" data-field="maxLevel" data-number>${levelOptions(maxLevel)}</select>
+                </label>
+                <label><input type="checkbox" class="block-field" data-block-id="${this.escapeHtml(block.id)}" data-field="numbered" ${numbered ? 'checked' : ''}> Number sections (1, 1.1, 1.2…) in the output headings</label>
+            </div>
+        `;
+    }
+
+    renderTableEditor(block) {
+        const table = block.content;
+        if (table.binding) {
+            return this.renderBoundTableEditor(block);
+        }
+        
+        const alignLabels = { left: '⇤', center: '↔', right: '⇥' };
+        let html = '<div class="table-container">';
+        html += this.renderTableBindingControls(block);
+        html += '<table class="editable-table">';
+        
+        html += '<thead><tr class="table-column-controls">';
+        html += '<th class="delete-col-header"></th>';
+        table.headers.forEach((header, index) => {
+            const align = table.align[index];
+            html += `
+                <th class="delete-col-cell">
+                    <button class="table-cell-btn" onclick="editor.cycleTableAlignment(${this.jsString(block.id)}, ${index})" title="Alignment: ${align || 'default'}">${alignLabels[align] || '≡'}</button>
+                    <button class="table-cell-btn" onclick="editor.sortTable(${this.jsString(block.id)}, ${index})" title="Sort by this column">⇅</button>
+                    <button class="table-cell-btn" onclick="editor.moveTableColumn(${this.jsString(block.id)}, ${index}, -1)" title="Move left">◀</button>
+                    <button class="table-cell-btn" onclick="editor.moveTableColumn(${this.jsString(block.id)}, ${index}, 1)" title="Move right">▶</button>
+                    <button class="table-cell-btn" onclick="editor.addTableColumn(${this.jsString(block.id)}, ${index + 1})" title="Insert column to the right">＋</button>
+                    <button class="delete-col-btn" onclick="editor.deleteTableColumn(${this.jsString(block.id)}, ${index})">🗑️</button>
+                </th>`;
+        });
+        html += '</tr><tr>';
+        html += '<th class="delete-col-header"></th>';
+        table.headers.forEach((header, index) => {
+            html += `<th><input type="text" class="table-input header-input" data-block-id="${this.escapeHtml(block.id)}" data-row="-1" data-col="${index}" value="${this.escapeHtml(header)}" style="text-align: ${table.align[index] || 'left'}"></th>`;
+        });
+        html += '</tr></thead>';
+        
+        html += '<tbody>';
+        table.rows.forEach((row, rowIndex) => {
+            html += '<tr>';
+            html += `
+                <td class="delete-row-cell">
+                    <button class="table-cell-btn" onclick="editor.moveTableRow(${this.jsString(block.id)}, ${rowIndex}, -1)" title="Move up">↑</button>
+                    <button class="table-cell-btn" onclick="editor.moveTableRow(${this.jsString(block.id)}, ${rowIndex}, 1)" title="Move down">↓</button>
+                    <button class="table-cell-btn" onclick="editor.addTableRow(${this.jsString(block.id)}, ${rowIndex + 1})" title="Insert row below">＋</button>
+                    <button class="delete-row-btn" onclick="editor.deleteTableRow(${this.jsString(block.id)}, ${rowIndex})">🗑️</button>
+                </td>`;
+            row.forEach((cell, colIndex) => {
+                const formulaClass = this.isTableFormula(cell) ? ' formula-cell' : '';
+                html += `<td><input type="text" class="table-input${formulaClass}" data-block-id="${this.escapeHtml(block.id)}" data-row="${rowIndex}" data-col="${colIndex}" value="${this.escapeHtml(cell)}" style="text-align: ${table.align[colIndex] || 'left'}"></td>`;
+            });
+            html += '</tr>';
+        });
+        html += '</tbody></table>';
+        
+        html += `
+            <div class="table-controls">
+                <button class="table-control-btn" onclick="editor.addTableRow(${this.jsString(block.id)})">Add Row</button>
+                <button class="table-control-btn" onclick="editor.addTableColumn(${this.jsString(block.id)})">Add Column</button>
+            </div>
+        `;
+        html += '</div>';
+        
+        return html;
+    }
+
+    renderTableBindingControls(block) {
+        const binding = block.content.binding;
+        const sources = this.dataSources.filter(source => this.getTabularData(source.name) || (binding && binding.source === source.name));
+        if (sources.length === 0) {
+            return '';
+        }
+        
+        let html = `
+            <div class="table-binding">
+                <label>Rows from
+                    <select onchange="editor.bindTable(${this.jsString(block.id)}, this.value)">
+                        <option value="">typed below</option>
+                        ${sources.map(source => `<option value="${this.escapeHtml(source.name)}" ${binding && binding.source === source.name ? 'selected' : ''}>{{data.${this.escapeHtml(source.name)}}}</option>`).join('')}
+                    </select>
+                </label>`;
+        if (binding) {
+            const rows = this.getTabularData(binding.source) || [];
+            const columns = this.getDataColumns(rows).concat(binding.columns.filter(column => !rows.some(row => column in row)));
+            html += columns.map(column => `
+                <label class="table-binding-column">
+                    <input type="checkbox" onchange="editor.toggleTableColumn(${this.jsString(block.id)}, this.value)" value="${this.escapeHtml(column)}" ${binding.columns.includes(column) ? 'checked' : ''}>
+                    ${this.escapeHtml(column)}
+                </label>`).join('');
+        }
+        return html + '</div>';
+    }
+
+    // Headers stay editable as labels; the rows are shown as they will be output
+    renderBoundTableEditor(block) {
+        const table = block.content;
+        const alignLabels = { left: '⇤', center: '↔', right: '⇥' };
+        let html = '<div class="table-container">';
+        html += this.renderTableBindingControls(block);
+        html += '<table class="editable-table bound-table">';
+        
+        html += '<thead><tr>';
+        table.headers.forEach((header, index) => {
+            const align = table.align[index];
+            html += `
+                <th>
+                    <button class="table-cell-btn" onclick="editor.cycleTableAlignment(${this.jsString(block.id)}, ${index})" title="Alignment: ${align || 'default'}">${alignLabels[align] || '≡'}</button>
+                    <input type="text" class="table-input header-input" data-block-id="${this.escapeHtml(block.id)}" data-row="-1" data-col="${index}" value="${this.escapeHtml(header)}" title="Column ${this.escapeHtml(table.binding.columns[index])}" style="text-align: ${align || 'left'}">
+                </th>`;
+        });
+        html += '</tr></thead><tbody>';
+        this.getBoundTableRows(table).forEach(row => {
+            html += `<tr>${row.map((cell, index) => `<td style="text-align: ${table.align[index] || 'left'}">${this.escapeHtml(cell)}</td>`).join('')}</tr>`;
+        });
+        html += '</tbody></table></div>';
+        
+        return html;
+    }
+
+    addDragEvents(element, itemType) {
+        // Blocks and groups nest, so each handler stops the event from reaching enclosing groups
+        element.addEventListener('dragstart', (e) => {
+            e.stopPropagation();
+            this.dragged = {
+                type: itemType,
+                id: itemType === 'block' ? element.dataset.blockId : element.dataset.groupId
+            };
+            element.classList.add('dragging');
+        });
+
+        element.addEventListener('dragend', (e) => {
+            e.stopPropagation();
+            element.classList.remove('dragging');
+            this.dragged = null;
+            document.querySelectorAll('.drop-zone').forEach(zone => zone.remove());
+        });
+
+        element.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.showDropZones(element);
+        });
+
+        element.addEventListener('drop', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.handleDrop(element, itemType);
+        });
+    }
+
+    showDropZones(targetElement) {
+        document.querySelectorAll('.drop-zone').forEach(zone => zone.remove());
+        
+        if (this.dragged && !targetElement.classList.contains('dragging')) {
+            const dropZone = document.createElement('div');
+            dropZone.className = 'drop-zone active';
+            targetElement.parentNode.insertBefore(dropZone, targetElement);
+        }
+    }
+
+    handleDrop(targetElement, targetType) {
+        if (!this.dragged) return;
+        
+        const targetId = targetType === 'block' ? targetElement.dataset.blockId : targetElement.dataset.groupId;
+        if (this.moveItemBefore(this.dragged.type, this.dragged.id, targetType, targetId)) {
+            this.renderAllContent();
+            this.updatePreview();
+            this.saveToStorage();
+        }
+    }
+
+    getItem(itemType, itemId) {
+        return itemType === 'block' ? this.blocks.find(b => b.id === itemId) : this.groups.get(itemId);
+    }
+
+    getItemParentId(itemType, item) {
+        return (itemType === 'block' ? item.groupId : item.parentId) || null;
+    }
+
+    setItemParentId(itemType, item, parentId) {
+        if (itemType === 'block') {
+            item.groupId = parentId;
+        } else {
+            item.parentId = parentId;
+        }
+    }
+
+    // Rewrites order values of one container (null for the top level) to match the given sequence
+    setContainerOrder(items) {
+        items.forEach((entry, index) => {
+            entry.item.order = index;
+        });
+    }
+
+    moveItemBefore(itemType, itemId, targetType, targetId) {
+        const item = this.getItem(itemType, itemId);
+        const target = this.getItem(targetType, targetId);
+        if (!item || !target || (itemType === targetType && itemId === targetId)) return false;
+        
+        const parentId = this.getItemParentId(targetType, target);
+        if (itemType === 'group' && this.isInGroup(parentId, itemId)) return false;
+        
+        const oldParentId = this.getItemParentId(itemType, item);
+        this.setItemParentId(itemType, item, parentId);
+        
+        const siblings = this.getAllOrderedItems(parentId)
+            .filter(entry => !(entry.type === itemType && entry.item.id === itemId));
+        const index = siblings.findIndex(entry => entry.type === targetType && entry.item.id === targetId);
+        siblings.splice(index, 0, { type: itemType, item: item });
+        this.setContainerOrder(siblings);
+        
+        if (oldParentId !== parentId) {
+            this.setContainerOrder(this.getAllOrderedItems(oldParentId));
+        }
+        return true;
+    }
+
+    moveBlockUp(blockId) {
+        this.moveItemUp('block', blockId);
+        this.renderAllContent();
+        this.updatePreview();
+        this.saveToStorage();
+    }
+
+    moveBlockDown(blockId) {
+        this.moveItemDown('block', blockId);
+        this.renderAllContent();
+        this.updatePreview();
+        this.saveToStorage();
+    }
+
+    moveItemUp(itemType, itemId) {
+        this.moveItem(itemType, itemId, -1);
+    }
+
+    moveItemDown(itemType, itemId) {
+        this.moveItem(itemType, itemId, 1);
+    }
+
+    // Swaps an item with its neighbour among the blocks and groups of the same container
+    moveItem(itemType, itemId, offset) {
+        const item = this.getItem(itemType, itemId);
+        if (!item) return;
+        
+        const allItems = this.getAllOrderedItems(this.getItemParentId(itemType, item));
+        const index = allItems.findIndex(entry => entry.type === itemType && entry.item.id === itemId);
+        const newIndex = index + offset;
+        
+        if (index !== -1 && newIndex >= 0 && newIndex < allItems.length) {
+            [allItems[index], allItems[newIndex]] = [allItems[newIndex], allItems[index]];
+            this.setContainerOrder(allItems);
+        }
+    }
+
+    deleteBlock(blockId) {
+        this.blocks = this.blocks.filter(b => b.id !== blockId);
+        this.renderAllContent();
+        this.updatePreview();
+        this.saveToStorage();
+    }
+
+    // While collaborating the client id keeps groups made at the same time by different people apart
+    nextGroupId() {
+        const id = super.nextGroupId();
+        return this.collab ? `${id}_${this.collab.clientId}` : id;
+    }
+
+    groupSelectedBlocks() {
+        const selected = [
+            ...this.blocks.filter(block => block.selected).map(block => ({ type: 'block', item: block })),
+            ...Array.from(this.groups.values()).filter(group => group.selected).map(group => ({ type: 'group', item: group }))
+        ];
+        
+        // A selected group brings its contents along, so selected items inside it are not moved separately
+        const items = selected.filter(entry => {
+            const parentId = this.getItemParentId(entry.type, entry.item);
+            return !selected.some(other => other.type === 'group' && this.isInGroup(parentId, other.item.id));
+        });
+        
+        if (items.length === 0) {
+            alert('Please select the blocks or groups to group');
+            return;
+        }
+        
+        const parentId = this.getItemParentId(items[0].type, items[0].item);
+        if (items.some(entry => this.getItemParentId(entry.type, entry.item) !== parentId)) {
+            alert('Please select blocks or groups that sit side by side in the same group');
+            return;
+        }
+
+        const groupId = this.nextGroupId();
+        const group = {
+            id: groupId,
+            name: `Group ${this.groupCounter}`,
+            parentId: parentId,
+            order: 0,
+            collapsed: false,
+            emitHeading: false,
+            condition: '',
+            repeat: null
+        };
+        
+        // The new group takes the place of the first selected item
+        const siblings = this.getAllOrderedItems(parentId);
+        const isSelected = entry => items.some(selectedItem => selectedItem.item === entry.item);
+        const members = siblings.filter(isSelected);
+        const remaining = siblings.filter(entry => !isSelected(entry));
+        remaining.splice(siblings.findIndex(isSelected), 0, { type: 'group', item: group });
+        
+        this.groups.set(groupId, group);
+        this.setContainerOrder(remaining);
+        
+        members.forEach(entry => {
+            this.setItemParentId(entry.type, entry.item, groupId);
+        });
+        this.setContainerOrder(members);
+        
+        selected.forEach(entry => {
+            entry.item.selected = false;
+        });
+
+        this.renderAllContent();
+        this.updatePreview();
+        this.saveToStorage();
+    }
+
+    ungroupBlocks(groupId) {
+        const group = this.groups.get(groupId);
+        if (!group) return;
+        
+        // Children take the group's place in its parent
+        const parentId = group.parentId || null;
+        const children = this.getAllOrderedItems(groupId);
+        const siblings = this.getAllOrderedItems(parentId);
+        const index = siblings.findIndex(entry => entry.type === 'group' && entry.item.id === groupId);
+        siblings.splice(index, 1, ...children);
+        
+        this.blocks.forEach(block => {
+            if (block.groupId === groupId) {
+                block.groupId = parentId;
+            }
+        });
+        this.groups.forEach(child => {
+            if (child.parentId === groupId) {
+                child.parentId = parentId;
+            }
+        });
+        this.setContainerOrder(siblings);
+
+        this.groups.delete(groupId);
+        this.renderAllContent();
+        this.updatePreview();
+        this.saveToStorage();
+    }
+
+    deleteGroup(groupId) {
+        this.blocks = this.blocks.filter(block => !this.isInGroup(block.groupId, groupId));
+        Array.from(this.groups.keys())
+            .filter(id => this.isInGroup(id, groupId))
+            .forEach(id => this.groups.delete(id));
+        this.renderAllContent();
+        this.updatePreview();
+        this.saveToStorage();
+    }
+
+    moveGroupUp(groupId) {
+        this.moveItemUp('group', groupId);
+        this.renderAllContent();
+        this.updatePreview();
+        this.saveToStorage();
+    }
+
+    moveGroupDown(groupId) {
+        this.moveItemDown('group', groupId);
+        this.renderAllContent();
+        this.updatePreview();
+        this.saveToStorage();
+    }
+
+    toggleGroupCollapsed(groupId) {
+        const group = this.groups.get(groupId);
+        if (group) {
+            group.collapsed = !group.collapsed;
+            this.renderAllContent();
+            this.saveToStorage();
+        }
+    }
+
+    toggleGroupHeading(groupId) {
+        const group = this.groups.get(groupId);
+        if (group) {
+            group.emitHeading = !group.emitHeading;
+            this.renderAllContent();
+            this.updatePreview();
+            this.saveToStorage();
+        }
+    }
+
+    // Conditions are expressions such as {{edition}} == 'pro'; clearing one includes the item again
+    editCondition(itemType, itemId) {
+        const item = this.getItem(itemType, itemId);
+        if (!item) return;
+        
+        const condition = prompt(`Include this ${itemType} only when (e.g. {{edition}} == 'pro'; leave empty to always include it)`, item.condition);
+        if (condition === null) return;
+        
+        if (condition.trim()) {
+            try {
+                this.expressionEngine.parse(condition.trim().replace(/^=/, ''));
+            } catch (e) {
+                alert(`Invalid condition: ${e.message}`);
+                return;
+            }
+        }
+        
+        item.condition = condition.trim();
+        this.renderAllContent();
+        this.updatePreview();
+        this.saveToStorage();
+    }
+
+    // "products" or "products as product"; inside the group each entry is {{item}}, or {{item.field}} for table rows
+    editRepeat(groupId) {
+        const group = this.groups.get(groupId);
+        if (!group) return;
+        
+        const current = group.repeat ? `${group.repeat.source} as ${group.repeat.as}` : '';
+        const answer = prompt('Repeat this group for each entry of a list or table variable, e.g. "products" or "products as product" (entries are called "item" by default; leave empty to stop repeating)', current);
+        if (answer === null) return;
+        
+        const text = answer.trim().replace(/^\{\{\s*([^{}]*?)\s*\}\}/, '$1');
+        const match = text.match(/^([^\s{}|]+)(?:\s+as\s+([A-Za-z_][A-Za-z0-9_]*))?$/);
+        if (text && !match) {
+            alert('Please enter a variable key, optionally followed by "as" and a name for each entry');
+            return;
+        }
+        
+        group.repeat = match ? { source: match[1], as: match[2] || 'item' } : null;
+        this.renderAllContent();
+        this.updatePreview();
+        this.saveToStorage();
+    }
+
+    // Opens every collapsed group around a block so it can be scrolled to
+    // Expands the groups around a block, group or (for variables, nothing) so its fields are on screen
+    revealItem(target) {
+        if (target.type === 'block') {
+            this.expandGroupsFor(target.id);
+        } else if (target.type === 'group' && this.groups.has(target.id)) {
+            this.expandGroup(this.groups.get(target.id).parentId);
+        }
+    }
+
+    expandGroupsFor(blockId) {
+        const block = this.blocks.find(b => b.id === blockId);
+        if (block) {
+            this.expandGroup(block.groupId);
+        }
+    }
+
+    // Expands a group and every group around it
+    expandGroup(groupId) {
+        let changed = false;
+        let group = this.groups.get(groupId);
+        while (group) {
+            if (group.collapsed) {
+                group.collapsed = false;
+                changed = true;
+            }
+            group = this.groups.get(group.parentId);
+        }
+        if (changed) {
+            this.renderAllContent();
+            this.saveToStorage();
+        }
+    }
+
+    getTableBlock(blockId) {
+        const block = this.blocks.find(b => b.id === blockId);
+        return block && block.type === 'table' ? block : null;
+    }
+
+    commitTableChange(block) {
+        this.rerenderBlock(block);
+        this.updatePreview();
+        this.saveToStorage();
+    }
+
+    addTableRow(blockId, index = null) {
+        const block = this.getTableBlock(blockId);
+        if (block) {
+            this.insertTableRow(block.content, index);
+            this.commitTableChange(block);
+        }
+    }
+
+    addTableColumn(blockId, index = null) {
+        const block = this.getTableBlock(blockId);
+        if (block) {
+            this.insertTableColumn(block.content, index);
+            this.commitTableChange(block);
+        }
+    }
+
+    deleteTableRow(blockId, rowIndex) {
+        const block = this.getTableBlock(blockId);
+        if (block && block.content.rows.length > 1) {
+            this.removeTableRow(block.content, rowIndex);
+            this.commitTableChange(block);
+        }
+    }
+
+    deleteTableColumn(blockId, colIndex) {
+        const block = this.getTableBlock(blockId);
+        if (block && block.content.headers.length > 1) {
+            this.removeTableColumn(block.content, colIndex);
+            this.commitTableChange(block);
+        }
+    }
+
+    moveTableRow(blockId, rowIndex, delta) {
+        const block = this.getTableBlock(blockId);
+        const target = rowIndex + delta;
+        if (block && target >= 0 && target < block.content.rows.length) {
+            const order = block.content.rows.map((row, index) => index);
+            [order[rowIndex], order[target]] = [order[target], order[rowIndex]];
+            this.reorderTableRows(block.content, order);
+            this.commitTableChange(block);
+        }
+    }
+
+    moveTableColumn(blockId, colIndex, delta) {
+        const block = this.getTableBlock(blockId);
+        const target = colIndex + delta;
+        if (block && target >= 0 && target < block.content.headers.length) {
+            const table = block.content;
+            const swap = (cells) => {
+                [cells[colIndex], cells[target]] = [cells[target], cells[colIndex]];
+            };
+            swap(table.headers);
+            swap(table.align);
+            table.rows.forEach(swap);
+            const moved = col => col === colIndex ? target : col === target ? colIndex : col;
+            this.remapTableReferences(table, row => row, moved, { permuted: 'col' });
+            this.commitTableChange(block);
+        }
+    }
+
+    sortTable(blockId, colIndex) {
+        const block = this.getTableBlock(blockId);
+        if (block) {
+            this.sortTableRows(block.content, colIndex);
+            this.commitTableChange(block);
+        }
+    }
+
+    cycleTableAlignment(blockId, colIndex) {
+        const block = this.getTableBlock(blockId);
+        if (block) {
+            const alignments = [null, 'left', 'center', 'right'];
+            const current = alignments.indexOf(block.content.align[colIndex]);
+            block.content.align[colIndex] = alignments[(current + 1) % alignments.length];
+            this.commitTableChange(block);
+        }
+    }
+
+    bindTable(blockId, source) {
+        const block = this.getTableBlock(blockId);
+        if (!block) return;
+        const table = block.content;
+        
+        if (!source) {
+            // Unbinding keeps the current data as typed rows
+            table.rows = this.getBoundTableRows(table);
+            table.binding = null;
+        } else {
+            if (!table.binding && table.rows.some(row => row.some(cell => cell.trim() !== '')) &&
+                !confirm('The rows typed into this table will be replaced by the data. Continue?')) {
+                this.rerenderBlock(block);
+                return;
+            }
+            const columns = this.getDataColumns(this.getTabularData(source) || []);
+            table.binding = { source: source, columns: columns };
+            table.headers = columns.slice();
+            table.align = columns.map(() => null);
+            table.rows = [];
+        }
+        
+        this.commitTableChange(block);
+    }
+
+    toggleTableColumn(blockId, column) {
+        const block = this.getTableBlock(blockId);
+        if (!block || !block.content.binding) return;
+        const table = block.content;
+        const index = table.binding.columns.indexOf(column);
+        
+        if (index === -1) {
+            table.binding.columns.push(column);
+            table.headers.push(column);
+            table.align.push(null);
+        } else if (table.binding.columns.length > 1) {
+            table.binding.columns.splice(index, 1);
+            table.headers.splice(index, 1);
+            table.align.splice(index, 1);
+        }
+        
+        this.commitTableChange(block);
+    }
+
+    handleTablePaste(e) {
+        const text = (e.clipboardData || window.clipboardData).getData('text/plain');
+        if (!/[\t\n]/.test(text.replace(/\r?\n$/, ''))) {
+            return;
+        }
+        
+        const block = this.getTableBlock(e.target.dataset.blockId);
+        if (!block || block.content.binding) return;
+        e.preventDefault();
+        
+        // A range copied from a spreadsheet is TSV; anything else with line breaks is read as CSV
+        const grid = this.variableFormatter.parseDelimitedText(text, text.includes('\t') ? '\t' : ',');
+        const table = block.content;
+        const startRow = parseInt(e.target.dataset.row);
+        const startCol = parseInt(e.target.dataset.col);
+        
+        grid.forEach((cells, offset) => {
+            const rowIndex = startRow + offset;
+            while (rowIndex >= table.rows.length) {
+                table.rows.push(new Array(table.headers.length).fill(''));
+            }
+            cells.forEach((value, colOffset) => {
+                const colIndex = startCol + colOffset;
+                while (colIndex >= table.headers.length) {
+                    table.headers.push('New Column');
+                    table.align.push(null);
+                    table.rows.forEach(row => row.push(''));
+                }
+                if (rowIndex === -1) {
+                    table.headers[colIndex] = value;
+                } else {
+                    table.rows[rowIndex][colIndex] = value;
+                }
+            });
+        });
+        
+        this.commitTableChange(block);
+    }
+
+    updateTableFormulaStatus() {
+        this.blocks.filter(block => block.type === 'table').forEach(block => {
+            const inputs = document.querySelectorAll(`.table-input[data-block-id="${block.id}"]`);
+            if (inputs.length === 0) return;
+            
+            const { rows, errors } = this.evaluateTable(block.content);
+            inputs.forEach(input => {
+                const row = parseInt(input.dataset.row);
+                const col = parseInt(input.dataset.col);
+                const isFormula = row >= 0 && this.isTableFormula(block.content.rows[row][col]);
+                const error = isFormula ? errors.get(`${row}:${col}`) : null;
+                
+                input.classList.toggle('formula-cell', isFormula);
+                input.classList.toggle('formula-error', !!error);
+                input.title = isFormula ? (error || `= ${rows[row][col]}`) : '';
+            });
+        });
+    }
+
+    rerenderBlock(block) {
+        const blockElement = document.querySelector(`.block[data-block-id="${block.id}"]`);
+        const contentContainer = blockElement.querySelector('.block-content');
+        contentContainer.innerHTML = this.renderBlockContent(block);
+        this.bindBlockEvents();
+    }
+
+    rerenderAllBlocks() {
+        this.renderAllContent();
+    }
+
+    bindBlockEvents() {
+        document.querySelectorAll('.block-input').forEach(input => {
+            input.removeEventListener('input', this.handleBlockInput);
+            input.addEventListener('input', this.handleBlockInput.bind(this));
+        });
+
+        document.querySelectorAll('.block-field').forEach(input => {
+            input.removeEventListener('input', this.handleBlockFieldInput);
+            input.addEventListener('input', this.handleBlockFieldInput.bind(this));
+        });
+
+        document.querySelectorAll('.list-item-input').forEach(input => {
+            input.removeEventListener('input', this.handleListItemInput);
+            input.addEventListener('input', this.handleListItemInput.bind(this));
+            input.removeEventListener('keydown', this.handleListItemKeyDown);
+            input.addEventListener('keydown', this.handleListItemKeyDown.bind(this));
+        });
+
+        document.querySelectorAll('.table-input').forEach(input => {
+            input.removeEventListener('input', this.handleTableInput);
+            input.addEventListener('input', this.handleTableInput.bind(this));
+            input.removeEventListener('paste', this.handleTablePaste);
+            input.addEventListener('paste', this.handleTablePaste.bind(this));
+        });
+
+        // click rather than change, so shift-clicks can be told apart
+        document.querySelectorAll('.block-select').forEach(checkbox => {
+            checkbox.removeEventListener('click', this.handleBlockSelection);
+            checkbox.addEventListener('click', this.handleBlockSelection.bind(this));
+        });
+
+        document.querySelectorAll('.group-select').forEach(checkbox => {
+            checkbox.removeEventListener('click', this.handleGroupSelection);
+            checkbox.addEventListener('click', this.handleGroupSelection.bind(this));
+        });
+
+        document.querySelectorAll('.group-name-input').forEach(input => {
+            input.removeEventListener('input', this.handleGroupNameChange);
+            input.addEventListener('input', this.handleGroupNameChange.bind(this));
+        });
+    }
+
+    handleBlockSelection(e) {
+        this.selectFromCheckbox(e.target, e.shiftKey);
+    }
+
+    handleGroupSelection(e) {
+        this.selectFromCheckbox(e.target, e.shiftKey);
+    }
+
+    // With shift held, every block and group from the last clicked checkbox to this one takes its state,
+    // in the order they appear on screen. Contents of collapsed groups are skipped.
+    selectFromCheckbox(checkbox, extend) {
+        const key = element => element.dataset.groupId ? `group:${element.dataset.groupId}` : `block:${element.dataset.blockId}`;
+        const checkboxes = Array.from(document.querySelectorAll('#blocks-container .block-select, #blocks-container .group-select'))
+            .filter(other => other === checkbox || !other.closest('.group.collapsed .group-content'));
+        const index = checkboxes.indexOf(checkbox);
+        const anchorIndex = extend ? checkboxes.findIndex(other => key(other) === this.selectionAnchor) : -1;
+        const range = anchorIndex === -1 ? [checkbox] : checkboxes.slice(Math.min(index, anchorIndex), Math.max(index, anchorIndex) + 1);
+        
+        range.forEach(other => {
+            const item = other.dataset.groupId ? this.groups.get(other.dataset.groupId) : this.blocks.find(b => b.id === other.dataset.blockId);
+            if (!item) return;
+            item.selected = checkbox.checked;
+            other.checked = checkbox.checked;
+            other.closest('.block, .group').classList.toggle('selected', checkbox.checked);
+        });
+        this.selectionAnchor = key(checkbox);
+        this.updateSelectionControls();
+    }
+
+    clearSelection() {
+        this.blocks.forEach(block => {
+            block.selected = false;
+        });
+        this.groups.forEach(group => {
+            group.selected = false;
+        });
+        this.selectionAnchor = null;
+        this.renderAllContent();
+    }
+
+    updateSelectionControls() {
+        const controls = document.getElementById('selection-controls');
+        const selection = this.getSelectedItems();
+        controls.hidden = selection.length === 0;
+        document.getElementById('selection-count').textContent = `${selection.length} selected`;
+        
+        const convertible = this.getConvertibleTypes();
+        const types = selection.filter(entry => entry.type === 'block' && convertible.includes(entry.item.type)).map(entry => entry.item.type);
+        const select = document.getElementById('convert-selected-select');
+        select.disabled = types.length === 0;
+        select.innerHTML = `
+            <option value="">Convert to…</option>
+            ${convertible.map(type => `<option value="${type}" ${types.length > 0 && types.every(other => other === type) ? 'disabled' : ''}>${this.getBlockTypeLabel(type)}</option>`).join('')}
+        `;
+    }
+
+    // Removes the selected blocks and groups, groups with everything inside them
+    removeSelectedItems() {
+        const selection = this.getSelectedItems();
+        const blockIds = new Set(selection.filter(entry => entry.type === 'block').map(entry => entry.item.id));
+        const groupIds = selection.filter(entry => entry.type === 'group').map(entry => entry.item.id);
+        
+        this.blocks = this.blocks.filter(block => !blockIds.has(block.id) && !groupIds.some(groupId => this.isInGroup(block.groupId, groupId)));
+        Array.from(this.groups.keys())
+            .filter(id => groupIds.some(groupId => this.isInGroup(id, groupId)))
+            .forEach(id => this.groups.delete(id));
+        this.selectionAnchor = null;
+    }
+
+    deleteSelected() {
+        const count = this.getSelectedItems().length;
+        if (count === 0 || !confirm(`Delete ${count} selected item${count === 1 ? '' : 's'}?`)) return;
+        
+        this.removeSelectedItems();
+        this.renderAllContent();
+        this.updatePreview();
+        this.saveToStorage();
+    }
+
+    // Copies go right after the last selected item, in its container
+    duplicateSelected() {
+        const selection = this.getSelectedItems();
+        if (selection.length === 0) return;
+        
+        this.insertFragment(this.collectFragment(selection), selection[selection.length - 1]);
+        this.renderAllContent();
+        this.updatePreview();
+        this.saveToStorage();
+    }
+
+    // Each selected item swaps with its neighbour unless that one is selected too, so a selection that
+    // reaches the top or bottom of its container stays together
+    moveSelected(offset) {
+        const selection = this.getSelectedItems();
+        const isSelected = entry => selection.some(other => other.item === entry.item);
+        const parentIds = new Set(selection.map(entry => this.getItemParentId(entry.type, entry.item)));
+        
+        parentIds.forEach(parentId => {
+            const siblings = this.getAllOrderedItems(parentId);
+            const indices = siblings.map((entry, index) => index);
+            (offset < 0 ? indices : indices.reverse()).forEach(index => {
+                const neighbour = index + offset;
+                if (isSelected(siblings[index]) && neighbour >= 0 && neighbour < siblings.length && !isSelected(siblings[neighbour])) {
+                    [siblings[index], siblings[neighbour]] = [siblings[neighbour], siblings[index]];
+                }
+            });
+            this.setContainerOrder(siblings);
+        });
+        
+        this.renderAllContent();
+        this.updatePreview();
+        this.saveToStorage();
+    }
+
+    convertSelected(type) {
+        const blocks = this.getSelectedItems().filter(entry => entry.type === 'block').map(entry => entry.item);
+        const converted = blocks.filter(block => this.setBlockType(block, type));
+        if (converted.length === 0) {
+            alert(`None of the selected blocks can be converted to ${this.getBlockTypeLabel(type)}`);
+            this.updateSelectionControls();
+            return;
+        }
+        
+        this.renderAllContent();
+        this.updatePreview();
+        this.saveToStorage();
+    }
+
+    handleGroupNameChange(e) {
+        const groupId = e.target.dataset.groupId;
+        const group = this.groups.get(groupId);
+        if (group) {
+            group.name = e.target.value;
+            this.updatePreview();
+            this.saveToStorage(`group:${groupId}`);
+        }
+    }
+
+    handleBlockInput(e) {
+        const blockId = e.target.dataset.blockId;
+        const block = this.blocks.find(b => b.id === blockId);
+        if (block) {
+            block.content = e.target.value;
+            this.updatePreview();
+            this.saveToStorage(`block:${blockId}`);
+        }
+    }
+
+    // Inputs of blocks whose content is an object (image, callout) edit one field each
+    handleBlockFieldInput(e) {
+        const blockId = e.target.dataset.blockId;
+        const field = e.target.dataset.field;
+        const block = this.blocks.find(b => b.id === blockId);
+        if (block) {
+            if (e.target.type === 'checkbox') {
+                block.content[field] = e.target.checked;
+            } else {
+                block.content[field] = 'number' in e.target.dataset ? Number(e.target.value) : e.target.value;
+            }
+            if (field === 'kind') {
+                e.target.closest('.callout-editor').className = `block-fields callout-editor callout-${e.target.value}`;
+            }
+            // Keep the TOC level range valid by moving the other end along
+            if (block.type === 'toc' && block.content.minLevel > block.content.maxLevel) {
+                const other = field === 'minLevel' ? 'maxLevel' : 'minLevel';
+                block.content[other] = block.content[field];
+                e.target.closest('.toc-editor').querySelector(`[data-field="${other}"]`).value = block.content[field];
+            }
+            this.updatePreview();
+            this.saveToStorage(`field:${blockId}:${field}`);
+        }
+    }
+
+    // Resolves "0.2.1" to the item, the (sub)list holding it and its index there
+    getListItem(list, path) {
+        const indices = path.split('.').map(Number);
+        let current = list;
+        let parentItem = null;
+        for (let depth = 0; depth < indices.length - 1; depth++) {
+            parentItem = current.items[indices[depth]];
+            current = parentItem.children;
+        }
+        const index = indices[indices.length - 1];
+        return { list: current, index, item: current.items[index], parentItem };
+    }
+
+    handleListItemInput(e) {
+        const block = this.blocks.find(b => b.id === e.target.dataset.blockId);
+        if (block) {
+            this.getListItem(block.content, e.target.dataset.path).item.text = e.target.value;
+            this.updatePreview();
+            this.saveToStorage(`list:${block.id}:${e.target.dataset.path}`);
+        }
+    }
+
+    handleListItemKeyDown(e) {
+        const { blockId, path } = e.target.dataset;
+        
+        if (e.key === 'Tab') {
+            e.preventDefault();
+            if (e.shiftKey) {
+                this.outdentListItem(blockId, path);
+            } else {
+                this.indentListItem(blockId, path);
+            }
+        } else if (e.key === 'Enter' && !e.isComposing) {
+            e.preventDefault();
+            this.insertListItem(blockId, path, e.target.selectionStart);
+        } else if (e.key === 'Backspace' && e.target.value === '') {
+            e.preventDefault();
+            this.removeListItem(blockId, path);
+        }
+    }
+
+    // Re-renders the list and puts the caret back into the item now at `path`
+    commitListChange(block, path, caret = 0) {
+        this.rerenderBlock(block);
+        this.updatePreview();
+        this.saveToStorage();
+        
+        const input = document.querySelector(`.list-item-input[data-block-id="${block.id}"][data-path="${path}"]`);
+        if (input) {
+            input.focus();
+            input.setSelectionRange(caret, caret);
+        }
+    }
+
+    // Enter splits the item at the caret; the text after it moves to a new sibling below
+    insertListItem(blockId, path, caret) {
+        const block = this.blocks.find(b => b.id === blockId);
+        if (!block) return;
+        
+        const { list, index, item } = this.getListItem(block.content, path);
+        const rest = item.text.slice(caret);
+        item.text = item.text.slice(0, caret);
+        list.items.splice(index + 1, 0, { text: rest, checked: false, children: null });
+        
+        const newPath = path.split('.').slice(0, -1).concat(index + 1).join('.');
+        this.commitListChange(block, newPath);
+    }
+
+    // The item becomes the last child of the sibling above it
+    indentListItem(blockId, path) {
+        const block = this.blocks.find(b => b.id === blockId);
+        if (!block) return;
+        
+        const { list, index, item } = this.getListItem(block.content, path);
+        if (index === 0) return;
+        
+        const previous = list.items[index - 1];
+        list.items.splice(index, 1);
+        if (!previous.children) {
+            previous.children = { style: list.style, items: [] };
+        }
+        previous.children.items.push(item);
+        
+        const newPath = path.split('.').slice(0, -1).concat(index - 1, previous.children.items.length - 1).join('.');
+        this.commitListChange(block, newPath, item.text.length);
+    }
+
+    // The item moves out to sit right after its parent; later siblings stay where they are
+    outdentListItem(blockId, path) {
+        const block = this.blocks.find(b => b.id === blockId);
+        if (!block) return;
+        
+        const indices = path.split('.');
+        if (indices.length < 2) return;
+        
+        const { list, index, item, parentItem } = this.getListItem(block.content, path);
+        const parentPath = indices.slice(0, -1).join('.');
+        const parent = this.getListItem(block.content, parentPath);
+        
+        list.items.splice(index, 1);
+        if (list.items.length === 0) {
+            parentItem.children = null;
+        }
+        parent.list.items.splice(parent.index + 1, 0, item);
+        
+        const newPath = indices.slice(0, -2).concat(parent.index + 1).join('.');
+        this.commitListChange(block, newPath, item.text.length);
+    }
+
+    // Removes an empty item and moves the caret to the end of the item shown above it
+    removeListItem(blockId, path) {
+        const block = this.blocks.find(b => b.id === blockId);
+        if (!block) return;
+        
+        const inputs = Array.from(document.querySelectorAll(`.list-item-input[data-block-id="${blockId}"]`));
+        const position = inputs.findIndex(input => input.dataset.path === path);
+        const { list, index, item, parentItem } = this.getListItem(block.content, path);
+        if (item.children || position <= 0) return;
+        
+        const previousPath = inputs[position - 1].dataset.path;
+        list.items.splice(index, 1);
+        if (list.items.length === 0 && parentItem) {
+            parentItem.children = null;
+        }
+        
+        // Removing an item never changes the path of the items before it
+        const previous = this.getListItem(block.content, previousPath).item;
+        this.commitListChange(block, previousPath, previous.text.length);
+    }
+
+    toggleListItem(blockId, path) {
+        const block = this.blocks.find(b => b.id === blockId);
+        if (block) {
+            const { item } = this.getListItem(block.content, path);
+            item.checked = !item.checked;
+            this.updatePreview();
+            this.saveToStorage();
+        }
+    }
+
+    // Nested lists that shared the old style follow the new one
+    setListStyle(blockId, style) {
+        const block = this.blocks.find(b => b.id === blockId);
+        if (!block) return;
+        
+        const previous = block.content.style;
+        const apply = (list) => {
+            if (list.style === previous) {
+                list.style = style;
+            }
+            list.items.forEach(item => {
+                if (item.children) {
+                    apply(item.children);
+                }
+            });
+        };
+        apply(block.content);
+        
+        this.rerenderBlock(block);
+        this.updatePreview();
+        this.saveToStorage();
+    }
+
+    handleTableInput(e) {
+        const blockId = e.target.dataset.blockId;
+        const row = parseInt(e.target.dataset.row);
+        const col = parseInt(e.target.dataset.col);
+        const block = this.blocks.find(b => b.id === blockId);
+        
+        if (block && block.type === 'table') {
+            if (row === -1) {
+                block.content.headers[col] = e.target.value;
+            } else {
+                block.content.rows[row][col] = e.target.value;
+            }
+            this.updatePreview();
+            this.saveToStorage(`cell:${blockId}:${row}:${col}`);
+        }
+    }
+
+    addVariable(key = '', value = '', type = 'text') {
+        const variableId = `var_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const variable = { key: key, value: value, type: type };
+        // The currency is part of the value: changing the locale later only changes how it is written
+        if (type === 'currency') {
+            variable.currency = this.variableFormatter.getDefaultCurrency(this.locale);
+        }
+        this.variables.set(variableId, variable);
+        this.renderVariables();
+        this.updatePreview();
+        this.saveToStorage();
+    }
+
+    renderVariables() {
+        const container = document.getElementById('variables-list');
+        container.innerHTML = '';
+        
+        const placeholders = {
+            text: 'Value',
+            number: '1234.5',
+            currency: '1000',
+            date: 'YYYY-MM-DD',
+            boolean: 'true / false',
+            list: 'a, b, c',
+            table: 'name, price\nWidget, 100'
+        };
+        
+        this.variables.forEach((variable, id) => {
+            const type = variable.type || 'text';
+            const variableElement = document.createElement('div');
+            variableElement.className = 'variable-item';
+            variableElement.innerHTML = `
+                <input type="text" class="variable-input" placeholder="Key" value="${this.escapeHtml(variable.key)}" data-variable-id="${this.escapeHtml(id)}" data-field="key">
+                <select class="variable-type" data-variable-id="${this.escapeHtml(id)}" title="Type">
+                    ${VARIABLE_TYPES.map(option => `<option value="${option}" ${option === type ? 'selected' : ''}>${option}</option>`).join('')}
+                </select>
+                ${type === 'table'
+                    ? `<textarea class="variable-input variable-table" rows="3" placeholder="${placeholders[type]}" data-variable-id="${this.escapeHtml(id)}" data-field="value">${this.escapeHtml(variable.value)}</textarea>`
+                    : `<input type="text" class="variable-input" placeholder="${placeholders[type]}" value="${this.escapeHtml(variable.value)}" data-variable-id="${this.escapeHtml(id)}" data-field="value">`}
+                ${type === 'currency' ? `<input type="text" class="variable-input variable-currency" placeholder="${this.variableFormatter.getDefaultCurrency(this.locale)}" maxlength="3" value="${this.escapeHtml(variable.currency || '')}" data-variable-id="${this.escapeHtml(id)}" data-field="currency" title="Currency code">` : ''}
+                <span class="variable-status" data-variable-id="${this.escapeHtml(id)}"></span>
+                <button class="delete-variable-btn" onclick="editor.deleteVariable(${this.jsString(id)})">🗑️</button>
+            `;
+            container.appendChild(variableElement);
+        });
+        
+        document.getElementById('document-locale').value = this.locale;
+
+        this.bindVariableEvents();
+        this.renderDataSources();
+        this.updateVariableStatus();
+    }
+
+    bindVariableEvents() {
+        document.querySelectorAll('.variable-input').forEach(input => {
+            input.removeEventListener('input', this.handleVariableInput);
+            input.addEventListener('input', this.handleVariableInput.bind(this));
+        });
+
+        document.querySelectorAll('.variable-type').forEach(select => {
+            select.addEventListener('change', this.handleVariableTypeChange.bind(this));
+        });
+    }
+
+    handleVariableInput(e) {
+        const variableId = e.target.dataset.variableId;
+        const field = e.target.dataset.field;
+        const variable = this.variables.get(variableId);
+        
+        if (variable) {
+            if (field === 'currency') {
+                // Half-typed codes keep the previous currency
+                const code = e.target.value.trim().toUpperCase();
+                if (!/^[A-Z]{3}$/.test(code)) return;
+                variable.currency = code;
+            } else {
+                variable[field] = e.target.value;
+            }
+            this.updatePreview();
+            this.saveToStorage(`variable:${variableId}:${field}`);
+        }
+    }
+
+    handleVariableTypeChange(e) {
+        const variable = this.variables.get(e.target.dataset.variableId);
+        if (variable) {
+            variable.type = e.target.value;
+            if (variable.type !== 'currency') {
+                delete variable.currency;
+            } else if (!variable.currency) {
+                variable.currency = this.variableFormatter.getDefaultCurrency(this.locale);
+            }
+            this.renderVariables();
+            this.updatePreview();
+            this.saveToStorage();
+        }
+    }
+
+    setLocale(locale) {
+        this.locale = locale;
+        this.renderVariables();
+        this.updatePreview();
+        this.saveToStorage();
+    }
+
+    renderDialectOptions() {
+        const dialect = this.dialect;
+        const { label, ...profileOptions } = MARKDOWN_PROFILES[dialect.profile];
+        const changed = Object.entries(profileOptions).some(([option, value]) => dialect[option] !== value);
+        document.getElementById('dialect-summary').textContent = `${label}${changed ? ' (changed)' : ''}`;
+        document.getElementById('dialect-profile').innerHTML = Object.entries(MARKDOWN_PROFILES)
+            .map(([id, profile]) => `<option value="${id}" ${id === dialect.profile ? 'selected' : ''}>${profile.label}</option>`)
+            .join('');
+        document.querySelectorAll('.dialect-option').forEach(select => {
+            select.value = dialect[select.dataset.option];
+        });
+        
+        const fields = document.getElementById('dialect-front-matter');
+        fields.hidden = dialect.frontMatter === 'none';
+        if (document.activeElement !== fields) {
+            fields.value = dialect.fields.map(({ key, value }) => `${key}: ${value}`).join('\n');
+        }
+    }
+
+    setDialectProfile(profile) {
+        const { label, ...options } = MARKDOWN_PROFILES[profile];
+        this.updateDialect({ ...options, profile });
+    }
+
+    setDialectOption(option, value) {
+        this.updateDialect({ [option]: value });
+    }
+
+    updateDialect(changes) {
+        this.dialect = { ...this.dialect, ...changes };
+        // Front matter starts out with the title, which static site generators expect
+        if (this.dialect.frontMatter !== 'none' && this.dialect.fields.length === 0) {
+            const hasTitle = Array.from(this.variables.values()).some(variable => variable.key === 'title');
+            this.dialect.fields = [{ key: 'title', value: hasTitle ? '{{title}}' : this.documentName }];
+        }
+        this.renderDialectOptions();
+        this.updatePreview();
+        this.saveToStorage();
+    }
+
+    // One "key: value" per line; the value is everything after the first colon
+    setFrontMatterFields(text) {
+        this.dialect.fields = text.split('\n')
+            .map(line => line.match(/^\s*([^:]+?)\s*:\s*(.*?)\s*$/))
+            .filter(Boolean)
+            .map(match => ({ key: match[1], value: match[2] }));
+        this.updatePreview();
+        this.saveToStorage('dialect:fields');
+    }
+
+    deleteVariable(variableId) {
+        this.variables.delete(variableId);
+        this.renderVariables();
+        this.updatePreview();
+        this.saveToStorage();
+    }
+
+    isExpressionValue(value) {
+        return value.trim().startsWith('=') || value.includes('{{');
+    }
+
+    updateVariableStatus() {
+        const results = this.evaluateVariables();
+        const seenKeys = new Set();
+        
+        this.variables.forEach((variable, id) => {
+            const status = document.querySelector(`.variable-status[data-variable-id="${id}"]`);
+            if (!status) return;
+            
+            let text = '';
+            let message = '';
+            const result = results.get(variable.key);
+            
+            if (variable.key && seenKeys.has(variable.key)) {
+                message = `Duplicate key "${variable.key}"; the first definition is used`;
+            } else if (variable.key === 'data' && this.dataSources.length > 0) {
+                message = '"data" holds the attached data files, so this variable is not used';
+            } else if (result && result.error) {
+                message = result.error;
+            } else if (result && result.type === 'table') {
+                text = `= ${result.value.length} row${result.value.length === 1 ? '' : 's'}`;
+            } else if (result && (this.isExpressionValue(variable.value) || result.type !== 'text')) {
+                try {
+                    text = `= ${this.variableFormatter.render(result.value, [], this.getFormatContext(result))}`;
+                } catch (e) {
+                    message = e.message;
+                }
+            }
+            seenKeys.add(variable.key);
+            
+            status.textContent = message ? '⚠️' : text;
+            status.title = message || text;
+            status.classList.toggle('error', !!message);
+        });
+        
+        const warnings = document.getElementById('variable-warnings');
+        warnings.innerHTML = Array.from(this.placeholderWarnings)
+            .map(message => `<div class="variable-warning">⚠️ ${this.escapeHtml(message)}</div>`)
+            .join('');
+    }
+
+    getDataColumns(rows) {
+        const columns = [];
+        rows.forEach(row => Object.keys(row).forEach(column => {
+            if (!columns.includes(column)) {
+                columns.push(column);
+            }
+        }));
+        return columns;
+    }
+
+    renderDataSources() {
+        const container = document.getElementById('data-sources-list');
+        container.innerHTML = this.dataSources.map(source => {
+            const result = this.dataValues.get(source.name);
+            let summary = '';
+            if (result.error) {
+                summary = `⚠️ ${result.error}`;
+            } else if (this.getTabularData(source.name)) {
+                const rows = result.value;
+                summary = `${rows.length} row${rows.length === 1 ? '' : 's'}: ${this.getDataColumns(rows).join(', ')}`;
+            } else if (Array.isArray(result.value)) {
+                summary = `${result.value.length} entr${result.value.length === 1 ? 'y' : 'ies'}`;
+            } else if (result.value !== null && typeof result.value === 'object') {
+                summary = `Fields: ${Object.keys(result.value).join(', ')}`;
+            } else {
+                summary = this.expressionEngine.toText(result.value);
+            }
+            return `
+                <div class="data-source-item">
+                    <code class="data-source-key" title="${this.escapeHtml(source.fileName)}">{{data.${this.escapeHtml(source.name)}}}</code>
+                    <span class="data-source-summary ${result.error ? 'error' : ''}" title="${this.escapeHtml(`${source.fileName}, loaded ${new Date(source.loadedAt).toLocaleString(this.locale)}\n${summary}`)}">${this.escapeHtml(summary)}</span>
+                    <button class="data-source-btn" onclick="editor.reloadDataSource(${this.jsString(source.name)})" title="Reload ${this.escapeHtml(source.fileName)}">🔄</button>
+                    <button class="delete-variable-btn" onclick="editor.removeDataSource(${this.jsString(source.name)})" title="Remove">🗑️</button>
+                </div>
+            `;
+        }).join('');
+        document.getElementById('reload-data-btn').disabled = this.dataSources.length === 0;
+    }
+
+    // Uses the File System Access API where there is one, so reloading reads the file's current contents
+    async pickDataFile() {
+        if (window.showOpenFilePicker) {
+            try {
+                const [handle] = await window.showOpenFilePicker({
+                    types: [{ description: 'Data files', accept: { 'text/plain': Object.keys(DATA_FORMATS).map(extension => `.${extension}`) } }]
+                });
+                return { handle: handle, file: await handle.getFile() };
+            } catch (e) {
+                if (e.name !== 'AbortError') {
+                    console.error('Failed to open data file:', e);
+                }
+                return null;
+            }
+        }
+        
+        return new Promise(resolve => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = Object.keys(DATA_FORMATS).map(extension => `.${extension}`).join(',');
+            input.addEventListener('change', (e) => {
+                resolve(e.target.files[0] ? { handle: null, file: e.target.files[0] } : null);
+            });
+            input.click();
+        });
+    }
+
+    readFileText(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsText(file);
+        });
+    }
+
+    async readDataSource(name, file) {
+        const format = DATA_FORMATS[file.name.includes('.') ? file.name.split('.').pop().toLowerCase() : ''];
+        if (!format) {
+            alert(`${file.name} is not a JSON, CSV or YAML file`);
+            return null;
+        }
+        return { name: name, format: format, fileName: file.name, content: await this.readFileText(file), loadedAt: Date.now() };
+    }
+
+    setDataSource(source, picked) {
+        const index = this.dataSources.findIndex(existing => existing.name === source.name);
+        if (index === -1) {
+            this.dataSources.push(source);
+        } else {
+            this.dataSources[index] = source;
+        }
+        this.dataFiles.set(source.name, picked);
+    }
+
+    // New data only changes what is generated; blocks keep their content, bound tables show the new rows
+    commitDataChange() {
+        this.refreshDataValues();
+        this.renderDataSources();
+        this.renderAllContent();
+        this.updatePreview();
+        this.saveToStorage();
+    }
+
+    async attachDataFile() {
+        const picked = await this.pickDataFile();
+        if (!picked) return;
+        
+        const suggested = picked.file.name.replace(/\.[^.]+$/, '').replace(/[^\p{L}\p{N}_]+/gu, '_');
+        const answer = prompt('Name for this data (its fields become {{data.name...}})', suggested);
+        if (answer === null) return;
+        const name = answer.trim();
+        if (!/^[\p{L}\p{N}_]+$/u.test(name)) {
+            alert('Please use only letters, digits and _ in the name');
+            return;
+        }
+        if (this.dataSources.some(source => source.name === name) && !confirm(`Replace the data in {{data.${name}}} with ${picked.file.name}?`)) {
+            return;
+        }
+        
+        const source = await this.readDataSource(name, picked.file);
+        if (source) {
+            this.setDataSource(source, picked);
+            this.commitDataChange();
+        }
+    }
+
+    // A file picked without a handle can't be read again after it changes, so the browser asks for it once more
+    async reloadDataSource(name) {
+        const remembered = this.dataFiles.get(name);
+        let picked = null;
+        if (remembered && remembered.handle) {
+            try {
+                picked = { ...remembered, file: await remembered.handle.getFile() };
+                const source = await this.readDataSource(name, picked.file);
+                if (source) {
+                    this.setDataSource(source, picked);
+                    this.commitDataChange();
+                }
+                return;
+            } catch (e) {
+                console.error('Failed to reload data:', e);
+            }
+        }
+        
+        picked = await this.pickDataFile();
+        const source = picked && await this.readDataSource(name, picked.file);
+        if (source) {
+            this.setDataSource(source, picked);
+            this.commitDataChange();
+        }
+    }
+
+    async reloadAllData() {
+        const missing = [];
+        for (const source of this.dataSources) {
+            const remembered = this.dataFiles.get(source.name);
+            try {
+                // The File of one picked without a handle still holds what was read then, so it has to be picked again
+                const file = remembered && remembered.handle && await remembered.handle.getFile();
+                const updated = file && await this.readDataSource(source.name, file);
+                if (updated) {
+                    this.setDataSource(updated, { ...remembered, file });
+                    continue;
+                }
+            } catch (e) {
+                console.error('Failed to reload data:', e);
+            }
+            missing.push(source);
+        }
+        
+        this.commitDataChange();
+        if (missing.length > 0) {
+            alert(`Pick these files again with their 🔄 button to reload them:\n${missing.map(source => `- ${source.name} (${source.fileName})`).join('\n')}`);
+        }
+    }
+
+    removeDataSource(name) {
+        this.dataSources = this.dataSources.filter(source => source.name !== name);
+        this.dataFiles.delete(name);
+        this.commitDataChange();
+    }
+
+    updatePreview() {
+        const previewContent = document.getElementById('preview-content');
+        this.placeholderWarnings = new Set();
+        
+        if (this.previewMode === 'rendered') {
+            previewContent.classList.add('rendered');
+            previewContent.innerHTML = this.renderPreviewHtml();
+            
+            const activeElement = previewContent.querySelector(`[data-block-id="${this.activeBlockId}"]`);
+            if (activeElement) {
+                activeElement.classList.add('active');
+            }
+        } else {
+            previewContent.classList.remove('rendered');
+            previewContent.textContent = this.generateMarkdown();
+        }
+        
+        this.updateVariableStatus();
+        this.updateTableFormulaStatus();
+        this.renderOutline();
+        this.renderProblems();
+    }
+
+    // Runs the enabled lint rules over the block model. A problem names its rule, the block, group or
+    // variable it concerns, and may carry a quick fix ({label, apply}).
+    lintDocument() {
+        const problems = [];
+        const report = (rule, target, message, fix = null) => {
+            if (!this.disabledLintRules.has(rule)) {
+                problems.push({ rule, target, message, fix });
+            }
+        };
+        
+        this.lintPlaceholders(report);
+        this.lintHeadings(report);
+        this.blocks.forEach(block => {
+            if (block.type === 'table' && !block.content.binding) {
+                this.lintTable(block, report);
+            } else if (block.type === 'code') {
+                this.lintCodeFence(block, report);
+            }
+        });
+        this.lintDuplicateVariables(report);
+        
+        // Document order, with variables last
+        const positions = new Map();
+        const walk = items => items.forEach(entry => {
+            positions.set(`${entry.type}:${entry.item.id}`, positions.size);
+            if (entry.type === 'group') walk(entry.children);
+        });
+        walk(this.getAllOrderedItems());
+        const position = problem => positions.has(`${problem.target.type}:${problem.target.id}`)
+            ? positions.get(`${problem.target.type}:${problem.target.id}`)
+            : positions.size;
+        return problems
+            .map((problem, index) => ({ problem, index }))
+            .sort((a, b) => position(a.problem) - position(b.problem) || a.index - b.index)
+            .map(entry => entry.problem);
+    }
+
+    // A placeholder is defined by a variable whose key is the placeholder or its root ("item" of "item.name"),
+    // by "data" when files are attached, or by the entry name of a repeating group around it
+    lintPlaceholders(report) {
+        const variableKeys = Array.from(this.variables.values()).map(variable => variable.key).filter(Boolean);
+        const used = new Set();
+        const reported = new Set();
+        const check = (text, target, scope) => {
+            const names = [...variableKeys, ...scope, ...(this.dataSources.length > 0 ? ['data'] : [])];
+            (text || '').replace(/\{\{\s*([^{}]+?)\s*\}\}/g, (match, reference) => {
+                const { key } = this.variableFormatter.parsePlaceholder(reference);
+                const name = names.find(other => key === other || key.startsWith(`${other}.`) || key.startsWith(`${other}[`));
+                if (name) {
+                    used.add(name);
+                } else if (!reported.has(`${target.type}:${target.id}:${key}`)) {
+                    reported.add(`${target.type}:${target.id}:${key}`);
+                    report('undefined-variable', target, `{{${key}}} has no matching variable`, {
+                        label: 'Add variable',
+                        apply: () => this.variables.set(`var_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`, { key, value: '', type: 'text' })
+                    });
+                }
+                return match;
+            });
+        };
+        
+        const walk = (items, scope) => items.forEach(entry => {
+            const target = { type: entry.type, id: entry.item.id };
+            check(entry.item.condition, target, scope);
+            if (entry.type === 'group') {
+                const group = entry.item;
+                if (group.repeat) {
+                    check(`{{${group.repeat.source}}}`, target, scope);
+                }
+                const innerScope = group.repeat ? [...scope, group.repeat.as] : scope;
+                check(group.name, target, innerScope);
+                walk(entry.children, innerScope);
+            } else {
+                this.mapContentText(entry.item.content, text => check(text, target, scope));
+            }
+        });
+        walk(this.getAllOrderedItems(), []);
+        
+        this.variables.forEach((variable, id) => check(variable.value, { type: 'variable', id }, []));
+        this.dialect.fields.forEach(field => check(field.value, { type: 'document', id: 'front-matter' }, []));
+        const settings = this.getExportSettings();
+        [settings.filename, settings.header, settings.footer].forEach(text => check(text, { type: 'document', id: 'export' }, []));
+        
+        this.variables.forEach((variable, id) => {
+            if (variable.key && !used.has(variable.key)) {
+                report('unused-variable', { type: 'variable', id }, `{{${variable.key}}} is never used`, {
+                    label: 'Delete variable',
+                    apply: () => this.variables.delete(id)
+                });
+            }
+        });
+    }
+
+    lintDuplicateVariables(report) {
+        const seen = new Set();
+        this.variables.forEach((variable, id) => {
+            if (!variable.key) return;
+            if (seen.has(variable.key)) {
+                report('duplicate-variable', { type: 'variable', id }, `{{${variable.key}}} is defined more than once; the first definition is used`, {
+                    label: 'Delete this definition',
+                    apply: () => this.variables.delete(id)
+                });
+            }
+            seen.add(variable.key);
+        });
+    }
+
+    // Levels may go down any number of steps but up only one at a time. Group headings take their level
+    // from the nesting, so only heading blocks get a fix.
+    lintHeadings(report) {
+        let previous = null;
+        const reported = new Set();
+        this.buildOutline().forEach(entry => {
+            const key = `${entry.type}:${entry.id}`;
+            if (previous !== null && entry.level > previous + 1 && !reported.has(key)) {
+                reported.add(key);
+                const level = previous + 1;
+                const block = entry.type === 'block' ? this.blocks.find(b => b.id === entry.id) : null;
+                report('heading-skip', { type: entry.type, id: entry.id }, `Heading jumps from h${previous} to h${entry.level}`, block ? {
+                    label: `Make it h${level}`,
+                    apply: () => {
+                        block.content = block.content.replace(/^( {0,3})#{1,6}/, `$1${'#'.repeat(level)}`);
+                    }
+                } : null);
+            }
+            previous = entry.level;
+        });
+    }
+
+    lintTable(block, report) {
+        const table = block.content;
+        const target = { type: 'block', id: block.id };
+        const reference = (row, col) => this.expressionEngine.toCellReference(row + 2, col);
+        const listCells = cells => cells.slice(0, 3).join(', ') + (cells.length > 3 ? '…' : '');
+        
+        const ragged = table.rows.map((row, index) => index).filter(index => table.rows[index].length !== table.headers.length);
+        if (ragged.length > 0) {
+            report('ragged-table', target, `Row${ragged.length === 1 ? '' : 's'} ${listCells(ragged.map(index => index + 1))} do${ragged.length === 1 ? 'es' : ''} not have ${table.headers.length} cells`, {
+                label: 'Pad rows',
+                apply: () => {
+                    // Extra cells get new columns rather than being dropped
+                    const width = Math.max(table.headers.length, ...table.rows.map(row => row.length));
+                    for (let col = table.headers.length; col < width; col++) {
+                        table.headers.push(`Column ${col + 1}`);
+                        table.align.push(null);
+                    }
+                    table.rows.forEach(row => {
+                        while (row.length < width) row.push('');
+                    });
+                }
+            });
+        }
+        
+        const empty = [];
+        table.headers.forEach((header, col) => {
+            if (!header.trim()) empty.push(reference(-1, col));
+        });
+        table.rows.forEach((row, rowIndex) => row.forEach((cell, col) => {
+            if (!cell.trim()) empty.push(reference(rowIndex, col));
+        }));
+        if (empty.length > 0) {
+            report('empty-cell', target, `${empty.length} empty cell${empty.length === 1 ? '' : 's'}: ${listCells(empty)}`);
+        }
+        
+        // A bare | ends a cell in Markdown tables. Export escapes it, but the cell then reads differently in
+        // the Markdown than in the editor, and elsewhere the | still splits it.
+        // Formulas are not Markdown, and their results are escaped on export
+        const unescaped = text => !this.isTableFormula(text) && /(^|[^\\])\|/.test(text);
+        const escapePipes = text => unescaped(text) ? text.replace(/\\?\|/g, '\\|') : text;
+        const bare = [];
+        table.headers.forEach((header, col) => {
+            if (unescaped(header)) bare.push(reference(-1, col));
+        });
+        table.rows.forEach((row, rowIndex) => row.forEach((cell, col) => {
+            if (unescaped(cell)) bare.push(reference(rowIndex, col));
+        }));
+        if (bare.length > 0) {
+            report('table-pipe', target, `| in ${listCells(bare)} is not escaped as \\|`, {
+                label: 'Escape the pipes',
+                apply: () => {
+                    table.headers = table.headers.map(escapePipes);
+                    table.rows = table.rows.map(row => row.map(escapePipes));
+                }
+            });
+        }
+    }
+
+    lintCodeFence(block, report) {
+        const target = { type: 'block', id: block.id };
+        const lines = block.content.split('\n');
+        const fence = lines[0].match(/^ {0,3}(`{3,}|~{3,})/);
+        if (!fence) {
+            report('code-fence', target, 'Code block has no opening fence', {
+                label: 'Add fences',
+                apply: () => {
+                    block.content = this.fenceCode(block.content, '');
+                }
+            });
+            return;
+        }
+        
+        const closing = new RegExp(`^ {0,3}${fence[1][0]}{${fence[1].length},}\\s*$`);
+        const closeIndex = lines.findIndex((line, index) => index > 0 && closing.test(line));
+        if (closeIndex === -1) {
+            report('code-fence', target, 'Code fence is never closed', {
+                label: 'Close the fence',
+                apply: () => {
+                    block.content = `${block.content}\n${fence[1]}`;
+                }
+            });
+        } else if (closeIndex < lines.length - 1) {
+            report('code-fence', target, `Code fence closes on line ${closeIndex + 1}; the lines after it fall out of the block`, {
+                label: 'Use a longer fence',
+                apply: () => {
+                    const { info, code } = this.splitCodeFence(block.content);
+                    block.content = this.fenceCode(code, info);
+                }
+            });
+        }
+    }
+
+    renderProblems() {
+        this.problems = this.lintDocument();
+        const count = document.getElementById('problems-count');
+        count.textContent = this.problems.length;
+        count.classList.toggle('has-problems', this.problems.length > 0);
+        
+        const labels = { group: 'Group', variable: 'Variable', document: 'Document' };
+        const describe = target => {
+            if (target.type === 'block') {
+                const block = this.blocks.find(b => b.id === target.id);
+                return block ? this.getBlockTypeLabel(block.type) : '';
+            }
+            return labels[target.type];
+        };
+        document.getElementById('problems-list').innerHTML = this.problems.length === 0
+            ? '<div class="problems-empty">No problems found.</div>'
+            : this.problems.map((problem, index) => `
+                <div class="problem">
+                    <button class="problem-message" onclick="editor.jumpToProblem(${index})" title="${this.escapeHtml(LINT_RULES[problem.rule])}">
+                        <span class="problem-target">${describe(problem.target)}</span> ${this.escapeHtml(problem.message)}
+                    </button>
+                    ${problem.fix ? `<button class="problem-fix" onclick="editor.fixProblem(${index})">${this.escapeHtml(problem.fix.label)}</button>` : ''}
+                </div>
+            `).join('');
+    }
+
+    renderLintRules() {
+        document.getElementById('lint-rule-list').innerHTML = Object.entries(LINT_RULES).map(([rule, label]) => `
+            <label><input type="checkbox" ${this.disabledLintRules.has(rule) ? '' : 'checked'} onchange="editor.setLintRuleEnabled('${rule}', this.checked)"> ${this.escapeHtml(label)}</label>
+        `).join('');
+    }
+
+    setLintRuleEnabled(rule, enabled) {
+        if (enabled) {
+            this.disabledLintRules.delete(rule);
+        } else {
+            this.disabledLintRules.add(rule);
+        }
+        this.saveSettings();
+        this.renderProblems();
+    }
+
+    jumpToProblem(index) {
+        const problem = this.problems[index];
+        if (!problem) return;
+        
+        const { type, id } = problem.target;
+        if (type === 'block') {
+            this.focusBlock(id);
+            return;
+        }
+        this.revealItem(problem.target);
+        const selectors = {
+            group: `.group-name-input[data-group-id="${id}"]`,
+            variable: `.variable-input[data-variable-id="${id}"][data-field="key"]`,
+            document: id === 'front-matter' ? '.dialect-options summary' : '.download-btn'
+        };
+        const element = document.querySelector(selectors[type]);
+        if (element) {
+            element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            element.focus({ preventScroll: true });
+        }
+    }
+
+    fixProblem(index) {
+        const problem = this.problems[index];
+        if (!problem || !problem.fix) return;
+        problem.fix.apply();
+        this.refreshAfterEdit();
+    }
+
+    showProblems() {
+        const panel = document.getElementById('problems-panel');
+        panel.open = true;
+        panel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        const first = panel.querySelector('.problem-message');
+        if (first) {
+            first.focus({ preventScroll: true });
+        }
+    }
+
+    renderOutline() {
+        const container = document.getElementById('outline-list');
+        const outline = this.buildOutline();
+        if (outline.length === 0) {
+            container.innerHTML = '<div class="outline-empty">Add heading blocks, or let a group emit its heading, to build the outline.</div>';
+            return;
+        }
+        
+        const topLevel = Math.min(...outline.map(entry => entry.level));
+        container.innerHTML = outline.map(entry => `
+            <div class="outline-entry ${entry.type === 'block' && entry.id === this.activeBlockId ? 'active' : ''}" draggable="true"
+                data-type="${entry.type}" data-id="${this.escapeHtml(entry.id)}" style="padding-left: ${(entry.level - topLevel) * 0.875 + 0.5}rem"
+                title="Click to jump, drag to move the section">
+                ${entry.number ? `<span class="outline-number">${entry.number}</span>` : ''}${this.escapeHtml(entry.text) || '<em>Untitled</em>'}
+            </div>
+        `).join('');
+    }
+
+    // The outline is re-rendered on every change, so its events are delegated from the container
+    bindOutlineEvents() {
+        const container = document.getElementById('outline-list');
+        let dragged = null;
+        
+        container.addEventListener('click', (e) => {
+            const entry = e.target.closest('.outline-entry');
+            if (entry) {
+                this.jumpToOutlineEntry(entry.dataset.type, entry.dataset.id);
+            }
+        });
+        
+        container.addEventListener('dragstart', (e) => {
+            const entry = e.target.closest('.outline-entry');
+            if (entry) {
+                dragged = { type: entry.dataset.type, id: entry.dataset.id };
+                entry.classList.add('dragging');
+                e.dataTransfer.effectAllowed = 'move';
+            }
+        });
+        
+        container.addEventListener('dragend', (e) => {
+            const entry = e.target.closest('.outline-entry');
+            if (entry) {
+                entry.classList.remove('dragging');
+            }
+            dragged = null;
+        });
+        
+        container.addEventListener('dragover', (e) => {
+            if (dragged) {
+                e.preventDefault();
+            }
+        });
+        
+        // Dropping on an entry moves the section before it; dropping below the entries moves it to the end
+        container.addEventListener('drop', (e) => {
+            if (!dragged) return;
+            e.preventDefault();
+            const entry = e.target.closest('.outline-entry');
+            this.moveOutlineSection(dragged, entry ? { type: entry.dataset.type, id: entry.dataset.id } : null);
+            dragged = null;
+        });
+    }
+
+    jumpToOutlineEntry(type, id) {
+        if (type === 'block') {
+            this.activeBlockId = id;
+            this.focusBlock(id);
+            return;
+        }
+        
+        this.expandGroup(id);
+        const groupElement = document.querySelector(`#blocks-container .group[data-group-id="${id}"]`);
+        if (groupElement) {
+            groupElement.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            groupElement.querySelector('.group-name-input').focus({ preventScroll: true });
+        }
+    }
+
+    // A heading block's section runs until the next heading of the same or a higher level in its container
+    getOutlineSection(type, id) {
+        if (type === 'group') {
+            return [{ type: 'group', item: this.groups.get(id) }];
+        }
+        
+        const block = this.blocks.find(b => b.id === id);
+        const headingLevel = (entry) => {
+            if (entry.type === 'group') {
+                return entry.item.emitHeading ? this.getGroupHeadingLevel(entry.item.id) : null;
+            }
+            const match = entry.item.type === 'heading' && entry.item.content.match(/^ {0,3}(#{1,6})\s/);
+            return match ? match[1].length : null;
+        };
+        
+        const siblings = this.getAllOrderedItems(block.groupId);
+        const start = siblings.findIndex(entry => entry.type === 'block' && entry.item.id === id);
+        const level = headingLevel(siblings[start]);
+        let end = start + 1;
+        while (end < siblings.length && !(headingLevel(siblings[end]) !== null && headingLevel(siblings[end]) <= level)) {
+            end++;
+        }
+        return siblings.slice(start, end);
+    }
+
+    moveOutlineSection(source, target) {
+        if (target && source.type === target.type && source.id === target.id) return;
+        
+        const section = this.getOutlineSection(source.type, source.id);
+        const targetItem = target && this.getItem(target.type, target.id);
+        
+        // A section can't be dropped inside itself
+        if (targetItem) {
+            const targetParentId = this.getItemParentId(target.type, targetItem);
+            const inside = section.some(entry => (entry.type === target.type && entry.item.id === target.id) ||
+                (entry.type === 'group' && this.isInGroup(targetParentId, entry.item.id)));
+            if (inside) return;
+            
+            section.forEach(entry => this.moveItemBefore(entry.type, entry.item.id, target.type, target.id));
+        } else {
+            section.forEach(entry => {
+                const oldParentId = this.getItemParentId(entry.type, entry.item);
+                this.setItemParentId(entry.type, entry.item, null);
+                this.setContainerOrder(this.getAllOrderedItems(null)
+                    .filter(other => !(other.type === entry.type && other.item.id === entry.item.id))
+                    .concat(entry));
+                this.setContainerOrder(this.getAllOrderedItems(oldParentId));
+            });
+        }
+        
+        this.renderAllContent();
+        this.updatePreview();
+        this.saveToStorage();
+    }
+
+    setPreviewMode(mode) {
+        this.previewMode = mode;
+        document.querySelectorAll('.preview-mode-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.mode === mode);
+        });
+        this.saveSettings();
+        this.updatePreview();
+    }
+
+    renderPreviewHtml(items = this.getAllOrderedItems(), outline = this.buildOutline()) {
+        let html = '';
+        
+        // Mirrors generateMarkdown so every rendered element maps back to its block
+        items.forEach(item => this.forEachInstance(item, () => {
+            if (item.type === 'block') {
+                html += this.renderPreviewBlock(item.item, outline);
+            } else if (item.type === 'group') {
+                const entry = this.findOutlineEntry(outline, 'group', item.item.id);
+                html += `<section class="rendered-group" data-group-id="${this.escapeHtml(item.item.id)}"${entry ? ` id="${this.escapeHtml(entry.anchor)}"` : ''}>`;
+                if (item.item.emitHeading) {
+                    html += this.renderMarkdownToHtml(this.generateGroupHeading(item.item, outline));
+                }
+                html += this.renderPreviewHtml(item.children, outline);
+                html += '</section>';
+            }
+        }));
+        
+        return html;
+    }
+
+    renderPreviewBlock(block, outline = this.buildOutline()) {
+        // Headings carry their anchor so TOC links work in the preview too
+        const entry = this.findOutlineEntry(outline, 'block', block.id);
+        const anchor = entry ? ` id="${this.escapeHtml(entry.anchor)}"` : '';
+        return `<div class="rendered-block" data-block-id="${this.escapeHtml(block.id)}"${anchor}>${this.renderMarkdownToHtml(this.generateBlockMarkdown(block, outline))}</div>`;
+    }
+
+    renderMarkdownToHtml(markdown) {
+        return this.parseMarkdownBlocks(markdown)
+            .map(entry => this.renderMarkdownEntry(entry))
+            .join('\n');
+    }
+
+    renderMarkdownEntry(entry) {
+        if (entry.type === 'heading') {
+            const match = entry.content.match(/^(#{1,6})\s*(.*?)(\s+#+)?\s*$/);
+            const level = match[1].length;
+            return `<h${level}>${this.renderInlineMarkdown(match[2])}</h${level}>`;
+        }
+        
+        if (entry.type === 'code') {
+            const lines = entry.content.split('\n');
+            const opening = lines.shift().trim();
+            const fence = opening.match(/^(`+|~+)/)[1];
+            if (lines.length && lines[lines.length - 1].trim().startsWith(fence)) {
+                lines.pop();
+            }
+            const language = opening.slice(fence.length).trim().split(/\s+/)[0];
+            const languageClass = language ? ` class="language-${this.escapeHtml(language)}"` : '';
+            return `<pre><code${languageClass}>${this.escapeHtml(lines.join('\n'))}</code></pre>`;
+        }
+        
+        if (entry.type === 'table') {
+            const { headers, rows, align } = entry.content;
+            const style = index => align[index] ? ` style="text-align: ${align[index]}"` : '';
+            let html = '<table><thead><tr>';
+            html += headers.map((header, index) => `<th${style(index)}>${this.renderInlineMarkdown(header)}</th>`).join('');
+            html += '</tr></thead><tbody>';
+            rows.forEach(row => {
+                html += '<tr>' + row.map((cell, index) => `<td${style(index)}>${this.renderInlineMarkdown(cell)}</td>`).join('') + '</tr>';
+            });
+            return html + '</tbody></table>';
+        }
+        
+        if (entry.type === 'list') {
+            return this.renderListHtml(entry.content);
+        }
+        
+        if (entry.type === 'rule') {
+            return '<hr>';
+        }
+        
+        if (entry.type === 'toc') {
+            return `<nav class="toc">${this.renderListHtml(entry.list)}</nav>`;
+        }
+        
+        if (entry.type === 'blockquote') {
+            return `<blockquote>${this.renderMarkdownToHtml(entry.content)}</blockquote>`;
+        }
+        
+        if (entry.type === 'callout') {
+            const { kind, text } = entry.content;
+            return `<div class="callout callout-${kind}"><p class="callout-title">${kind.toUpperCase()}</p>${this.renderMarkdownToHtml(text)}</div>`;
+        }
+        
+        if (entry.type === 'image') {
+            const { alt, src, title } = entry.content;
+            const titleAttribute = title ? ` title="${this.escapeHtml(title)}"` : '';
+            return `<p><img src="${this.escapeHtml(this.sanitizeUrl(src))}" alt="${this.escapeHtml(alt)}"${titleAttribute}></p>`;
+        }
+        
+        // No TeX or Mermaid renderer is bundled, so the source is shown as-is
+        if (entry.type === 'math') {
+            return `<div class="math-block">${this.escapeHtml(entry.content)}</div>`;
+        }
+        
+        if (entry.type === 'mermaid') {
+            return `<pre class="mermaid">${this.escapeHtml(entry.content)}</pre>`;
+        }
+        
+        if (entry.type === 'paragraph') {
+            return `<p>${this.renderInlineMarkdown(entry.content)}</p>`;
+        }
+        
+        // Group markers carry no visible content
+        return '';
+    }
+
+    renderListHtml(content) {
+        return this.renderListItemsHtml(this.listCodec.parseItems(content));
+    }
+
+    renderListItemsHtml(items) {
+        let html = '';
+        let index = 0;
+        
+        // Siblings switching between bullets and numbers start a new list
+        while (index < items.length) {
+            const ordered = /\d/.test(items[index].marker);
+            const start = ordered ? parseInt(items[index].marker, 10) : 1;
+            html += ordered ? `<ol${start !== 1 ? ` start="${start}"` : ''}>` : '<ul>';
+            
+            while (index < items.length && /\d/.test(items[index].marker) === ordered) {
+                const item = items[index];
+                const task = item.text.match(/^\[([ xX])\]\s+([\s\S]*)$/);
+                const text = task
+                    ? `<input type="checkbox" disabled${task[1] !== ' ' ? ' checked' : ''}> ${this.renderInlineMarkdown(task[2])}`
+                    : this.renderInlineMarkdown(item.text);
+                html += `<li>${text}${item.children.length ? this.renderListItemsHtml(item.children) : ''}</li>`;
+                index++;
+            }
+            
+            html += ordered ? '</ol>' : '</ul>';
+        }
+        
+        return html;
+    }
+
+    escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    focusBlock(blockId) {
+        this.expandGroupsFor(blockId);
+        const blockElement = document.querySelector(`#blocks-container .block[data-block-id="${blockId}"]`);
+        if (!blockElement) return;
+        
+        blockElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        const input = blockElement.querySelector('.block-input, .block-field, .table-input');
+        if (input) {
+            input.focus({ preventScroll: true });
+        }
+        
+        blockElement.classList.add('sync-highlight');
+        setTimeout(() => blockElement.classList.remove('sync-highlight'), 1000);
+    }
+
+    handleEditorFocus(e) {
+        const blockElement = e.target.closest('.block[data-block-id]');
+        if (!blockElement || blockElement.dataset.blockId === this.activeBlockId) return;
+        
+        this.activeBlockId = blockElement.dataset.blockId;
+        if (this.previewMode !== 'rendered') return;
+        
+        const previewContent = document.getElementById('preview-content');
+        previewContent.querySelectorAll('.rendered-block.active').forEach(el => el.classList.remove('active'));
+        const renderedElement = previewContent.querySelector(`[data-block-id="${this.activeBlockId}"]`);
+        if (renderedElement) {
+            renderedElement.classList.add('active');
+            renderedElement.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        }
+    }
+
+    handlePreviewClick(e) {
+        if (this.previewMode !== 'rendered') return;
+        
+        const link = e.target.closest('a[href^="#"]');
+        if (link) {
+            e.preventDefault();
+            const target = document.getElementById(decodeURIComponent(link.getAttribute('href').slice(1)));
+            if (target) {
+                target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            }
+            return;
+        }
+        
+        const renderedElement = e.target.closest('.rendered-block');
+        if (renderedElement) {
+            this.activeBlockId = renderedElement.dataset.blockId;
+            this.focusBlock(this.activeBlockId);
+        }
+    }
+
+    copyToClipboard() {
+        const markdown = this.generateMarkdown();
+        navigator.clipboard.writeText(markdown).then(() => {
+            this.showCopied(document.querySelector('.copy-btn'));
+        });
+    }
+
+    showCopied(button) {
+        const originalText = button.textContent;
+        button.textContent = '✅ Copied!';
+        setTimeout(() => {
+            button.textContent = originalText;
+        }, 2000);
+    }
+
+    // Export choices are kept in the document metadata, so the next export starts from the same ones
+    getExportSettings() {
+        const hasTitle = Array.from(this.variables.values()).some(variable => variable.key === 'title');
+        return {
+            format: 'markdown',
+            filename: hasTitle ? '{{title}}' : '',
+            theme: 'light',
+            header: '',
+            footer: '',
+            pageBreaks: [],
+            ...this.documentMetadata.export
+        };
+    }
+
+    // The filename may use variables, e.g. "{{product_name}} datasheet"; left empty it is the document name
+    getExportFilename(template) {
+        const name = template.trim() ? this.substituteVariables(template.trim()) : this.documentName;
+        return name.replace(/[\\/:*?"<>|\u0000-\u001f]/g, '_').trim() || 'document';
+    }
+
+    openExportDialog() {
+        const settings = this.getExportSettings();
+        
+        document.querySelectorAll('input[name="export-format"]').forEach(input => {
+            input.checked = input.value === settings.format;
+        });
+        document.getElementById('export-filename').value = settings.filename;
+        document.getElementById('export-filename').placeholder = this.documentName;
+        document.getElementById('export-theme').innerHTML = Object.entries(EXPORT_THEMES)
+            .map(([id, theme]) => `<option value="${id}" ${id === settings.theme ? 'selected' : ''}>${theme.label}</option>`)
+            .join('');
+        document.getElementById('export-header').value = settings.header;
+        document.getElementById('export-footer').value = settings.footer;
+        
+        const groups = [];
+        const walk = (items, depth) => items.forEach(item => {
+            if (item.type === 'group') {
+                groups.push({ group: item.item, depth });
+                walk(item.children, depth + 1);
+            }
+        });
+        walk(this.getAllOrderedItems(), 0);
+        document.getElementById('export-page-breaks').innerHTML = groups.length === 0
+            ? '<em>Group blocks to choose where pages break.</em>'
+            : groups.map(({ group, depth }) => `
+                <label style="padding-left: ${depth}rem">
+                    <input type="checkbox" value="${group.id}" ${settings.pageBreaks.includes(group.id) ? 'checked' : ''}>
+                    ${this.escapeHtml(group.name) || '<em>Untitled</em>'}
+                </label>
+            `).join('');
+        
+        this.updateExportDialog();
+        document.getElementById('export-dialog').showModal();
+    }
+
+    // Shows the options that apply to the chosen format, and the filename it will get
+    updateExportDialog() {
+        const format = document.querySelector('input[name="export-format"]:checked').value;
+        document.querySelectorAll('#export-dialog [data-formats]').forEach(element => {
+            element.hidden = !element.dataset.formats.split(' ').includes(format);
+        });
+        
+        const extensions = { markdown: '.md', html: '.html', text: '.txt' };
+        document.getElementById('export-filename-preview').textContent =
+            `${this.getExportFilename(document.getElementById('export-filename').value)}${extensions[format] || ''}`;
+    }
+
+    readExportDialog() {
+        return {
+            format: document.querySelector('input[name="export-format"]:checked').value,
+            filename: document.getElementById('export-filename').value,
+            theme: document.getElementById('export-theme').value,
+            header: document.getElementById('export-header').value,
+            footer: document.getElementById('export-footer').value,
+            pageBreaks: Array.from(document.querySelectorAll('#export-page-breaks input:checked')).map(input => input.value)
+        };
+    }
+
+    async confirmExport() {
+        const settings = this.readExportDialog();
+        document.getElementById('export-dialog').close();
+        
+        if (JSON.stringify(settings) !== JSON.stringify(this.getExportSettings())) {
+            this.documentMetadata.export = settings;
+            this.saveToStorage();
+        }
+        await this.exportAs(settings);
+    }
+
+    async exportAs(settings) {
+        const filename = this.getExportFilename(settings.filename);
+        
+        if (settings.format === 'html') {
+            this.downloadFile(this.generateHtmlDocument(settings), `${filename}.html`, 'text/html');
+        } else if (settings.format === 'print') {
+            this.openPrintView(settings);
+        } else if (settings.format === 'text') {
+            this.downloadFile(this.generatePlainText(), `${filename}.txt`, 'text/plain');
+        } else if (settings.format === 'clipboard') {
+            await this.copyRichText();
+        } else {
+            this.downloadFile(this.generateMarkdown(), `${filename}.md`, 'text/markdown');
+        }
+    }
+
+    // The rendered preview without the editor's hooks; groups chosen for page breaks start a new printed page
+    renderExportBody(pageBreaks = []) {
+        const container = document.createElement('div');
+        container.innerHTML = this.renderPreviewHtml();
+        container.querySelectorAll('.rendered-group').forEach(section => {
+            if (pageBreaks.includes(section.dataset.groupId)) {
+                section.classList.add('page-break');
+            }
+        });
+        container.querySelectorAll('[data-block-id], [data-group-id]').forEach(element => {
+            element.removeAttribute('data-block-id');
+            element.removeAttribute('data-group-id');
+        });
+        return container.innerHTML;
+    }
+
+    // A standalone page; headers and footers only show when printed, repeated on every page by the table layout
+    generateHtmlDocument(settings, { autoPrint = false } = {}) {
+        const theme = EXPORT_THEMES[settings.theme] || EXPORT_THEMES.light;
+        const outline = this.buildOutline();
+        const title = outline.length > 0 ? this.renderPlainInline(outline[0].text) : this.documentName;
+        const header = settings.header.trim() ? this.escapeHtml(this.substituteVariables(settings.header)) : '';
+        const footer = settings.footer.trim() ? this.escapeHtml(this.substituteVariables(settings.footer)) : '';
+        
+        let body = `<main>\n${this.renderExportBody(settings.pageBreaks)}\n</main>`;
+        if (header || footer) {
+            body = `<table class="page-layout">
+<thead><tr><td class="page-header">${header}</td></tr></thead>
+<tfoot><tr><td class="page-footer">${footer}</td></tr></tfoot>
+<tbody><tr><td>${body}</td></tr></tbody>
+</table>`;
+        }
+        
+        return `<!DOCTYPE html>
+<html lang="${this.escapeHtml(this.locale)}">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${this.escapeHtml(title)}</title>
+<style>
+:root { ${theme.variables} }
+${EXPORT_STYLESHEET}</style>
+</head>
+<body>
+${body}
+${autoPrint ? '<script>window.addEventListener(\'load\', () => window.print());</script>\n' : ''}</body>
+</html>
+`;
+    }
+
+    openPrintView(settings) {
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            alert('Please allow pop-ups for this page to open the print view');
+            return;
+        }
+        printWindow.document.write(this.generateHtmlDocument(settings, { autoPrint: true }));
+        printWindow.document.close();
+    }
+
+    generatePlainText() {
+        return this.renderPlainText(this.generateMarkdown(DEFAULT_DIALECT));
+    }
+
+    renderPlainText(markdown) {
+        return this.parseMarkdownBlocks(markdown)
+            .map(entry => this.renderPlainTextEntry(entry))
+            .filter(text => text !== '')
+            .join('\n\n');
+    }
+
+    renderPlainTextEntry(entry) {
+        if (entry.type === 'heading') {
+            const match = entry.content.match(/^(#{1,6})\s*(.*?)(\s+#+)?\s*$/);
+            const text = this.renderPlainInline(match[2]);
+            // Top-level headings are underlined, as is usual in plain text
+            return match[1].length <= 2 ? `${text}\n${(match[1].length === 1 ? '=' : '-').repeat(text.length)}` : text;
+        }
+        
+        if (entry.type === 'code') {
+            const lines = entry.content.split('\n');
+            const fence = lines.shift().trim().match(/^(`+|~+)/)[1];
+            if (lines.length && lines[lines.length - 1].trim().startsWith(fence)) {
+                lines.pop();
+            }
+            return lines.join('\n');
+        }
+        
+        if (entry.type === 'table') {
+            const grid = [entry.content.headers, ...entry.content.rows].map(row => row.map(cell => this.renderPlainInline(cell)));
+            const widths = entry.content.headers.map((header, col) => Math.max(...grid.map(row => this.getDisplayWidth(row[col] || ''))));
+            const line = row => widths.map((width, col) => (row[col] || '') + ' '.repeat(width - this.getDisplayWidth(row[col] || ''))).join('  ').trimEnd();
+            return [line(grid[0]), widths.map(width => '-'.repeat(width)).join('  '), ...grid.slice(1).map(line)].join('\n');
+        }
+        
+        if (entry.type === 'list' || entry.type === 'toc') {
+            const lines = [];
+            const walk = (items, depth) => items.forEach(item => {
+                lines.push(`${'  '.repeat(depth)}${item.marker} ${this.renderPlainInline(item.text)}`);
+                walk(item.children, depth + 1);
+            });
+            walk(this.listCodec.parseItems(entry.type === 'toc' ? entry.list : entry.content), 0);
+            return lines.join('\n');
+        }
+        
+        if (entry.type === 'rule') {
+            return '-'.repeat(40);
+        }
+        
+        if (entry.type === 'blockquote') {
+            return this.quoteLines(this.renderPlainText(entry.content));
+        }
+        
+        if (entry.type === 'callout') {
+            return `${entry.content.kind.toUpperCase()}: ${this.renderPlainText(entry.content.text)}`;
+        }
+        
+        if (entry.type === 'image') {
+            return `[${entry.content.alt || 'Image'}]`;
+        }
+        
+        if (entry.type === 'math' || entry.type === 'mermaid') {
+            return entry.content;
+        }
+        
+        if (entry.type === 'paragraph') {
+            return this.renderPlainInline(entry.content);
+        }
+        
+        return '';
+    }
+
+    // Inline Markdown without its formatting; link targets are kept in brackets
+    renderPlainInline(text) {
+        const container = document.createElement('div');
+        container.innerHTML = this.renderInlineMarkdown(text);
+        container.querySelectorAll('a').forEach(link => {
+            const href = link.getAttribute('href');
+            if (href && !href.startsWith('#') && href !== link.textContent) {
+                link.append(` (${href})`);
+            }
+        });
+        container.querySelectorAll('img').forEach(image => {
+            image.replaceWith(image.alt);
+        });
+        container.querySelectorAll('br').forEach(lineBreak => {
+            lineBreak.replaceWith('\n');
+        });
+        return container.textContent;
+    }
+
+    // Mail clients drop <style>, so the pasted HTML carries its styling inline
+    async copyRichText() {
+        const container = document.createElement('div');
+        container.innerHTML = this.renderExportBody();
+        const styles = {
+            table: 'border-collapse: collapse;',
+            'th, td': 'border: 1px solid #d0d7de; padding: 4px 8px;',
+            th: 'background-color: #f6f8fa;',
+            pre: 'background-color: #f6f8fa; padding: 8px 12px;',
+            code: 'font-family: Consolas, Monaco, monospace;',
+            blockquote: 'border-left: 4px solid #d0d7de; color: #57606a; margin-left: 0; padding-left: 12px;',
+            '.callout': 'border-left: 4px solid #0969da; padding: 4px 12px;',
+            '.math-block': 'font-family: Consolas, Monaco, monospace; text-align: center;'
+        };
+        Object.entries(styles).forEach(([selector, style]) => {
+            container.querySelectorAll(selector).forEach(element => {
+                element.setAttribute('style', `${style} ${element.getAttribute('style') || ''}`.trim());
+            });
+        });
+        
+        try {
+            await navigator.clipboard.write([new ClipboardItem({
+                'text/html': new Blob([container.innerHTML], { type: 'text/html' }),
+                'text/plain': new Blob([this.generatePlainText()], { type: 'text/plain' })
+            })]);
+            this.showCopied(document.querySelector('.download-btn'));
+        } catch (e) {
+            console.error('Failed to copy rich text:', e);
+            alert('Could not copy to the clipboard. Your browser may not allow copying formatted text.');
+        }
+    }
+
+    downloadFile(content, filename, type) {
+        const blob = new Blob([content], { type: type });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    exportDocument() {
+        const data = this.serializeDocument();
+        data.metadata = {
+            ...data.metadata,
+            name: this.documentName,
+            exportedAt: new Date().toISOString()
+        };
+        const filename = `${this.documentName.replace(/[\\/:*?"<>|]/g, '_') || 'document'}.smd.json`;
+        this.downloadFile(JSON.stringify(data, null, 2), filename, 'application/json');
+    }
+
+    importDocumentFile() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,.smd.json';
+        input.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                const reader = new FileReader();
+                reader.onload = async (e) => {
+                    let data;
+                    try {
+                        data = this.parseDocument(JSON.parse(e.target.result));
+                    } catch (error) {
+                        const details = error instanceof DocumentFormatError
+                            ? error.errors.map(message => `- ${message}`).join('\n')
+                            : error.message;
+                        alert(`Could not import ${file.name}:\n${details}`);
+                        return;
+                    }
+                    const name = (data.metadata && data.metadata.name) || file.name.replace(/(\.smd)?\.json$/, '');
+                    await this.createDocument(name, data);
+                };
+                reader.readAsText(file);
+            }
+        });
+        input.click();
+    }
+
+    uploadFile() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.md,.txt';
+        input.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                const reader = new FileReader();
+                reader.onload = async (e) => {
+                    // Imports open as a new document rather than replacing the current one; createDocument has
+                    // told the user when there is none to open
+                    if (!await this.createDocument(file.name.replace(/\.[^.]+$/, ''))) return;
+                    this.importMarkdown(e.target.result);
+                };
+                reader.readAsText(file);
+            }
+        });
+        input.click();
+    }
+
+    importMarkdown(markdown) {
+        super.importMarkdown(markdown);
+        this.renderDialectOptions();
+        this.rerenderAllBlocks();
+        this.updatePreview();
+        this.saveToStorage();
+    }
+
+    saveSettings() {
+        // Only shortcuts that differ from the defaults are stored, so new defaults reach existing users
+        const shortcuts = {};
+        new Set([...Object.keys(DEFAULT_SHORTCUTS), ...Object.keys(this.shortcuts)]).forEach(id => {
+            const keys = this.shortcuts[id] || [];
+            if (JSON.stringify(keys) !== JSON.stringify(DEFAULT_SHORTCUTS[id] || [])) {
+                shortcuts[id] = keys;
+            }
+        });
+        const settings = {
+            previewMode: this.previewMode,
+            currentDocumentId: this.documentId,
+            shortcuts: shortcuts,
+            disabledLintRules: Array.from(this.disabledLintRules),
+            collabServer: this.collabServer,
+            collabName: this.collabName
+        };
+        localStorage.setItem('structuredMarkdownEditorSettings', JSON.stringify(settings));
+    }
+
+    loadSettings() {
+        const data = localStorage.getItem('structuredMarkdownEditorSettings');
+        if (data) {
+            try {
+                const parsed = JSON.parse(data);
+                this.previewMode = parsed.previewMode || 'raw';
+                this.documentId = parsed.currentDocumentId || null;
+                this.shortcuts = { ...DEFAULT_SHORTCUTS, ...parsed.shortcuts };
+                this.disabledLintRules = new Set(parsed.disabledLintRules || []);
+                this.collabServer = parsed.collabServer || '';
+                this.collabName = parsed.collabName || '';
+            } catch (e) {
+                console.error('Failed to load settings:', e);
+            }
+        }
+        this.renderLintRules();
+        this.setPreviewMode(this.previewMode);
+    }
+
+    loadDocument(data) {
+        super.loadDocument(data);
+        this.blocks.forEach(block => {
+            block.selected = false;
+        });
+        this.groups.forEach(group => {
+            group.selected = false;
+        });
+    }
+
+    serializeHistoryState() {
+        // Collapsing a group only changes the view, so it is not an undo step either
+        const state = this.serializeDocument();
+        state.groups.forEach(group => {
+            delete group.collapsed;
+        });
+        return JSON.stringify(state);
+    }
+
+    commitHistory(historyKey = null) {
+        const current = this.serializeHistoryState();
+        if (this.committedState === null || current === this.committedState) {
+            this.committedState = current;
+            return;
+        }
+        
+        // Consecutive edits with the same key (e.g. typing in one textarea) share one undo step
+        if (historyKey === null || historyKey !== this.lastHistoryKey) {
+            this.history.undo.push(this.committedState);
+            if (this.history.undo.length > this.maxHistory) {
+                this.history.undo.shift();
+            }
+        }
+        
+        this.history.redo = [];
+        this.committedState = current;
+        this.lastHistoryKey = historyKey;
+        this.updateHistoryButtons();
+    }
+
+    undo() {
+        if (this.history.undo.length === 0) return;
+        
+        this.history.redo.push(this.committedState);
+        this.restoreHistoryState(this.history.undo.pop());
+    }
+
+    redo() {
+        if (this.history.redo.length === 0) return;
+        
+        this.history.undo.push(this.committedState);
+        this.restoreHistoryState(this.history.redo.pop());
+    }
+
+    restoreHistoryState(serialized) {
+        const focusSelector = this.getFocusSelector();
+        
+        // Snapshots go through the same migrations as saved documents
+        const collapsed = new Set(Array.from(this.groups.values()).filter(group => group.collapsed).map(group => group.id));
+        try {
+            const state = JSON.parse(serialized);
+            (Array.isArray(state.groups) ? state.groups : []).forEach(group => {
+                group.collapsed = collapsed.has(group.id);
+            });
+            this.loadDocument(state);
+        } catch (e) {
+            // The stacks can't be trusted past a broken state, so the current document stays and they go
+            console.error('Failed to restore the undo state:', e);
+            alert('That undo step could not be restored, so the undo history has been cleared.');
+            this.history = { undo: [], redo: [] };
+            this.lastHistoryKey = null;
+            this.updateHistoryButtons();
+            this.saveToStorage();
+            return;
+        }
+        this.committedState = this.serializeHistoryState();
+        this.lastHistoryKey = null;
+        
+        this.renderAllContent();
+        this.renderVariables();
+        this.renderDialectOptions();
+        this.updatePreview();
+        this.updateHistoryButtons();
+        this.saveToStorage();
+        
+        if (focusSelector) {
+            const element = document.querySelector(focusSelector);
+            if (element) {
+                element.focus();
+            }
+        }
+    }
+
+    getFocusSelector() {
+        const active = document.activeElement;
+        if (!active || !active.classList || active.classList.length === 0 || Object.keys(active.dataset).length === 0) {
+            return null;
+        }
+        
+        const attributes = Object.entries(active.dataset)
+            .map(([key, value]) => `[data-${key.replace(/[A-Z]/g, c => '-' + c.toLowerCase())}="${value}"]`)
+            .join('');
+        return `${active.tagName.toLowerCase()}.${active.classList[0]}${attributes}`;
+    }
+
+    updateHistoryButtons() {
+        document.querySelector('.undo-btn').disabled = this.history.undo.length === 0;
+        document.querySelector('.redo-btn').disabled = this.history.redo.length === 0;
+    }
+
+    // Every piece of editable text in document order, with the selector of the field that shows it: block
+    // text, list items, table headers and cells, image and callout fields, group names and variable values
+    getSearchFields() {
+        const fields = [];
+        const add = (owner, selector, get, set) => fields.push({ owner, selector, get, set });
+        
+        const walk = items => items.forEach(entry => {
+            if (entry.type === 'group') {
+                const group = entry.item;
+                add({ type: 'group', id: group.id }, `.group-name-input[data-group-id="${group.id}"]`, () => group.name, value => { group.name = value; });
+                walk(entry.children);
+                return;
+            }
+            
+            const block = entry.item;
+            const owner = { type: 'block', id: block.id };
+            const field = `[data-block-id="${block.id}"]`;
+            if (block.type === 'list') {
+                const walkList = (list, prefix) => list.items.forEach((item, index) => {
+                    const path = prefix === '' ? `${index}` : `${prefix}.${index}`;
+                    add(owner, `.list-item-input${field}[data-path="${path}"]`, () => item.text, value => { item.text = value; });
+                    if (item.children) walkList(item.children, path);
+                });
+                walkList(block.content, '');
+            } else if (block.type === 'table') {
+                // Bound tables show the data file's rows, which are not edited here
+                if (block.content.binding) return;
+                block.content.headers.forEach((header, col) => {
+                    add(owner, `.table-input${field}[data-row="-1"][data-col="${col}"]`, () => block.content.headers[col], value => { block.content.headers[col] = value; });
+                });
+                block.content.rows.forEach((row, rowIndex) => row.forEach((cell, col) => {
+                    add(owner, `.table-input${field}[data-row="${rowIndex}"][data-col="${col}"]`, () => row[col], value => { row[col] = value; });
+                }));
+            } else if (block.type === 'image') {
+                ['alt', 'src', 'title'].forEach(name => {
+                    add(owner, `.block-field${field}[data-field="${name}"]`, () => block.content[name], value => { block.content[name] = value; });
+                });
+            } else if (block.type === 'callout') {
+                add(owner, `.block-field${field}[data-field="text"]`, () => block.content.text, value => { block.content.text = value; });
+            } else if (typeof block.content === 'string' && block.type !== 'rule') {
+                add(owner, `.block-input${field}`, () => block.content, value => { block.content = value; });
+            }
+        });
+        walk(this.getAllOrderedItems());
+        
+        this.variables.forEach((variable, id) => {
+            add({ type: 'variable', id }, `.variable-input[data-variable-id="${id}"][data-field="value"]`, () => variable.value, value => { variable.value = value; });
+        });
+        return fields;
+    }
+
+    // Null without a query; throws SyntaxError for an invalid regular expression
+    getFindPattern() {
+        const query = document.getElementById('find-input').value;
+        if (!query) return null;
+        
+        let source = document.getElementById('find-regex').checked ? query : this.escapeRegExp(query);
+        if (document.getElementById('find-word').checked) {
+            source = `(?<![\\p{L}\\p{N}_])(?:${source})(?![\\p{L}\\p{N}_])`;
+        }
+        return new RegExp(source, document.getElementById('find-case').checked ? 'gu' : 'giu');
+    }
+
+    openFind() {
+        const bar = document.getElementById('find-bar');
+        const input = document.getElementById('find-input');
+        
+        // Text selected in a field becomes the query
+        const active = document.activeElement;
+        if (active && !bar.contains(active) && typeof active.selectionStart === 'number' && active.selectionStart !== active.selectionEnd) {
+            input.value = active.value.slice(active.selectionStart, active.selectionEnd);
+        }
+        bar.hidden = false;
+        input.focus();
+        input.select();
+        this.findIndex = 0;
+        this.runFind();
+    }
+
+    closeFind() {
+        const current = this.findMatches[this.findIndex];
+        document.getElementById('find-bar').hidden = true;
+        this.findMatches = [];
+        this.highlightFindMatches();
+        
+        // The field of the current match keeps it selected
+        const element = current && document.querySelector(current.field.selector);
+        if (element) {
+            element.focus();
+            element.setSelectionRange(current.start, current.end);
+        }
+    }
+
+    handleFindKeyDown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.closeFind();
+        } else if (e.key === 'Enter' && e.target.id === 'find-input') {
+            e.preventDefault();
+            this.goToFindMatch(e.shiftKey ? -1 : 1);
+        } else if (e.key === 'Enter' && e.target.id === 'replace-input') {
+            e.preventDefault();
+            if (e.ctrlKey || e.metaKey) {
+                this.replaceAllMatches();
+            } else {
+                this.replaceCurrentMatch();
+            }
+        }
+    }
+
+    // Matches are found again from the document each time, since fields can change while the bar is open
+    runFind() {
+        const count = document.getElementById('find-count');
+        let pattern;
+        try {
+            pattern = this.getFindPattern();
+        } catch (e) {
+            this.findMatches = [];
+            this.highlightFindMatches();
+            count.textContent = 'Invalid pattern';
+            count.title = e.message;
+            return;
+        }
+        
+        this.findMatches = [];
+        if (pattern) {
+            this.getSearchFields().forEach(field => {
+                const text = field.get();
+                pattern.lastIndex = 0;
+                let match;
+                while ((match = pattern.exec(text)) !== null) {
+                    if (match[0] === '') {
+                        pattern.lastIndex++;
+                        continue;
+                    }
+                    this.findMatches.push({ field, start: match.index, end: match.index + match[0].length });
+                }
+            });
+        }
+        this.findIndex = this.findMatches.length === 0 ? -1 : Math.min(Math.max(this.findIndex, 0), this.findMatches.length - 1);
+        
+        count.textContent = this.findMatches.length > 0
+            ? `${this.findIndex + 1} of ${this.findMatches.length}`
+            : pattern ? 'No results' : '';
+        count.title = '';
+        this.highlightFindMatches();
+    }
+
+    // Fields with a match are outlined; the current match's field is marked and has the match selected
+    highlightFindMatches() {
+        document.querySelectorAll('.find-match, .find-current').forEach(element => {
+            element.classList.remove('find-match', 'find-current');
+        });
+        this.findMatches.forEach(match => {
+            const element = document.querySelector(match.field.selector);
+            if (element) {
+                element.classList.add('find-match');
+            }
+        });
+        
+        const current = this.findMatches[this.findIndex];
+        const element = current && document.querySelector(current.field.selector);
+        if (element) {
+            element.classList.add('find-current');
+            element.setSelectionRange(current.start, current.end);
+        }
+    }
+
+    goToFindMatch(offset) {
+        this.runFind();
+        if (this.findMatches.length === 0) return;
+        this.findIndex = (this.findIndex + offset + this.findMatches.length) % this.findMatches.length;
+        
+        // Matches inside collapsed groups are brought into view
+        this.revealItem(this.findMatches[this.findIndex].field.owner);
+        this.runFind();
+        
+        const element = document.querySelector(this.findMatches[this.findIndex].field.selector);
+        if (element) {
+            element.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    // A regular expression's replacement can use $1, $<name> and $&; otherwise it is taken literally
+    replaceFindMatch(text, pattern, start) {
+        const replacement = document.getElementById('replace-input').value;
+        const sticky = new RegExp(pattern.source, pattern.flags.replace('g', '') + 'y');
+        sticky.lastIndex = start;
+        return text.replace(sticky, document.getElementById('find-regex').checked ? replacement : () => replacement);
+    }
+
+    replaceCurrentMatch() {
+        this.runFind();
+        const match = this.findMatches[this.findIndex];
+        if (!match) return;
+        
+        match.field.set(this.replaceFindMatch(match.field.get(), this.getFindPattern(), match.start));
+        this.refreshAfterEdit();
+    }
+
+    replaceAllMatches() {
+        this.runFind();
+        const matches = this.findMatches;
+        if (matches.length === 0) return;
+        
+        // Later matches first, so earlier positions in the same field stay valid
+        const pattern = this.getFindPattern();
+        matches.slice().reverse().forEach(match => {
+            match.field.set(this.replaceFindMatch(match.field.get(), pattern, match.start));
+        });
+        this.refreshAfterEdit();
+        document.getElementById('find-count').textContent = `Replaced ${matches.length}`;
+    }
+
+    refreshAfterEdit() {
+        this.renderVariables();
+        this.renderAllContent();
+        this.updatePreview();
+        this.saveToStorage();
+    }
+
+    // Replaces every occurrence of a literal in the blocks and group names with a {{key}} placeholder,
+    // adding the variable unless one with that key exists. Text inside existing placeholders is left alone.
+    extractToVariable(literal = '') {
+        const active = document.activeElement;
+        if (!literal && active && typeof active.selectionStart === 'number' && active.selectionStart !== active.selectionEnd) {
+            literal = active.value.slice(active.selectionStart, active.selectionEnd);
+        }
+        const text = prompt('Text to replace with a variable:', literal);
+        if (!text) return;
+        
+        const suggestion = text.trim().toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '_').replace(/^_+|_+$/g, '') || 'value';
+        const key = (prompt(`Variable key for "${text}":`, suggestion) || '').trim();
+        if (!key) return;
+        if (/[{}|]/.test(key)) {
+            alert('A variable key cannot contain {, } or |');
+            return;
+        }
+        
+        const existing = Array.from(this.variables.values()).find(variable => variable.key === key);
+        if (existing && existing.value !== text && !confirm(`{{${key}}} already exists with the value "${existing.value}". Use it anyway?`)) {
+            return;
+        }
+        
+        const pattern = new RegExp(`(\\{\\{[^{}]*\\}\\})|${this.escapeRegExp(text)}`, 'g');
+        let count = 0;
+        this.getSearchFields().filter(field => field.owner.type !== 'variable').forEach(field => {
+            const value = field.get();
+            const replaced = value.replace(pattern, (match, placeholder) => {
+                if (placeholder) return placeholder;
+                count++;
+                return `{{${key}}}`;
+            });
+            if (replaced !== value) {
+                field.set(replaced);
+            }
+        });
+        if (count === 0) {
+            alert(`"${text}" does not appear in the document`);
+            return;
+        }
+        
+        if (!existing) {
+            this.variables.set(`var_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`, { key, value: text, type: 'text' });
+        }
+        this.refreshAfterEdit();
+    }
+
+    handleKeyDown(e) {
+        // Dialogs handle their own keys
+        if (document.querySelector('dialog[open]')) return;
+        
+        const shortcut = this.getShortcutFromEvent(e);
+        if (!shortcut) return;
+        const commandId = Object.keys(this.shortcuts).find(id => this.shortcuts[id].includes(shortcut));
+        if (!commandId) return;
+        
+        // Keys without Ctrl or Alt keep their meaning while typing
+        if (!/^(Ctrl|Alt)\+/.test(shortcut) && e.target.closest && e.target.closest('input, textarea, select')) return;
+        
+        const command = this.getCommands().find(entry => entry.id === commandId);
+        if (command) {
+            e.preventDefault();
+            command.run();
+        }
+    }
+
+    // "Ctrl+Alt+Shift+Key". When Alt or Shift turn a letter or digit into a symbol (Alt+K is ˚ on macOS),
+    // the physical key is used instead.
+    getShortcutFromEvent(e) {
+        if (['Control', 'Alt', 'Shift', 'Meta'].includes(e.key)) return null;
+        
+        let key = e.key;
+        const code = (e.code || '').match(/^(?:Key|Digit)([A-Z0-9])$/);
+        if (/^[a-z0-9]$/i.test(key)) {
+            key = key.toUpperCase();
+        } else if (code) {
+            key = code[1];
+        } else if (key === ' ') {
+            key = 'Space';
+        } else if (key.length === 1) {
+            key = key.toUpperCase();
+        }
+        
+        const modifiers = [];
+        if (e.ctrlKey || e.metaKey) modifiers.push('Ctrl');
+        if (e.altKey) modifiers.push('Alt');
+        if (e.shiftKey) modifiers.push('Shift');
+        return [...modifiers, key].join('+');
+    }
+
+    formatShortcut(shortcut) {
+        const arrows = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→' };
+        return shortcut.split('+').map(part => arrows[part] || part).join('+');
+    }
+
+    // The block or group the keyboard is in: a group when focus is in its header, otherwise the block
+    getFocusedItem() {
+        const active = document.activeElement;
+        if (active && active.closest) {
+            const groupHeader = active.closest('#blocks-container .group-header');
+            if (groupHeader) {
+                return { type: 'group', id: groupHeader.closest('.group').dataset.groupId };
+            }
+            const blockElement = active.closest('#blocks-container .block[data-block-id]');
+            if (blockElement) {
+                return { type: 'block', id: blockElement.dataset.blockId };
+            }
+        }
+        return this.blocks.some(block => block.id === this.activeBlockId) ? { type: 'block', id: this.activeBlockId } : null;
+    }
+
+    // Every action for the given target ({type, id} or null). `available` says whether it applies to the target,
+    // so the palette can leave it out; commands generated per heading are not `bindable` to keys.
+    getCommands(target = this.getFocusedItem()) {
+        const block = target && target.type === 'block' ? this.blocks.find(b => b.id === target.id) : null;
+        const group = target && target.type === 'group' ? this.groups.get(target.id) : null;
+        const item = block || group;
+        const parentGroupId = block ? block.groupId : group ? group.id : null;
+        const commands = [];
+        const add = (id, label, run, { available = true, bindable = true } = {}) => commands.push({ id, label, run, available, bindable });
+        
+        add('palette.open', 'Open command palette', () => this.openCommandPalette());
+        add('history.undo', 'Undo', () => this.undo());
+        add('history.redo', 'Redo', () => this.redo());
+        
+        Object.entries(this.getBlockTypeLabels()).forEach(([type, label]) => {
+            add(`block.add.${type}`, `Add block: ${label}`, () => {
+                this.focusBlock(this.addBlock(type, block ? block.groupId : parentGroupId, block ? block.id : null));
+            });
+        });
+        
+        add('item.moveUp', 'Move up', () => item && this.moveFocusedItem(target, -1), { available: Boolean(item) });
+        add('item.moveDown', 'Move down', () => item && this.moveFocusedItem(target, 1), { available: Boolean(item) });
+        add('focus.previous', 'Focus previous block', () => this.focusAdjacentBlock(-1));
+        add('focus.next', 'Focus next block', () => this.focusAdjacentBlock(1));
+        add('item.delete', 'Delete block or group', () => {
+            if (block) {
+                this.deleteBlock(block.id);
+            } else if (group && confirm(`Delete the group "${group.name}" and everything in it?`)) {
+                this.deleteGroup(group.id);
+            }
+        }, { available: Boolean(item) });
+        add('item.toggleSelected', 'Select or deselect', () => {
+            if (!item) return;
+            item.selected = !item.selected;
+            this.renderAllContent();
+        }, { available: Boolean(item) });
+        
+        const hasSelection = this.getSelectedItems().length > 0;
+        add('selection.group', 'Group selected blocks', () => this.groupSelectedBlocks());
+        add('selection.duplicate', 'Duplicate selected', () => this.duplicateSelected(), { available: hasSelection });
+        add('selection.moveUp', 'Move selected up', () => this.moveSelected(-1), { available: hasSelection });
+        add('selection.moveDown', 'Move selected down', () => this.moveSelected(1), { available: hasSelection });
+        add('selection.delete', 'Delete selected', () => this.deleteSelected(), { available: hasSelection });
+        add('selection.copy', 'Copy selected blocks', () => this.copySelected(false), { available: hasSelection });
+        add('selection.cut', 'Cut selected blocks', () => this.copySelected(true), { available: hasSelection });
+        add('selection.paste', 'Paste blocks', () => this.pasteBlocks(target));
+        add('selection.clear', 'Clear selection', () => this.clearSelection(), { available: hasSelection });
+        add('group.ungroup', 'Ungroup', () => parentGroupId && this.ungroupBlocks(parentGroupId), { available: Boolean(parentGroupId) });
+        
+        const convertible = this.getConvertibleTypes();
+        convertible.forEach(type => {
+            add(`block.convert.${type}`, `Convert to: ${this.getBlockTypeLabel(type)}`, () => block && this.convertBlock(block.id, type), {
+                available: Boolean(block) && block.type !== type && convertible.includes(block.type)
+            });
+        });
+        convertible.forEach(type => {
+            add(`selection.convert.${type}`, `Convert selected to: ${this.getBlockTypeLabel(type)}`, () => this.convertSelected(type), {
+                available: hasSelection
+            });
+        });
+        add('block.split', 'Split block at the cursor', () => block && this.splitBlock(block.id), {
+            available: Boolean(block) && this.getTextBlockTypes().includes(block.type)
+        });
+        add('block.mergeNext', 'Merge with the next block', () => block && this.mergeBlockWithNext(block.id), {
+            available: Boolean(block) && this.getMergeTarget(block.id) !== null
+        });
+        add('block.codeLanguage', 'Change code language…', () => block && this.setCodeLanguage(block.id), {
+            available: Boolean(block) && block.type === 'code'
+        });
+        
+        add('find.open', 'Find and replace…', () => this.openFind());
+        add('variable.extract', 'Extract to variable…', () => this.extractToVariable());
+        add('problems.show', 'Show problems', () => this.showProblems());
+        add('document.export', 'Export…', () => this.openExportDialog());
+        add('document.copy', 'Copy Markdown', () => this.copyToClipboard());
+        add('preview.toggle', 'Switch between raw and rendered preview', () => this.setPreviewMode(this.previewMode === 'raw' ? 'rendered' : 'raw'));
+        add('settings.open', 'Keyboard shortcuts…', () => this.openSettings());
+        add('snapshots.open', 'Snapshots and history…', () => this.openSnapshots());
+        add('snapshots.take', 'Take snapshot…', () => this.takeNamedSnapshot());
+        add('collab.open', 'Collaborate…', () => this.openCollaboration());
+        add('collab.leave', 'Stop collaborating', () => this.leaveCollaboration(), { available: this.collab !== null });
+        
+        this.buildOutline().forEach(entry => {
+            add(`goto.${entry.type}.${entry.id}`, `Go to: ${'#'.repeat(entry.level)} ${entry.number ? `${entry.number} ` : ''}${entry.text}`,
+                () => this.jumpToOutlineEntry(entry.type, entry.id), { bindable: false });
+        });
+        
+        return commands;
+    }
+
+    moveFocusedItem(target, offset) {
+        this.moveItem(target.type, target.id, offset);
+        this.renderAllContent();
+        this.updatePreview();
+        this.saveToStorage();
+        this.jumpToOutlineEntry(target.type, target.id);
+    }
+
+    // Blocks in document order, across groups
+    focusAdjacentBlock(offset) {
+        const blockIds = [];
+        const walk = (items) => items.forEach(entry => {
+            if (entry.type === 'block') {
+                blockIds.push(entry.item.id);
+            } else {
+                walk(entry.children);
+            }
+        });
+        walk(this.getAllOrderedItems());
+        if (blockIds.length === 0) return;
+        
+        const target = this.getFocusedItem();
+        let index;
+        if (target && target.type === 'block') {
+            index = Math.min(Math.max(blockIds.indexOf(target.id) + offset, 0), blockIds.length - 1);
+        } else {
+            index = offset > 0 ? 0 : blockIds.length - 1;
+        }
+        this.activeBlockId = blockIds[index];
+        this.focusBlock(blockIds[index]);
+    }
+
+    openCommandPalette() {
+        this.paletteTarget = this.getFocusedItem();
+        this.paletteIndex = 0;
+        const input = document.getElementById('command-palette-input');
+        input.value = '';
+        this.renderCommandPalette();
+        document.getElementById('command-palette').showModal();
+        input.focus();
+    }
+
+    // Every word typed has to appear in the label
+    getPaletteCommands() {
+        const words = document.getElementById('command-palette-input').value.toLowerCase().split(/\s+/).filter(Boolean);
+        return this.getCommands(this.paletteTarget)
+            .filter(command => command.available && command.id !== 'palette.open')
+            .filter(command => words.every(word => command.label.toLowerCase().includes(word)));
+    }
+
+    renderCommandPalette() {
+        const commands = this.getPaletteCommands();
+        this.paletteIndex = Math.min(this.paletteIndex, Math.max(commands.length - 1, 0));
+        const list = document.getElementById('command-palette-list');
+        list.innerHTML = commands.length === 0
+            ? '<li class="command-palette-empty">No matching commands</li>'
+            : commands.map((command, index) => `
+                <li class="command-palette-item ${index === this.paletteIndex ? 'active' : ''}" data-index="${index}">
+                    <span>${this.escapeHtml(command.label)}</span>
+                    ${(this.shortcuts[command.id] || []).length > 0 ? `<kbd>${this.escapeHtml(this.formatShortcut(this.shortcuts[command.id][0]))}</kbd>` : ''}
+                </li>
+            `).join('');
+        const active = list.querySelector('.command-palette-item.active');
+        if (active) {
+            active.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    handlePaletteKeyDown(e) {
+        const count = this.getPaletteCommands().length;
+        if ((this.shortcuts['palette.open'] || []).includes(this.getShortcutFromEvent(e))) {
+            e.preventDefault();
+            document.getElementById('command-palette').close();
+        } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (count === 0) return;
+            this.paletteIndex = (this.paletteIndex + (e.key === 'ArrowDown' ? 1 : -1) + count) % count;
+            this.renderCommandPalette();
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            this.runPaletteCommand(this.paletteIndex);
+        }
+    }
+
+    runPaletteCommand(index) {
+        const command = this.getPaletteCommands()[index];
+        document.getElementById('command-palette').close();
+        if (command) {
+            command.run();
+        }
+    }
+
+    openSettings() {
+        this.capturingShortcut = null;
+        this.renderShortcutSettings();
+        document.getElementById('settings-dialog').showModal();
+    }
+
+    renderShortcutSettings() {
+        const commands = this.getCommands(null).filter(command => command.bindable);
+        document.getElementById('shortcut-list').innerHTML = commands.map(command => {
+            const keys = this.shortcuts[command.id] || [];
+            const isDefault = JSON.stringify(keys) === JSON.stringify(DEFAULT_SHORTCUTS[command.id] || []);
+            const capturing = this.capturingShortcut === command.id;
+            return `
+                <div class="shortcut-row">
+                    <span class="shortcut-label">${this.escapeHtml(command.label)}</span>
+                    <span class="shortcut-keys">${capturing ? '<em>Press a key combination…</em>' : keys.map(key => `<kbd>${this.escapeHtml(this.formatShortcut(key))}</kbd>`).join(' ')}</span>
+                    <button class="shortcut-btn" onclick="editor.captureShortcut('${command.id}')">${capturing ? 'Cancel' : 'Change'}</button>
+                    <button class="shortcut-btn" onclick="editor.setShortcut('${command.id}', [])" ${keys.length === 0 ? 'disabled' : ''} title="Remove the shortcut">✕</button>
+                    <button class="shortcut-btn" onclick="editor.resetShortcut('${command.id}')" ${isDefault ? 'disabled' : ''} title="Restore the default">↺</button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    captureShortcut(commandId) {
+        this.capturingShortcut = this.capturingShortcut === commandId ? null : commandId;
+        this.renderShortcutSettings();
+    }
+
+    handleSettingsKeyDown(e) {
+        if (!this.capturingShortcut) return;
+        e.preventDefault();
+        e.stopPropagation();
+        if (e.key === 'Escape') {
+            this.captureShortcut(this.capturingShortcut);
+            return;
+        }
+        
+        const shortcut = this.getShortcutFromEvent(e);
+        if (!shortcut) return;
+        const commandId = this.capturingShortcut;
+        this.capturingShortcut = null;
+        
+        const owner = Object.keys(this.shortcuts).find(id => id !== commandId && this.shortcuts[id].includes(shortcut));
+        if (owner) {
+            const ownerCommand = this.getCommands(null).find(command => command.id === owner);
+            if (!confirm(`${this.formatShortcut(shortcut)} is used by "${ownerCommand ? ownerCommand.label : owner}". Use it here instead?`)) {
+                this.renderShortcutSettings();
+                return;
+            }
+            this.shortcuts[owner] = this.shortcuts[owner].filter(key => key !== shortcut);
+        }
+        this.setShortcut(commandId, [shortcut]);
+    }
+
+    setShortcut(commandId, keys) {
+        this.shortcuts[commandId] = keys;
+        this.saveSettings();
+        this.renderShortcutSettings();
+    }
+
+    resetShortcut(commandId) {
+        this.setShortcut(commandId, (DEFAULT_SHORTCUTS[commandId] || []).slice());
+    }
+
+    resetAllShortcuts() {
+        this.shortcuts = { ...DEFAULT_SHORTCUTS };
+        this.saveSettings();
+        this.renderShortcutSettings();
+    }
+
+    saveToStorage(historyKey = null) {
+        this.commitHistory(historyKey);
+        if (this.collab) {
+            this.sendCollabChanges();
+        }
+        if (!this.documentId) return;
+        
+        if (Date.now() - this.lastSnapshotAt >= AUTO_SNAPSHOT_INTERVAL) {
+            this.takeSnapshot('', true);
+        }
+        
+        const record = {
+            id: this.documentId,
+            name: this.documentName,
+            updatedAt: Date.now(),
+            ...this.serializeDocument()
+        };
+        const summary = this.documents.find(doc => doc.id === this.documentId);
+        if (summary) {
+            summary.updatedAt = record.updatedAt;
+        }
+        this.scheduleHistorySave();
+        
+        this.store.put(record).then(() => {
+            this.saveFailed = false;
+        }).catch(e => {
+            console.error('Failed to save to storage:', e);
+            // Said once until a save goes through again, not on every keystroke
+            if (!this.saveFailed) {
+                this.saveFailed = true;
+                alert(`Your changes could not be saved: ${e.message}\nExport the document to keep them.`);
+            }
+        });
+    }
+
+    // The undo stacks hold up to maxHistory copies of the whole document, so they are kept apart from it and
+    // written once the edits pause
+    scheduleHistorySave() {
+        clearTimeout(this.historySaveTimer);
+        const record = { id: this.documentId, undo: this.history.undo, redo: this.history.redo };
+        this.pendingHistorySave = () => {
+            this.pendingHistorySave = null;
+            this.store.put(record, 'history').catch(e => {
+                console.error('Failed to save the undo history:', e);
+            });
+        };
+        this.historySaveTimer = setTimeout(this.pendingHistorySave, HISTORY_SAVE_DELAY);
+    }
+
+    flushHistorySave() {
+        clearTimeout(this.historySaveTimer);
+        if (this.pendingHistorySave) {
+            this.pendingHistorySave();
+        }
+    }
+
+    async loadFromStorage() {
+        try {
+            const records = await this.store.getAll();
+            this.documents = records.map(({ id, name, updatedAt }) => ({ id, name, updatedAt }));
+            
+            if (this.documents.length === 0) {
+                await this.migrateLegacyStorage();
+            }
+            
+            if (this.documents.length === 0) {
+                if (!await this.createDocument('Untitled')) {
+                    throw new Error('Could not create a document');
+                }
+                this.seedSampleDocument();
+                return;
+            }
+            
+            const current = this.documents.find(doc => doc.id === this.documentId) ||
+                this.documents.slice().sort((a, b) => b.updatedAt - a.updatedAt)[0];
+            await this.switchDocument(current.id);
+        } catch (e) {
+            console.error('Failed to load from storage:', e);
+            // Without somewhere to save, documentId would stay null and every change would be dropped
+            if (!(this.store instanceof LocalDocumentStore)) {
+                alert(`The browser database could not be opened (${e.message}), so documents are kept in local storage for this site instead. Export anything you want to keep.`);
+                this.store = new LocalDocumentStore();
+                this.documents = [];
+                await this.loadFromStorage();
+            }
+        }
+    }
+
+    async migrateLegacyStorage() {
+        // Documents saved before IndexedDB lived in a single localStorage slot
+        const data = localStorage.getItem('structuredMarkdownEditor');
+        if (!data) return;
+        
+        try {
+            const parsed = JSON.parse(data);
+            const record = {
+                ...parsed,
+                id: this.generateDocumentId(),
+                name: 'Untitled',
+                updatedAt: Date.now()
+            };
+            await this.store.put(record);
+            this.documents.push({ id: record.id, name: record.name, updatedAt: record.updatedAt });
+            this.documentId = record.id;
+            localStorage.removeItem('structuredMarkdownEditor');
+        } catch (e) {
+            console.error('Failed to migrate legacy storage:', e);
+        }
+    }
+
+    loadDocumentData(data, history = null) {
+        // A room shares one document, so opening another one leaves the room
+        if (this.collab) {
+            this.leaveCollaboration();
+        }
+        this.loadDocument(data);
+        this.history = this.isHistory(history) ? { undo: history.undo, redo: history.redo } : { undo: [], redo: [] };
+        this.lastSnapshotAt = Date.now();
+        
+        this.committedState = this.serializeHistoryState();
+        this.lastHistoryKey = null;
+        this.renderAllContent();
+        this.renderVariables();
+        this.renderDialectOptions();
+        this.updatePreview();
+        this.updateHistoryButtons();
+    }
+
+    // Undo states are serialized documents, which restoreHistoryState checks when one is used
+    isHistory(history) {
+        const isStack = stack => Array.isArray(stack) && stack.every(state => typeof state === 'string');
+        return history !== null && typeof history === 'object' && isStack(history.undo) && isStack(history.redo);
+    }
+
+    seedSampleDocument() {
+        this.addVariable('product_name', 'Awesome Gadget');
+        this.addVariable('release_date', '2024-10-26', 'date');
+        this.addVariable('price', '1000', 'currency');
+        this.addVariable('tax', '0.2', 'number');
+        this.addVariable('total', '{{price}}*{{tax}}', 'currency');
+        
+        this.addBlock('heading');
+        this.addBlock('paragraph');
+        this.addBlock('table');
+        
+        // The sample document is the starting point, not something to undo
+        this.history = { undo: [], redo: [] };
+        this.updateHistoryButtons();
+        this.saveToStorage();
+    }
+
+    generateDocumentId() {
+        return `doc_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    async switchDocument(documentId) {
+        try {
+            const record = await this.store.get(documentId);
+            if (!record) return false;
+            // Records saved before the history store carry their history themselves
+            const history = await this.store.get(documentId, 'history') || record.history;
+            
+            this.flushHistorySave();
+            this.documentId = record.id;
+            this.documentName = record.name;
+            this.loadDocumentData(record, history);
+            this.saveSettings();
+            this.renderDocumentList();
+            return true;
+        } catch (e) {
+            console.error('Failed to open document:', e);
+            if (e instanceof DocumentFormatError) {
+                alert(`Could not open the document:\n${e.errors.map(message => `- ${message}`).join('\n')}`);
+            }
+            return false;
+        }
+    }
+
+    async createDocument(name = null, data = {}) {
+        // An imported file may carry a history field of its own; a new document starts without one
+        const { history, ...content } = data;
+        const record = {
+            format: DOCUMENT_FORMAT,
+            version: DOCUMENT_FORMAT_VERSION,
+            locale: DEFAULT_LOCALE,
+            dialect: { ...DEFAULT_DIALECT, fields: [] },
+            blocks: [],
+            variables: [],
+            groups: [],
+            dataSources: [],
+            groupCounter: 0,
+            ...content,
+            id: this.generateDocumentId(),
+            name: name || `Untitled ${this.documents.length + 1}`,
+            updatedAt: Date.now()
+        };
+        
+        try {
+            await this.store.put(record);
+            this.documents.push({ id: record.id, name: record.name, updatedAt: record.updatedAt });
+            if (!await this.switchDocument(record.id)) {
+                throw new Error('It was saved but could not be opened');
+            }
+            return true;
+        } catch (e) {
+            console.error('Failed to create document:', e);
+            alert(`Could not create the document: ${e.message}`);
+            return false;
+        }
+    }
+
+    renameDocument() {
+        const name = prompt('Document name', this.documentName);
+        if (!name || !name.trim()) return;
+        
+        this.documentName = name.trim();
+        const summary = this.documents.find(doc => doc.id === this.documentId);
+        if (summary) {
+            summary.name = this.documentName;
+        }
+        this.renderDocumentList();
+        this.saveToStorage();
+    }
+
+    async duplicateDocument() {
+        await this.createDocument(`${this.documentName} (copy)`, this.serializeDocument());
+    }
+
+    async deleteDocument() {
+        if (!confirm(`Delete "${this.documentName}"? This cannot be undone.`)) return;
+        
+        try {
+            clearTimeout(this.historySaveTimer);
+            this.pendingHistorySave = null;
+            await this.store.delete(this.documentId);
+            await this.store.delete(this.documentId, 'history');
+            const snapshots = await this.store.getAllByIndex('documentId', this.documentId, 'snapshots');
+            await Promise.all(snapshots.map(snapshot => this.store.delete(snapshot.id, 'snapshots')));
+            this.documents = this.documents.filter(doc => doc.id !== this.documentId);
+            this.documentId = null;
+            
+            if (this.documents.length === 0) {
+                await this.createDocument('Untitled');
+            } else {
+                const latest = this.documents.slice().sort((a, b) => b.updatedAt - a.updatedAt)[0];
+                await this.switchDocument(latest.id);
+            }
+        } catch (e) {
+            console.error('Failed to delete document:', e);
+        }
+    }
+
+    renderDocumentList() {
+        const select = document.querySelector('.document-select');
+        const documents = this.documents.slice().sort((a, b) => a.name.localeCompare(b.name));
+        
+        select.innerHTML = documents
+            .map(doc => `<option value="${doc.id}" ${doc.id === this.documentId ? 'selected' : ''}>${this.escapeHtml(doc.name)}</option>`)
+            .join('');
+        document.title = `${this.documentName} - Structured Markdown Editor`;
+    }
+
+    async takeSnapshot(name, automatic = false) {
+        if (!this.documentId) return null;
+        
+        const snapshot = {
+            id: `snap_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            documentId: this.documentId,
+            name,
+            automatic,
+            createdAt: Date.now(),
+            document: this.serializeDocument()
+        };
+        this.lastSnapshotAt = snapshot.createdAt;
+        try {
+            await this.store.put(snapshot, 'snapshots');
+            if (automatic) {
+                const automaticSnapshots = (await this.store.getAllByIndex('documentId', snapshot.documentId, 'snapshots'))
+                    .filter(other => other.automatic)
+                    .sort((a, b) => b.createdAt - a.createdAt);
+                await Promise.all(automaticSnapshots.slice(MAX_AUTO_SNAPSHOTS).map(other => this.store.delete(other.id, 'snapshots')));
+            }
+        } catch (e) {
+            console.error('Failed to save snapshot:', e);
+            return null;
+        }
+        return snapshot;
+    }
+
+    async takeNamedSnapshot() {
+        const name = prompt('Snapshot name:', new Date().toLocaleString(this.locale));
+        if (name === null) return;
+        
+        const snapshot = await this.takeSnapshot(name.trim());
+        if (!snapshot) {
+            alert('Could not save the snapshot');
+            return;
+        }
+        if (document.getElementById('history-dialog').open) {
+            this.diffFrom = snapshot.id;
+            await this.loadSnapshots();
+        }
+    }
+
+    async loadSnapshots() {
+        try {
+            this.snapshots = (await this.store.getAllByIndex('documentId', this.documentId, 'snapshots'))
+                .sort((a, b) => b.createdAt - a.createdAt);
+        } catch (e) {
+            console.error('Failed to load snapshots:', e);
+            this.snapshots = [];
+        }
+        const ids = ['current', ...this.snapshots.map(snapshot => snapshot.id)];
+        if (!ids.includes(this.diffFrom)) {
+            this.diffFrom = this.snapshots.length > 0 ? this.snapshots[0].id : 'current';
+        }
+        if (!ids.includes(this.diffTo)) {
+            this.diffTo = 'current';
+        }
+        this.renderSnapshotList();
+        this.renderSnapshotDiff();
+    }
+
+    async openSnapshots() {
+        document.getElementById('history-dialog').showModal();
+        await this.loadSnapshots();
+    }
+
+    getSnapshotName(snapshot) {
+        return snapshot.name || (snapshot.automatic ? 'Automatic snapshot' : 'Untitled snapshot');
+    }
+
+    renderSnapshotList() {
+        const row = (id, name, details, actions) => `
+            <div class="snapshot-item">
+                <input type="radio" name="diff-from" value="${id}" title="Compare from" ${this.diffFrom === id ? 'checked' : ''}>
+                <input type="radio" name="diff-to" value="${id}" title="Compare to" ${this.diffTo === id ? 'checked' : ''}>
+                <div class="snapshot-info">
+                    <div class="snapshot-name">${name}</div>
+                    <div class="snapshot-details">${details}</div>
+                </div>
+                ${actions}
+            </div>
+        `;
+        document.getElementById('snapshot-list').innerHTML = [
+            row('current', '<em>Current document</em>', 'Now', ''),
+            ...this.snapshots.map(snapshot => row(
+                snapshot.id,
+                this.escapeHtml(this.getSnapshotName(snapshot)),
+                `${new Date(snapshot.createdAt).toLocaleString(this.locale)}${snapshot.automatic ? ' · auto' : ''}`,
+                `<div class="snapshot-actions">
+                    <button onclick="editor.restoreSnapshot(${this.jsString(snapshot.id)})" title="Restore this snapshot">↺</button>
+                    <button onclick="editor.renameSnapshot(${this.jsString(snapshot.id)})" title="Rename">✏️</button>
+                    <button onclick="editor.deleteSnapshot(${this.jsString(snapshot.id)})" title="Delete">🗑️</button>
+                </div>`
+            ))
+        ].join('');
+    }
+
+    async renameSnapshot(snapshotId) {
+        const snapshot = this.snapshots.find(other => other.id === snapshotId);
+        if (!snapshot) return;
+        const name = prompt('Snapshot name:', this.getSnapshotName(snapshot));
+        if (name === null || !name.trim()) return;
+        
+        // A named snapshot is kept when old automatic ones are cleared away
+        snapshot.name = name.trim();
+        snapshot.automatic = false;
+        try {
+            await this.store.put(snapshot, 'snapshots');
+        } catch (e) {
+            console.error('Failed to rename snapshot:', e);
+        }
+        this.renderSnapshotList();
+    }
+
+    async deleteSnapshot(snapshotId) {
+        const snapshot = this.snapshots.find(other => other.id === snapshotId);
+        if (!snapshot || !confirm(`Delete the snapshot "${this.getSnapshotName(snapshot)}"?`)) return;
+        try {
+            await this.store.delete(snapshotId, 'snapshots');
+        } catch (e) {
+            console.error('Failed to delete snapshot:', e);
+        }
+        await this.loadSnapshots();
+    }
+
+    // The document as it is now is kept as a snapshot first, and the restore can be undone
+    async restoreSnapshot(snapshotId) {
+        const snapshot = this.snapshots.find(other => other.id === snapshotId);
+        if (!snapshot || !confirm(`Restore "${this.getSnapshotName(snapshot)}"? The current document is kept as a snapshot.`)) return;
+        
+        try {
+            this.parseDocument(snapshot.document);
+        } catch (e) {
+            const details = e instanceof DocumentFormatError ? e.errors.map(message => `- ${message}`).join('\n') : e.message;
+            alert(`Could not restore the snapshot:\n${details}`);
+            return;
+        }
+        await this.takeSnapshot(`Before restoring "${this.getSnapshotName(snapshot)}"`);
+        
+        this.loadDocument(snapshot.document);
+        this.renderAllContent();
+        this.renderVariables();
+        this.renderDialectOptions();
+        this.updatePreview();
+        this.saveToStorage();
+        document.getElementById('history-dialog').close();
+    }
+
+    // Puts one block back as it was in the snapshot: over the block if it still exists, otherwise after the
+    // block it followed there (or first in its group, if the group still exists)
+    restoreSnapshotBlock(snapshotId, blockId) {
+        const snapshot = this.snapshots.find(other => other.id === snapshotId);
+        if (!snapshot) return;
+        const data = this.parseDocument(snapshot.document);
+        const saved = data.blocks.find(block => block.id === blockId);
+        if (!saved) return;
+        
+        const current = this.blocks.find(block => block.id === blockId);
+        if (current) {
+            current.type = saved.type;
+            current.content = saved.content;
+            current.condition = saved.condition;
+        } else {
+            const groupId = saved.groupId && this.groups.has(saved.groupId) ? saved.groupId : null;
+            const block = { ...saved, groupId, selected: false };
+            const previous = data.blocks
+                .filter(other => other.groupId === saved.groupId && other.order < saved.order)
+                .sort((a, b) => b.order - a.order)
+                .find(other => this.blocks.some(existing => existing.id === other.id && (existing.groupId || null) === groupId));
+            if (previous) {
+                this.insertBlock(block, previous.id);
+            } else {
+                this.blocks.push(block);
+                const siblings = this.getAllOrderedItems(groupId).filter(entry => entry.item !== block);
+                this.setContainerOrder([{ type: 'block', item: block }, ...siblings]);
+            }
+        }
+        
+        this.renderAllContent();
+        this.updatePreview();
+        this.saveToStorage();
+        this.renderSnapshotDiff();
     }
 
-    getBlockTypeLabel(type) {
-        const labels = {
-            heading: '📝 Heading',
-            paragraph: '📄 Paragraph',
-            list: '📋 List',
-            table: '📊 Table',
-            code: '💻 Code'
+    // Runs fn with another document loaded in place of the open one, e.g. to generate a snapshot's Markdown
+    withDocument(data, fn) {
+        const saved = {
+            documentMetadata: this.documentMetadata,
+            locale: this.locale,
+            dialect: this.dialect,
+            blocks: this.blocks,
+            groups: this.groups,
+            variables: this.variables,
+            dataSources: this.dataSources,
+            dataValues: this.dataValues,
+            groupCounter: this.groupCounter,
+            placeholderWarnings: this.placeholderWarnings
         };
-        return labels[type] || type;
+        try {
+            this.loadDocument(data);
+            return fn();
+        } finally {
+            Object.assign(this, saved);
+        }
     }
 
-    addDragEvents(element) {
-        element.addEventListener('dragstart', (e) => {
-            this.draggedBlock = element;
-            element.classList.add('dragging');
-        });
-
-        element.addEventListener('dragend', () => {
-            element.classList.remove('dragging');
-            this.draggedBlock = null;
-            document.querySelectorAll('.drop-zone').forEach(zone => zone.remove());
-        });
-
-        element.addEventListener('dragover', (e) => {
-            e.preventDefault();
-            this.showDropZones(element);
+    // What the diff needs from one side: its Markdown and its blocks in document order with a readable label
+    describeSnapshot(id) {
+        const snapshot = this.snapshots.find(other => other.id === id);
+        const data = snapshot ? snapshot.document : this.serializeDocument();
+        return this.withDocument(data, () => {
+            const blocks = [];
+            const walk = items => items.forEach(entry => {
+                if (entry.type === 'group') {
+                    walk(entry.children);
+                    return;
+                }
+                const text = this.getBlockText(entry.item).replace(/\s+/g, ' ').trim();
+                blocks.push({
+                    block: entry.item,
+                    label: `${this.getBlockTypeLabel(entry.item.type)}${text ? `: ${text.length > 60 ? `${text.slice(0, 60)}…` : text}` : ''}`
+                });
+            });
+            walk(this.getAllOrderedItems());
+            return {
+                snapshot,
+                markdown: this.generateMarkdown(),
+                blocks,
+                groups: this.groups,
+                variables: this.variables,
+                locale: this.locale,
+                dialect: this.dialect,
+                dataSources: this.dataSources
+            };
         });
+    }
 
-        element.addEventListener('drop', (e) => {
-            e.preventDefault();
-            this.handleDrop(element);
+    // Side-by-side rows; removed and added lines between two unchanged ones are paired up as changed lines
+    diffLines(oldText, newText) {
+        const a = oldText.split('\n');
+        const b = newText.split('\n');
+        const rows = [];
+        let i = 0;
+        let j = 0;
+        [...this.matchSequences(a, b), [a.length, b.length]].forEach(([nextI, nextJ]) => {
+            while (i < nextI || j < nextJ) {
+                const left = i < nextI ? { number: i + 1, text: a[i++] } : null;
+                const right = j < nextJ ? { number: j + 1, text: b[j++] } : null;
+                rows.push({ type: left && right ? 'changed' : left ? 'removed' : 'added', left, right });
+            }
+            if (nextI < a.length) {
+                rows.push({ type: 'same', left: { number: i + 1, text: a[i] }, right: { number: j + 1, text: b[j] } });
+                i++;
+                j++;
+            }
         });
+        return rows;
     }
 
-    addGroupDragEvents(element) {
-        element.addEventListener('dragstart', (e) => {
-            this.draggedGroup = element;
-            element.classList.add('dragging');
+    // Blocks added, removed, edited or moved (to another group, or past blocks that stayed put), then groups,
+    // variables and document settings
+    diffStructure(from, to) {
+        const entries = [];
+        const fromBlocks = new Map(from.blocks.map(entry => [entry.block.id, entry]));
+        const toBlocks = new Map(to.blocks.map(entry => [entry.block.id, entry]));
+        const groupName = (side, groupId) => groupId && side.groups.has(groupId) ? `"${side.groups.get(groupId).name}"` : 'the top level';
+        
+        const commonFrom = from.blocks.map(entry => entry.block.id).filter(id => toBlocks.has(id));
+        const commonTo = to.blocks.map(entry => entry.block.id).filter(id => fromBlocks.has(id));
+        const inPlace = new Set(this.matchSequences(commonFrom, commonTo).map(([index]) => commonFrom[index]));
+        
+        // Removed blocks are listed where they were, after the last block both sides share
+        const removedAfter = new Map();
+        let previous = null;
+        from.blocks.forEach(entry => {
+            if (toBlocks.has(entry.block.id)) {
+                previous = entry.block.id;
+            } else {
+                removedAfter.set(previous, [...(removedAfter.get(previous) || []), entry]);
+            }
         });
-
-        element.addEventListener('dragend', () => {
-            element.classList.remove('dragging');
-            this.draggedGroup = null;
-            document.querySelectorAll('.drop-zone').forEach(zone => zone.remove());
+        const removed = entry => ({ kinds: ['removed'], item: 'block', id: entry.block.id, label: entry.label, detail: '' });
+        
+        (removedAfter.get(null) || []).forEach(entry => entries.push(removed(entry)));
+        to.blocks.forEach(entry => {
+            const id = entry.block.id;
+            const old = fromBlocks.get(id);
+            if (!old) {
+                entries.push({ kinds: ['added'], item: 'block', id, label: entry.label, detail: '' });
+            } else {
+                const kinds = [];
+                const details = [];
+                if (JSON.stringify([old.block.type, old.block.content, old.block.condition]) !== JSON.stringify([entry.block.type, entry.block.content, entry.block.condition])) {
+                    kinds.push('edited');
+                    details.push(old.label === entry.label ? 'content changed' : `was ${old.label}`);
+                }
+                if ((old.block.groupId || null) !== (entry.block.groupId || null)) {
+                    kinds.push('moved');
+                    details.push(`from ${groupName(from, old.block.groupId)} to ${groupName(to, entry.block.groupId)}`);
+                } else if (!inPlace.has(id)) {
+                    kinds.push('moved');
+                }
+                if (kinds.length > 0) {
+                    entries.push({ kinds, item: 'block', id, label: entry.label, detail: details.join('; ') });
+                }
+            }
+            (removedAfter.get(id) || []).forEach(other => entries.push(removed(other)));
         });
-
-        element.addEventListener('dragover', (e) => {
-            e.preventDefault();
-            this.showGroupDropZones(element);
+        
+        new Set([...from.groups.keys(), ...to.groups.keys()]).forEach(id => {
+            const old = from.groups.get(id);
+            const group = to.groups.get(id);
+            if (!old || !group) {
+                entries.push({ kinds: [old ? 'removed' : 'added'], item: 'group', id, label: `Group "${(old || group).name}"`, detail: '' });
+                return;
+            }
+            const details = [];
+            if (old.name !== group.name) details.push(`renamed from "${old.name}"`);
+            if ((old.parentId || null) !== (group.parentId || null)) details.push(`moved from ${groupName(from, old.parentId)} to ${groupName(to, group.parentId)}`);
+            if (old.condition !== group.condition || JSON.stringify(old.repeat) !== JSON.stringify(group.repeat) || old.emitHeading !== group.emitHeading) {
+                details.push('heading, condition or repeat changed');
+            }
+            if (details.length > 0) {
+                entries.push({ kinds: ['edited'], item: 'group', id, label: `Group "${group.name}"`, detail: details.join('; ') });
+            }
         });
-
-        element.addEventListener('drop', (e) => {
-            e.preventDefault();
-            this.handleGroupDrop(element);
+        
+        new Set([...from.variables.keys(), ...to.variables.keys()]).forEach(id => {
+            const old = from.variables.get(id);
+            const variable = to.variables.get(id);
+            if (!old || !variable) {
+                const { key, value } = old || variable;
+                entries.push({ kinds: [old ? 'removed' : 'added'], item: 'variable', id, label: `{{${key}}}`, detail: `"${value}"` });
+            } else if (JSON.stringify(old) !== JSON.stringify(variable)) {
+                const details = [];
+                if (old.key !== variable.key) details.push(`renamed from {{${old.key}}}`);
+                if (old.value !== variable.value) details.push(`"${old.value}" → "${variable.value}"`);
+                if ((old.type || 'text') !== (variable.type || 'text') || old.currency !== variable.currency) details.push(`type ${old.type || 'text'} → ${variable.type || 'text'}`);
+                entries.push({ kinds: ['edited'], item: 'variable', id, label: `{{${variable.key}}}`, detail: details.join('; ') });
+            }
         });
-    }
-
-    showDropZones(targetElement) {
-        document.querySelectorAll('.drop-zone').forEach(zone => zone.remove());
         
-        if (this.draggedBlock && this.draggedBlock !== targetElement) {
-            const dropZone = document.createElement('div');
-            dropZone.className = 'drop-zone active';
-            targetElement.parentNode.insertBefore(dropZone, targetElement);
+        if (from.locale !== to.locale) {
+            entries.push({ kinds: ['edited'], item: 'setting', label: 'Locale', detail: `${from.locale} → ${to.locale}` });
         }
+        if (JSON.stringify(from.dialect) !== JSON.stringify(to.dialect)) {
+            entries.push({ kinds: ['edited'], item: 'setting', label: 'Markdown flavour', detail: `${from.dialect.profile} → ${to.dialect.profile}` });
+        }
+        const oldSources = new Map(from.dataSources.map(source => [source.name, source]));
+        const newSources = new Map(to.dataSources.map(source => [source.name, source]));
+        new Set([...oldSources.keys(), ...newSources.keys()]).forEach(name => {
+            const old = oldSources.get(name);
+            const source = newSources.get(name);
+            if (!old || !source) {
+                entries.push({ kinds: [old ? 'removed' : 'added'], item: 'setting', label: `Data file {{data.${name}}}`, detail: '' });
+            } else if (old.content !== source.content || old.format !== source.format) {
+                entries.push({ kinds: ['edited'], item: 'setting', label: `Data file {{data.${name}}}`, detail: 'content changed' });
+            }
+        });
+        return entries;
     }
 
-    showGroupDropZones(targetElement) {
-        document.querySelectorAll('.drop-zone').forEach(zone => zone.remove());
+    renderSnapshotDiff() {
+        const container = document.getElementById('snapshot-diff');
+        document.querySelectorAll('.diff-view-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.view === this.diffView);
+        });
         
-        if (this.draggedGroup && this.draggedGroup !== targetElement) {
-            const dropZone = document.createElement('div');
-            dropZone.className = 'drop-zone active';
-            targetElement.parentNode.insertBefore(dropZone, targetElement);
+        let from;
+        let to;
+        try {
+            from = this.describeSnapshot(this.diffFrom);
+            to = this.describeSnapshot(this.diffTo);
+        } catch (e) {
+            container.innerHTML = `<div class="diff-empty">Could not read the snapshot: ${this.escapeHtml(e.message)}</div>`;
+            return;
         }
+        const title = side => side.snapshot ? this.escapeHtml(this.getSnapshotName(side.snapshot)) : 'Current document';
+        document.getElementById('snapshot-compare-title').innerHTML = `${title(from)} → ${title(to)}`;
+        
+        container.innerHTML = this.diffView === 'markdown'
+            ? this.renderMarkdownDiff(from, to)
+            : this.renderStructureDiff(from, to);
     }
 
-    handleGroupDrop(targetElement) {
-        if (this.draggedGroup && this.draggedGroup !== targetElement) {
-            const draggedGroupId = this.draggedGroup.dataset.groupId;
-            const targetGroupId = targetElement.dataset.groupId;
-            
-            if (draggedGroupId && targetGroupId) {
-                const groupsArray = Array.from(this.groups.entries());
-                const draggedIndex = groupsArray.findIndex(([id]) => id === draggedGroupId);
-                const targetIndex = groupsArray.findIndex(([id]) => id === targetGroupId);
-                
-                if (draggedIndex !== -1 && targetIndex !== -1) {
-                    const draggedGroup = groupsArray.splice(draggedIndex, 1)[0];
-                    groupsArray.splice(targetIndex, 0, draggedGroup);
-                    this.groups = new Map(groupsArray);
-                    
-                    this.renderAllContent();
-                    this.updatePreview();
-                    this.saveToStorage();
-                }
-            }
+    renderStructureDiff(from, to) {
+        const entries = this.diffStructure(from, to);
+        if (entries.length === 0) {
+            return '<div class="diff-empty">No differences</div>';
         }
+        
+        // A block can be put back from whichever side is a snapshot and still has it
+        const source = id => [from, to].find(side => side.snapshot && side.blocks.some(entry => entry.block.id === id));
+        const labels = { added: 'Added', removed: 'Removed', edited: 'Edited', moved: 'Moved' };
+        return entries.map(entry => {
+            const side = entry.item === 'block' ? source(entry.id) : null;
+            return `
+                <div class="diff-entry diff-${entry.kinds[0]}">
+                    <span class="diff-kind">${entry.kinds.map(kind => labels[kind]).join(', ')}</span>
+                    <span class="diff-label">${this.escapeHtml(entry.label)}</span>
+                    ${entry.detail ? `<span class="diff-detail">${this.escapeHtml(entry.detail)}</span>` : ''}
+                    ${side ? `<button class="export-dialog-btn diff-restore-btn" onclick="editor.restoreSnapshotBlock(${this.jsString(side.snapshot.id)}, ${this.jsString(entry.id)})" title="Put this block back as it was in ${this.escapeHtml(this.getSnapshotName(side.snapshot))}">Restore block</button>` : ''}
+                </div>
+            `;
+        }).join('');
     }
 
-    handleDrop(targetElement) {
-        if (this.draggedBlock && this.draggedBlock !== targetElement) {
-            const draggedId = this.draggedBlock.dataset.blockId;
-            const targetId = targetElement.dataset.blockId;
-            
-            const draggedIndex = this.blocks.findIndex(b => b.id === draggedId);
-            const targetIndex = this.blocks.findIndex(b => b.id === targetId);
-            
-            if (draggedIndex !== -1 && targetIndex !== -1) {
-                const draggedBlock = this.blocks.splice(draggedIndex, 1)[0];
-                this.blocks.splice(targetIndex, 0, draggedBlock);
-                
-                this.rerenderAllBlocks();
-                this.updatePreview();
-                this.saveToStorage();
+    // Unchanged stretches longer than a few lines are folded away
+    renderMarkdownDiff(from, to) {
+        const rows = this.diffLines(from.markdown, to.markdown);
+        if (rows.every(row => row.type === 'same')) {
+            return '<div class="diff-empty">No differences</div>';
+        }
+        
+        const context = 3;
+        const visible = rows.map((row, index) => row.type !== 'same' || rows
+            .slice(Math.max(0, index - context), index + context + 1)
+            .some(other => other.type !== 'same'));
+        const cell = line => line
+            ? `<td class="diff-line-number">${line.number}</td><td class="diff-line">${this.escapeHtml(line.text)}</td>`
+            : '<td class="diff-line-number"></td><td class="diff-line diff-blank"></td>';
+        
+        let html = '<table class="diff-table">';
+        let folded = 0;
+        rows.forEach((row, index) => {
+            if (!visible[index]) {
+                folded++;
+                return;
+            }
+            if (folded > 0) {
+                html += `<tr class="diff-fold"><td colspan="4">⋯ ${folded} unchanged line${folded === 1 ? '' : 's'}</td></tr>`;
+                folded = 0;
             }
+            html += `<tr class="diff-${row.type}">${cell(row.left)}${cell(row.right)}</tr>`;
+        });
+        if (folded > 0) {
+            html += `<tr class="diff-fold"><td colspan="4">⋯ ${folded} unchanged line${folded === 1 ? '' : 's'}</td></tr>`;
         }
+        return html + '</table>';
     }
 
-    moveBlockUp(blockId) {
-        const block = this.blocks.find(b => b.id === blockId);
-        if (!block) return;
-
-        if (block.groupId) {
-            // Moving within a group
-            const groupBlocks = this.blocks.filter(b => b.groupId === block.groupId);
-            groupBlocks.sort((a, b) => (a.order || 0) - (b.order || 0));
-            const index = groupBlocks.findIndex(b => b.id === blockId);
-            
-            if (index > 0) {
-                const temp = groupBlocks[index].order;
-                groupBlocks[index].order = groupBlocks[index - 1].order;
-                groupBlocks[index - 1].order = temp;
-            }
-        } else {
-            // Moving ungrouped block - need to consider all items (blocks and groups)
-            this.moveItemUp('block', blockId);
-        }
-        
-        this.renderAllContent();
-        this.updatePreview();
-        this.saveToStorage();
+    createCollabId() {
+        return `${this.collab.clientId}${(this.collabIdCounter++).toString(36)}`;
     }
 
-    moveBlockDown(blockId) {
-        const block = this.blocks.find(b => b.id === blockId);
-        if (!block) return;
+    compareCollabItems(a, b) {
+        if (a.position !== b.position) return a.position < b.position ? -1 : 1;
+        return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+    }
 
-        if (block.groupId) {
-            // Moving within a group
-            const groupBlocks = this.blocks.filter(b => b.groupId === block.groupId);
-            groupBlocks.sort((a, b) => (a.order || 0) - (b.order || 0));
-            const index = groupBlocks.findIndex(b => b.id === blockId);
-            
-            if (index < groupBlocks.length - 1) {
-                const temp = groupBlocks[index].order;
-                groupBlocks[index].order = groupBlocks[index + 1].order;
-                groupBlocks[index + 1].order = temp;
-            }
-        } else {
-            // Moving ungrouped block - need to consider all items (blocks and groups)
-            this.moveItemDown('block', blockId);
-        }
+    // Gives the ids, in their new order, positions in their container. Items whose order relative to each
+    // other is unchanged keep their positions; only the ones that moved or are new get fresh ones.
+    placeCollabItems(ids, positionOf, place) {
+        const existing = ids.filter(id => positionOf(id) !== undefined);
+        const sorted = existing
+            .map(id => ({ id, position: positionOf(id) }))
+            .sort((a, b) => this.compareCollabItems(a, b))
+            .map(item => item.id);
+        const kept = new Set(this.matchSequences(existing, sorted).map(([index]) => existing[index]));
         
-        this.renderAllContent();
-        this.updatePreview();
-        this.saveToStorage();
+        let last = '';
+        ids.forEach((id, index) => {
+            if (kept.has(id) && positionOf(id) > last) {
+                last = positionOf(id);
+            } else {
+                const next = ids.slice(index + 1).find(other => kept.has(other) && positionOf(other) > last);
+                last = CollabDocument.positionBetween(last, next ? positionOf(next) : null);
+            }
+            place(id, last);
+        });
     }
 
-    moveItemUp(itemType, itemId) {
-        const allItems = this.getAllOrderedItems();
-        const index = allItems.findIndex(item => 
-            item.type === itemType && 
-            (itemType === 'block' ? item.item.id === itemId : item.item.id === itemId)
-        );
-        
-        if (index > 0) {
-            const temp = allItems[index].order;
-            allItems[index].order = allItems[index - 1].order;
-            allItems[index - 1].order = temp;
-            
-            // Update the actual objects
-            if (allItems[index].type === 'block') {
-                allItems[index].item.order = allItems[index].order;
-            } else {
-                allItems[index].item.order = allItems[index].order;
+    // Pairs table rows or columns with the shared ones they came from: identical ones first, then the rest in
+    // order, so editing a cell keeps its row. Returns an id for each new item, a fresh one for added items.
+    matchCollabIds(previous, next) {
+        const ids = [];
+        let i = 0;
+        [...this.matchSequences(previous.map(item => item.key), next), [previous.length, next.length]].forEach(([nextI, nextJ]) => {
+            while (ids.length < nextJ) {
+                ids.push(i < nextI ? previous[i++].id : this.createCollabId());
             }
-            
-            if (allItems[index - 1].type === 'block') {
-                allItems[index - 1].item.order = allItems[index - 1].order;
-            } else {
-                allItems[index - 1].item.order = allItems[index - 1].order;
+            if (nextJ < next.length) {
+                ids.push(previous[nextI].id);
             }
-        }
+            i = nextI + 1;
+        });
+        return ids;
     }
 
-    moveItemDown(itemType, itemId) {
-        const allItems = this.getAllOrderedItems();
-        const index = allItems.findIndex(item => 
-            item.type === itemType && 
-            (itemType === 'block' ? item.item.id === itemId : item.item.id === itemId)
-        );
-        
-        if (index < allItems.length - 1) {
-            const temp = allItems[index].order;
-            allItems[index].order = allItems[index + 1].order;
-            allItems[index + 1].order = temp;
-            
-            // Update the actual objects
-            if (allItems[index].type === 'block') {
-                allItems[index].item.order = allItems[index].order;
-            } else {
-                allItems[index].item.order = allItems[index].order;
-            }
-            
-            if (allItems[index + 1].type === 'block') {
-                allItems[index + 1].item.order = allItems[index + 1].order;
-            } else {
-                allItems[index + 1].item.order = allItems[index + 1].order;
+    // Rows and columns of every shared table, in order: blockId -> {rows: [{id, position}], columns: [{id, position, align}]}
+    readCollabTables(values) {
+        const tables = new Map();
+        const table = blockId => {
+            if (!tables.has(blockId)) tables.set(blockId, { rows: [], columns: [] });
+            return tables.get(blockId);
+        };
+        values.forEach((value, key) => {
+            const [kind, blockId, id] = key.split(':');
+            if (value === null) return;
+            if (kind === 'row') {
+                table(blockId).rows.push({ id, position: value });
+            } else if (kind === 'column') {
+                table(blockId).columns.push({ id, ...value });
             }
-        }
+        });
+        tables.forEach(({ rows, columns }) => {
+            rows.sort((a, b) => this.compareCollabItems(a, b));
+            columns.sort((a, b) => this.compareCollabItems(a, b));
+        });
+        return tables;
     }
 
-    getAllOrderedItems() {
-        const orderedItems = [];
+    // The registers a document sets. Each block, group, variable and data file is one register and so is the
+    // place (container and position) of each block and group; tables are split into rows, columns and cells
+    // so that people can edit different cells of one table at the same time.
+    getCollabValues(data) {
+        const values = new Map();
+        const shared = this.collab.values();
+        shared.forEach((value, key) => {
+            if (value !== null && /^(block|group|variable|data):/.test(key)) {
+                values.set(key, null);
+            }
+        });
         
-        // Add ungrouped blocks
-        this.blocks.filter(block => !block.groupId).forEach(block => {
-            orderedItems.push({
-                type: 'block',
-                item: block,
-                order: block.order || 0
+        values.set('meta:metadata', data.metadata || {});
+        values.set('meta:locale', data.locale);
+        values.set('meta:dialect', data.dialect);
+        data.dataSources.forEach(source => values.set(`data:${source.name}`, source));
+        data.variables.forEach(({ id, ...variable }) => values.set(`variable:${id}`, variable));
+        data.groups.forEach(({ id, parentId, order, collapsed, ...group }) => values.set(`group:${id}`, group));
+        
+        const tables = this.readCollabTables(shared);
+        data.blocks.forEach(({ id, groupId, order, ...block }) => {
+            if (block.type !== 'table') {
+                values.set(`block:${id}`, block);
+                return;
+            }
+            const { headers, rows, align, ...content } = block.content;
+            values.set(`block:${id}`, { ...block, content });
+            
+            const previous = tables.get(id) || { rows: [], columns: [] };
+            const cell = (rowId, columnId) => shared.get(`cell:${id}:${rowId}:${columnId}`) || '';
+            const rowIds = this.matchCollabIds(
+                previous.rows.map(row => ({ id: row.id, key: JSON.stringify(previous.columns.map(column => cell(row.id, column.id))) })),
+                rows.map(row => JSON.stringify(row))
+            );
+            const columnIds = this.matchCollabIds(
+                previous.columns.map(column => ({ id: column.id, key: JSON.stringify([cell('head', column.id), ...previous.rows.map(row => cell(row.id, column.id))]) })),
+                headers.map((header, index) => JSON.stringify([header, ...rows.map(row => row[index])]))
+            );
+            
+            const rowPositions = new Map(previous.rows.map(row => [row.id, row.position]));
+            const columnPositions = new Map(previous.columns.map(column => [column.id, column.position]));
+            previous.rows.forEach(row => values.set(`row:${id}:${row.id}`, null));
+            previous.columns.forEach(column => values.set(`column:${id}:${column.id}`, null));
+            this.placeCollabItems(rowIds, rowId => rowPositions.get(rowId), (rowId, position) => values.set(`row:${id}:${rowId}`, position));
+            this.placeCollabItems(columnIds, columnId => columnPositions.get(columnId), (columnId, position) => {
+                values.set(`column:${id}:${columnId}`, { position, align: align[columnIds.indexOf(columnId)] });
+            });
+            columnIds.forEach((columnId, index) => {
+                values.set(`cell:${id}:head:${columnId}`, headers[index]);
+                rowIds.forEach((rowId, row) => values.set(`cell:${id}:${rowId}:${columnId}`, rows[row][index]));
             });
         });
         
-        // Add groups
-        this.groups.forEach((group, groupId) => {
-            const groupBlocks = this.blocks.filter(block => block.groupId === groupId);
-            if (groupBlocks.length > 0) {
-                orderedItems.push({
-                    type: 'group',
-                    item: group,
-                    blocks: groupBlocks,
-                    order: group.order || 0
-                });
+        const containers = new Map();
+        const addToContainer = (id, parent, order) => {
+            if (!containers.has(parent)) containers.set(parent, []);
+            containers.get(parent).push({ id, order: order || 0 });
+        };
+        // Same order as getAllOrderedItems: by order, blocks before groups
+        data.blocks.forEach(block => addToContainer(block.id, block.groupId || null, block.order));
+        data.groups.forEach(group => addToContainer(group.id, group.parentId || null, group.order));
+        containers.forEach((items, parent) => {
+            const ids = items.sort((a, b) => a.order - b.order).map(item => item.id);
+            const positionOf = id => {
+                const place = shared.get(`place:${id}`);
+                return place && place.parent === parent ? place.position : undefined;
+            };
+            this.placeCollabItems(ids, positionOf, (id, position) => values.set(`place:${id}`, { parent, position }));
+        });
+        return values;
+    }
+
+    // The document the registers describe. Items whose group was deleted by someone else move to the top
+    // level, and when two people nest groups into each other the group with the lowest id leaves the loop.
+    buildCollabDocument(values) {
+        const data = {
+            format: DOCUMENT_FORMAT,
+            version: DOCUMENT_FORMAT_VERSION,
+            metadata: values.get('meta:metadata') || {},
+            locale: values.get('meta:locale') || DEFAULT_LOCALE,
+            dialect: values.get('meta:dialect') || { ...DEFAULT_DIALECT },
+            blocks: [],
+            groups: [],
+            variables: [],
+            dataSources: [],
+            groupCounter: this.groupCounter
+        };
+        const tables = this.readCollabTables(values);
+        values.forEach((value, key) => {
+            const kind = key.slice(0, key.indexOf(':'));
+            const id = key.slice(kind.length + 1);
+            if (value === null) return;
+            if (kind === 'group') {
+                data.groups.push({ id, ...value, parentId: null, order: 0, collapsed: false });
+            } else if (kind === 'block') {
+                const block = { id, ...value, groupId: null, order: 0 };
+                if (block.type === 'table') {
+                    const { rows, columns } = tables.get(id) || { rows: [], columns: [] };
+                    const cell = (rowId, columnId) => values.get(`cell:${id}:${rowId}:${columnId}`) || '';
+                    block.content = {
+                        ...block.content,
+                        headers: columns.map(column => cell('head', column.id)),
+                        rows: rows.map(row => columns.map(column => cell(row.id, column.id))),
+                        align: columns.map(column => column.align || null)
+                    };
+                }
+                data.blocks.push(block);
+            } else if (kind === 'variable') {
+                data.variables.push({ id, ...value });
+            } else if (kind === 'data') {
+                data.dataSources.push(value);
+            }
+        });
+        
+        const groups = new Map(data.groups.map(group => [group.id, group]));
+        const place = id => values.get(`place:${id}`) || { parent: null, position: '' };
+        data.groups.forEach(group => {
+            group.parentId = groups.has(place(group.id).parent) ? place(group.id).parent : null;
+        });
+        data.groups.forEach(group => {
+            const seen = [];
+            let current = group;
+            while (current && !seen.includes(current)) {
+                seen.push(current);
+                current = groups.get(current.parentId);
             }
+            if (current) {
+                seen.slice(seen.indexOf(current)).sort((a, b) => a.id < b.id ? -1 : 1)[0].parentId = null;
+            }
+        });
+        data.blocks.forEach(block => {
+            block.groupId = groups.has(place(block.id).parent) ? place(block.id).parent : null;
+        });
+        
+        const containers = new Map();
+        [...data.blocks.map(item => ({ item, parent: item.groupId })), ...data.groups.map(item => ({ item, parent: item.parentId }))].forEach(({ item, parent }) => {
+            if (!containers.has(parent)) containers.set(parent, []);
+            containers.get(parent).push({ item, id: item.id, position: place(item.id).position });
+        });
+        containers.forEach(items => {
+            items.sort((a, b) => this.compareCollabItems(a, b)).forEach((entry, index) => {
+                entry.item.order = index;
+            });
         });
         
-        return orderedItems.sort((a, b) => a.order - b.order);
+        // Variables and data files keep the order they have here; new ones follow by id
+        const variableIds = Array.from(this.variables.keys());
+        const sourceNames = this.dataSources.map(source => source.name);
+        const byRank = (ranks, key) => (a, b) => {
+            const rankA = ranks.indexOf(key(a)) === -1 ? Infinity : ranks.indexOf(key(a));
+            const rankB = ranks.indexOf(key(b)) === -1 ? Infinity : ranks.indexOf(key(b));
+            return rankA !== rankB ? rankA - rankB : key(a) < key(b) ? -1 : key(a) > key(b) ? 1 : 0;
+        };
+        data.variables.sort(byRank(variableIds, variable => variable.id));
+        data.dataSources.sort(byRank(sourceNames, source => source.name));
+        return data;
     }
 
-    deleteBlock(blockId) {
-        this.blocks = this.blocks.filter(b => b.id !== blockId);
-        this.renderAllContent();
-        this.updatePreview();
-        this.saveToStorage();
+    openCollaboration() {
+        const defaultServer = /^https?:$/.test(location.protocol)
+            ? `${location.protocol === 'https:' ? 'wss' : 'ws'}://${location.host}`
+            : 'ws://localhost:8787';
+        const session = this.collabSession || {};
+        document.getElementById('collab-server').value = session.server || this.collabServer || defaultServer;
+        document.getElementById('collab-room').value = session.room || this.documentName || '';
+        document.getElementById('collab-name').value = session.name || this.collabName;
+        this.renderCollabStatus();
+        document.getElementById('collab-dialog').showModal();
     }
 
-    groupSelectedBlocks() {
-        const selectedBlocks = this.blocks.filter(block => block.selected && !block.groupId);
-        if (selectedBlocks.length < 2) {
-            alert('Please select at least 2 blocks to group');
+    // Joining an empty room shares this document; joining one that already has a document replaces this one,
+    // which is kept as a snapshot first
+    joinCollaboration(server, room, name) {
+        if (!server || !room) {
+            alert('Please enter the relay server and a room');
             return;
         }
-
-        const groupId = `group_${this.groupCounter++}`;
-        const groupName = `Group ${this.groupCounter}`;
+        if (this.collab) {
+            this.leaveCollaboration();
+        }
         
-        // Get the minimum order from selected blocks to position the group
-        const minOrder = Math.min(...selectedBlocks.map(block => block.order || 0));
+        const clientId = Math.random().toString(36).substr(2, 9);
+        this.collab = new CollabDocument(clientId);
+        this.collabSession = {
+            server,
+            room,
+            name: name || 'Anonymous',
+            color: COLLAB_COLORS[parseInt(clientId, 36) % COLLAB_COLORS.length],
+            status: 'connecting',
+            joined: false
+        };
+        this.collabServer = server;
+        this.collabName = name;
+        this.saveSettings();
+        this.connectCollaboration();
+    }
+
+    connectCollaboration() {
+        let socket;
+        try {
+            socket = new WebSocket(this.collabSession.server);
+        } catch (e) {
+            console.error('Failed to connect to the relay:', e);
+            alert(`Could not connect to ${this.collabSession.server}: ${e.message}`);
+            this.leaveCollaboration();
+            return;
+        }
+        this.collabSocket = socket;
+        this.setCollabStatus('connecting');
         
-        this.groups.set(groupId, {
-            id: groupId,
-            name: groupName,
-            order: minOrder
+        socket.addEventListener('open', () => {
+            const { room, name, color } = this.collabSession;
+            socket.send(JSON.stringify({ type: 'join', room, client: this.collab.clientId, peer: { name, color } }));
         });
-
-        selectedBlocks.forEach((block, index) => {
-            block.groupId = groupId;
-            block.selected = false;
-            block.order = index; // Reset order within group
+        socket.addEventListener('message', (e) => {
+            if (this.collabSocket !== socket) return;
+            try {
+                this.handleCollabMessage(JSON.parse(e.data));
+            } catch (error) {
+                console.error('Failed to apply a collaboration message:', error);
+            }
+        });
+        // The session stays open while offline: edits go into the registers and are sent after reconnecting
+        socket.addEventListener('close', () => {
+            if (this.collabSocket !== socket) return;
+            this.collabSocket = null;
+            this.collabPeers.clear();
+            this.renderCollabPresence();
+            this.setCollabStatus('offline');
+            this.collabReconnect = setTimeout(() => this.connectCollaboration(), 3000);
         });
+    }
 
-        this.renderAllContent();
-        this.updatePreview();
-        this.saveToStorage();
+    leaveCollaboration() {
+        clearTimeout(this.collabReconnect);
+        const socket = this.collabSocket;
+        this.collabSocket = null;
+        if (socket) {
+            socket.close();
+        }
+        this.collab = null;
+        this.collabSession = null;
+        this.collabPeers.clear();
+        this.collabConflicts.clear();
+        this.collabBlockId = null;
+        this.renderCollabPresence();
+        this.renderCollabStatus();
     }
 
-    ungroupBlocks(groupId) {
-        this.blocks.forEach(block => {
-            if (block.groupId === groupId) {
-                block.groupId = null;
+    sendCollabMessage(message) {
+        if (this.collabSocket && this.collabSocket.readyState === WebSocket.OPEN) {
+            this.collabSocket.send(JSON.stringify(message));
+        }
+    }
+
+    sendCollabChanges() {
+        const ops = this.collab.set(this.getCollabValues(this.serializeDocument()));
+        if (ops.length > 0) {
+            this.sendCollabMessage({ type: 'ops', ops });
+        }
+    }
+
+    handleCollabMessage(message) {
+        if (message.type === 'welcome') {
+            this.collabPeers = new Map(message.peers.map(peer => [peer.client, peer]));
+            if (this.collabSession.joined) {
+                // Back after a dropped connection: take what was missed and send all own ops, the relay keeps the newer values
+                if (!this.receiveCollabOps(message.ops)) return;
+                this.sendCollabMessage({ type: 'ops', ops: this.collab.getOps().filter(op => op.client === this.collab.clientId) });
+            } else if (message.ops.length === 0) {
+                this.sendCollabChanges();
+            } else {
+                try {
+                    this.checkCollabOps(message.ops);
+                } catch (e) {
+                    console.error('Failed to load the shared document:', e);
+                    alert(`The document in room "${this.collabSession.room}" is not valid:\n${e.message}`);
+                    this.leaveCollaboration();
+                    return;
+                }
+                this.takeSnapshot(`Before joining ${this.collabSession.room}`);
+                this.collab.apply(message.ops);
+                this.history = { undo: [], redo: [] };
+                this.loadCollabState();
+                this.updateHistoryButtons();
             }
-        });
+            this.collabSession.joined = true;
+            this.setCollabStatus('connected');
+            this.sendCollabMessage({ type: 'presence', blockId: this.collabBlockId });
+            this.renderCollabPresence();
+        } else if (message.type === 'ops') {
+            this.receiveCollabOps(message.ops);
+        } else if (message.type === 'presence') {
+            this.collabPeers.set(message.client, message);
+            this.renderCollabPresence();
+            this.renderCollabStatus();
+        } else if (message.type === 'leave') {
+            this.collabPeers.delete(message.client);
+            this.renderCollabPresence();
+            this.renderCollabStatus();
+        }
+    }
 
-        this.groups.delete(groupId);
-        this.renderAllContent();
-        this.updatePreview();
-        this.saveToStorage();
+    // Ops from other people pass the same checks as an imported document before they reach the registers,
+    // so nobody in a room can put ids or values into it that the editor would not load from a file
+    checkCollabOps(ops) {
+        const isOp = op => op !== null && typeof op === 'object' && typeof op.key === 'string' && COLLAB_KEY_PATTERN.test(op.key) &&
+            Number.isFinite(op.clock) && typeof op.client === 'string' && DOCUMENT_ID_PATTERN.test(op.client) && op.value !== undefined &&
+            (op.base === undefined || op.base === null || typeof op.base === 'string');
+        if (!Array.isArray(ops) || !ops.every(isOp)) {
+            throw new DocumentFormatError(['ops: expected [{key, value, clock, client}] with valid keys']);
+        }
+        const trial = new CollabDocument(this.collab.clientId);
+        trial.apply(this.collab.getOps());
+        trial.apply(ops);
+        this.parseDocument(this.buildCollabDocument(trial.values()));
     }
 
-    deleteGroup(groupId) {
-        this.blocks = this.blocks.filter(block => block.groupId !== groupId);
-        this.groups.delete(groupId);
-        this.renderAllContent();
-        this.updatePreview();
-        this.saveToStorage();
+    // Undo and redo steps are rebased onto what others changed, so undo only takes back one's own edits.
+    // The relay keeps ops it passes on, so a batch that can't be applied would leave this copy different from
+    // the room's for good: the room is left instead, as when joining one whose document is not valid.
+    receiveCollabOps(ops) {
+        try {
+            this.checkCollabOps(ops);
+        } catch (e) {
+            console.error('Failed to apply changes from the room:', e);
+            alert(`Changes from room "${this.collabSession.room}" are not valid, so you have left the room. Your copy of the document is kept.\n${e.message}`);
+            this.leaveCollaboration();
+            return false;
+        }
+        const lost = this.collab.findLostEdits(ops);
+        const changed = this.collab.apply(ops);
+        if (changed.length === 0) return true;
+        
+        const rebase = state => {
+            const values = this.getCollabValues(JSON.parse(state));
+            changed.forEach(op => values.set(op.key, this.collab.get(op.key)));
+            const rebased = this.buildCollabDocument(values);
+            rebased.groups.forEach(group => {
+                delete group.collapsed;
+            });
+            return JSON.stringify(rebased);
+        };
+        this.history.undo = this.history.undo.map(rebase);
+        this.history.redo = this.history.redo.map(rebase);
+        this.loadCollabState(this.mergeLostCollabEdits(lost));
+        return true;
     }
 
-    moveGroupUp(groupId) {
-        this.moveItemUp('group', groupId);
-        this.renderAllContent();
-        this.updatePreview();
-        this.saveToStorage();
+    // Own edits that lost against concurrent ones are merged into them. Where both changed the same text the
+    // other version stays, and the block offers to put one's own back.
+    mergeLostCollabEdits(lost) {
+        const merged = new Map();
+        lost.forEach(({ key, base, mine, op }) => {
+            if (mine === null || op.value === null) return;
+            const result = this.mergeCollabValues(base, mine, op.value);
+            if (result) {
+                merged.set(key, result.value);
+                return;
+            }
+            const [kind, blockId] = key.split(':');
+            if (kind !== 'block' && kind !== 'cell') return;
+            const member = this.collabPeers.get(op.client);
+            if (!this.collabConflicts.has(blockId)) {
+                this.collabConflicts.set(blockId, { name: '', values: new Map() });
+            }
+            const conflict = this.collabConflicts.get(blockId);
+            conflict.name = member ? member.peer.name : 'Someone';
+            conflict.values.set(key, mine);
+        });
+        return merged;
     }
 
-    moveGroupDown(groupId) {
-        this.moveItemDown('group', groupId);
+    // Puts one's own version of a block back after it lost against an edit it could not be merged with
+    restoreCollabConflict(blockId) {
+        const conflict = this.collabConflicts.get(blockId);
+        const block = this.blocks.find(item => item.id === blockId);
+        this.collabConflicts.delete(blockId);
+        if (conflict && block && this.collab) {
+            const values = this.collab.values();
+            conflict.values.forEach((value, key) => values.set(key, value));
+            const restored = this.buildCollabDocument(values).blocks.find(item => item.id === blockId);
+            if (restored) {
+                const { id, groupId, order, ...fields } = restored;
+                Object.assign(block, fields);
+            }
+        }
         this.renderAllContent();
         this.updatePreview();
         this.saveToStorage();
     }
 
-    addTableRow(blockId) {
-        const block = this.blocks.find(b => b.id === blockId);
-        if (block && block.type === 'table') {
-            const newRow = new Array(block.content.headers.length).fill('');
-            block.content.rows.push(newRow);
-            this.rerenderBlock(block);
-            this.updatePreview();
-            this.saveToStorage();
-        }
+    dismissCollabConflict(blockId) {
+        this.collabConflicts.delete(blockId);
+        this.renderAllContent();
     }
 
-    addTableColumn(blockId) {
-        const block = this.blocks.find(b => b.id === blockId);
-        if (block && block.type === 'table') {
-            block.content.headers.push('New Column');
-            block.content.rows.forEach(row => row.push(''));
-            this.rerenderBlock(block);
-            this.updatePreview();
-            this.saveToStorage();
-        }
+    renderCollabConflict(block) {
+        const conflict = this.collabConflicts.get(block.id);
+        if (!conflict) return '';
+        return `
+            <div class="collab-conflict">
+                <span>⚠️ ${this.escapeHtml(conflict.name)} changed this block at the same time as you, and their version was kept.</span>
+                <button onclick="editor.restoreCollabConflict(${this.jsString(block.id)})">Use mine</button>
+                <button onclick="editor.dismissCollabConflict(${this.jsString(block.id)})">Keep theirs</button>
+            </div>
+        `;
     }
 
-    deleteTableRow(blockId, rowIndex) {
-        const block = this.blocks.find(b => b.id === blockId);
-        if (block && block.type === 'table' && block.content.rows.length > 1) {
-            block.content.rows.splice(rowIndex, 1);
-            this.rerenderBlock(block);
-            this.updatePreview();
-            this.saveToStorage();
+    loadCollabState(merged = new Map()) {
+        const focusSelector = this.getFocusSelector();
+        const active = document.activeElement;
+        const selection = active && typeof active.selectionStart === 'number'
+            ? [active.selectionStart, active.selectionEnd]
+            : null;
+        const collapsed = new Set(Array.from(this.groups.values()).filter(group => group.collapsed).map(group => group.id));
+        const selected = new Set(this.blocks.filter(block => block.selected).map(block => block.id));
+        
+        const values = this.collab.values();
+        merged.forEach((value, key) => values.set(key, value));
+        try {
+            this.loadDocument(this.buildCollabDocument(values));
+        } catch (e) {
+            console.error('Failed to load the shared document:', e);
+            return;
         }
-    }
-
-    deleteTableColumn(blockId, colIndex) {
-        const block = this.blocks.find(b => b.id === blockId);
-        if (block && block.type === 'table' && block.content.headers.length > 1) {
-            block.content.headers.splice(colIndex, 1);
-            block.content.rows.forEach(row => row.splice(colIndex, 1));
-            this.rerenderBlock(block);
-            this.updatePreview();
-            this.saveToStorage();
+        this.groups.forEach(group => {
+            group.collapsed = collapsed.has(group.id);
+        });
+        this.blocks.forEach(block => {
+            block.selected = selected.has(block.id);
+        });
+        this.committedState = this.serializeHistoryState();
+        
+        this.renderAllContent();
+        this.renderVariables();
+        this.renderDialectOptions();
+        this.updatePreview();
+        this.saveToStorage();
+        
+        const element = focusSelector ? document.querySelector(focusSelector) : null;
+        if (element) {
+            element.focus();
+            if (selection && typeof element.selectionStart === 'number') {
+                element.setSelectionRange(...selection);
+            }
         }
     }
 
-    rerenderBlock(block) {
-        const blockElement = document.querySelector(`[data-block-id="${block.id}"]`);
-        const contentContainer = blockElement.querySelector('.block-content');
-        contentContainer.innerHTML = this.renderBlockContent(block);
-        this.bindBlockEvents();
+    setCollabPresence(blockId) {
+        if (!this.collab || blockId === this.collabBlockId) return;
+        this.collabBlockId = blockId;
+        this.sendCollabMessage({ type: 'presence', blockId });
     }
 
-    rerenderAllBlocks() {
-        this.renderAllContent();
+    setCollabStatus(status) {
+        this.collabSession.status = status;
+        this.renderCollabStatus();
     }
 
-    bindBlockEvents() {
-        document.querySelectorAll('.block-input').forEach(input => {
-            input.removeEventListener('input', this.handleBlockInput);
-            input.addEventListener('input', this.handleBlockInput.bind(this));
-        });
-
-        document.querySelectorAll('.table-input').forEach(input => {
-            input.removeEventListener('input', this.handleTableInput);
-            input.addEventListener('input', this.handleTableInput.bind(this));
+    // Everyone else in the room is shown on the block they are editing
+    renderCollabPresence() {
+        document.querySelectorAll('#blocks-container .presence-marker').forEach(marker => marker.remove());
+        document.querySelectorAll('#blocks-container .block.has-presence').forEach(element => {
+            element.classList.remove('has-presence');
+            element.style.removeProperty('--presence-color');
         });
-
-        document.querySelectorAll('.block-select').forEach(checkbox => {
-            checkbox.removeEventListener('change', this.handleBlockSelection);
-            checkbox.addEventListener('change', this.handleBlockSelection.bind(this));
+        this.collabPeers.forEach(({ peer, blockId }) => {
+            const element = DOCUMENT_ID_PATTERN.test(blockId) ? document.querySelector(`#blocks-container .block[data-block-id="${blockId}"]`) : null;
+            if (!element) return;
+            const marker = document.createElement('span');
+            marker.className = 'presence-marker';
+            marker.style.backgroundColor = peer.color;
+            marker.textContent = peer.name;
+            element.classList.add('has-presence');
+            element.style.setProperty('--presence-color', peer.color);
+            element.querySelector('.block-header').appendChild(marker);
         });
+    }
 
-        document.querySelectorAll('.group-name-input').forEach(input => {
-            input.removeEventListener('input', this.handleGroupNameChange);
-            input.addEventListener('input', this.handleGroupNameChange.bind(this));
-        });
+    renderCollabStatus() {
+        const session = this.collabSession;
+        const labels = { connecting: 'Connecting…', connected: 'Connected', offline: 'Offline, reconnecting…' };
+        const button = document.querySelector('.collab-btn');
+        button.classList.toggle('active', session !== null);
+        button.title = session ? `Collaborating in "${session.room}" (${labels[session.status]})` : 'Collaborate';
+        document.getElementById('collab-peer-count').textContent = session && this.collabPeers.size > 0 ? this.collabPeers.size + 1 : '';
+        
+        document.getElementById('collab-status').textContent = session
+            ? `${labels[session.status]} · room "${session.room}" on ${session.server}`
+            : 'Not collaborating';
+        document.getElementById('collab-peers').innerHTML = session
+            ? [{ peer: session }, ...this.collabPeers.values()].map(({ peer }, index) => `
+                <li><span class="collab-peer-color" style="background-color: ${this.escapeHtml(peer.color)}"></span>${this.escapeHtml(peer.name)}${index === 0 ? ' (you)' : ''}</li>
+            `).join('')
+            : '';
+        document.getElementById('collab-leave-btn').disabled = session === null;
     }
 
-    handleBlockSelection(e) {
-        const blockId = e.target.dataset.blockId;
-        const block = this.blocks.find(b => b.id === blockId);
-        if (block) {
-            block.selected = e.target.checked;
-            this.saveToStorage();
+    async loadTemplates() {
+        try {
+            this.templates = await this.store.getAll('templates');
+        } catch (e) {
+            console.error('Failed to load templates:', e);
         }
+        this.renderTemplateList();
     }
 
-    handleGroupNameChange(e) {
-        const groupId = e.target.dataset.groupId;
-        const group = this.groups.get(groupId);
-        if (group) {
-            group.name = e.target.value;
-            this.saveToStorage();
-        }
+    renderTemplateList() {
+        const select = document.getElementById('template-select');
+        const templates = this.templates.slice().sort((a, b) => a.name.localeCompare(b.name));
+        
+        select.innerHTML = '<option value="">📦 Insert Template…</option>' + templates
+            .map(template => `<option value="${this.escapeHtml(template.id)}">${this.escapeHtml(template.name)}</option>`)
+            .join('');
+        document.getElementById('delete-template-btn').disabled = templates.length === 0;
+        document.getElementById('export-templates-btn').disabled = templates.length === 0;
     }
 
-    handleBlockInput(e) {
-        const blockId = e.target.dataset.blockId;
-        const block = this.blocks.find(b => b.id === blockId);
-        if (block) {
-            block.content = e.target.value;
-            this.updatePreview();
-            this.saveToStorage();
+    // Applies fn to every string inside block content: plain text, table cells, list items, image and callout fields
+    mapContentText(content, fn) {
+        if (typeof content === 'string') {
+            return fn(content);
         }
+        if (Array.isArray(content)) {
+            return content.map(value => this.mapContentText(value, fn));
+        }
+        if (content && typeof content === 'object') {
+            return Object.fromEntries(Object.entries(content).map(([key, value]) => [key, this.mapContentText(value, fn)]));
+        }
+        return content;
     }
 
-    handleTableInput(e) {
-        const blockId = e.target.dataset.blockId;
-        const row = parseInt(e.target.dataset.row);
-        const col = parseInt(e.target.dataset.col);
-        const block = this.blocks.find(b => b.id === blockId);
-        
-        if (block && block.type === 'table') {
-            if (row === -1) {
-                block.content.headers[col] = e.target.value;
+    // Selected groups (with everything inside them) and selected blocks outside those groups, in document order
+    getSelectedItems() {
+        const selected = [];
+        const walk = (items, insideSelection) => {
+            items.forEach(entry => {
+                const isSelected = !insideSelection && entry.item.selected;
+                if (isSelected) {
+                    selected.push(entry);
+                }
+                if (entry.type === 'group') {
+                    walk(entry.children, insideSelection || isSelected);
+                }
+            });
+        };
+        walk(this.getAllOrderedItems(), false);
+        return selected;
+    }
+
+    // Copies the selection as a fragment: top-level items lose their container, nested ones keep theirs
+    collectFragment(selection) {
+        const blocks = [];
+        const groups = [];
+        const collect = (entry, isTop, order) => {
+            const { selected, ...item } = entry.item;
+            if (entry.type === 'group') {
+                groups.push({ ...item, parentId: isTop ? null : item.parentId, order, collapsed: false });
+                entry.children.forEach(child => collect(child, false, child.item.order));
             } else {
-                block.content.rows[row][col] = e.target.value;
+                blocks.push({ ...item, groupId: isTop ? null : item.groupId, order });
             }
-            this.updatePreview();
-            this.saveToStorage();
-        }
+        };
+        selection.forEach((entry, index) => collect(entry, true, index));
+        return { blocks, groups };
     }
 
-    addVariable(key = '', value = '') {
-        const variableId = `var_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-        this.variables.set(variableId, { key: key, value: value });
-        this.renderVariables();
-        this.updatePreview();
-        this.saveToStorage();
+    // Variable keys used by {{placeholders}} in a fragment's blocks and group names
+    getFragmentKeys(fragment) {
+        const keys = new Set();
+        const findKeys = text => {
+            text.replace(/\{\{\s*([^{}]+?)\s*\}\}/g, (match, reference) => {
+                keys.add(this.variableFormatter.parsePlaceholder(reference).key);
+                return match;
+            });
+            return text;
+        };
+        fragment.blocks.forEach(block => this.mapContentText(block.content, findKeys));
+        fragment.groups.forEach(group => findKeys(group.name));
+        return keys;
     }
 
-    renderVariables() {
-        const container = document.getElementById('variables-list');
-        container.innerHTML = '';
+    // The selection as clipboard data. The fragment JSON rides along in the HTML flavour, so another tab or
+    // document can rebuild the blocks, while other applications get the rendered HTML or the Markdown.
+    getSelectionClipboardData() {
+        const selection = this.getSelectedItems();
+        if (selection.length === 0) return null;
         
-        this.variables.forEach((variable, id) => {
-            const variableElement = document.createElement('div');
-            variableElement.className = 'variable-item';
-            variableElement.innerHTML = `
-                <input type="text" class="variable-input" placeholder="Key" value="${variable.key}" data-variable-id="${id}" data-field="key">
-                <input type="text" class="variable-input" placeholder="Value" value="${variable.value}" data-variable-id="${id}" data-field="value">
-                <button class="delete-variable-btn" onclick="editor.deleteVariable('${id}')">🗑️</button>
-            `;
-            container.appendChild(variableElement);
-        });
+        const fragment = this.collectFragment(selection);
+        const keys = this.getFragmentKeys(fragment);
+        const payload = {
+            format: FRAGMENT_FORMAT,
+            version: DOCUMENT_FORMAT_VERSION,
+            ...fragment,
+            variables: Array.from(this.variables.entries())
+                .filter(([id, variable]) => keys.has(variable.key))
+                .map(([id, variable]) => ({ id, ...variable }))
+        };
+        const outline = this.buildOutline();
+        return {
+            text: this.generateItemsMarkdown(selection, outline, this.dialect).trim(),
+            html: `<div data-structured-markdown="${this.escapeHtml(JSON.stringify(payload))}">${this.renderPreviewHtml(selection, outline)}</div>`
+        };
+    }
 
-        this.bindVariableEvents();
+    // Returns the parsed fragment, or null when the HTML holds none
+    readClipboardFragment(html) {
+        const template = document.createElement('template');
+        template.innerHTML = html || '';
+        const element = template.content.querySelector('[data-structured-markdown]');
+        if (!element) return null;
+        
+        let data;
+        try {
+            data = JSON.parse(element.dataset.structuredMarkdown);
+        } catch (e) {
+            return null;
+        }
+        if (!data || data.format !== FRAGMENT_FORMAT) return null;
+        return this.parseFragment(data);
     }
 
-    bindVariableEvents() {
-        document.querySelectorAll('.variable-input').forEach(input => {
-            input.removeEventListener('input', this.handleVariableInput);
-            input.addEventListener('input', this.handleVariableInput.bind(this));
-        });
+    // Blocks or text selected in a field or the page are copied as usual
+    isSelectionCopy() {
+        if (document.querySelector('dialog[open]') || this.getSelectedItems().length === 0) return false;
+        const active = document.activeElement;
+        if (active && typeof active.selectionStart === 'number') {
+            return active.selectionStart === active.selectionEnd;
+        }
+        const textSelection = window.getSelection();
+        return !textSelection || textSelection.isCollapsed;
     }
 
-    handleVariableInput(e) {
-        const variableId = e.target.dataset.variableId;
-        const field = e.target.dataset.field;
-        const variable = this.variables.get(variableId);
-        
-        if (variable) {
-            variable[field] = e.target.value;
+    handleCopy(e, cut) {
+        if (!this.isSelectionCopy()) return;
+        const data = this.getSelectionClipboardData();
+        e.preventDefault();
+        e.clipboardData.setData('text/plain', data.text);
+        e.clipboardData.setData('text/html', data.html);
+        if (cut) {
+            this.removeSelectedItems();
+            this.renderAllContent();
             this.updatePreview();
             this.saveToStorage();
         }
     }
 
-    deleteVariable(variableId) {
-        this.variables.delete(variableId);
-        this.renderVariables();
-        this.updatePreview();
-        this.saveToStorage();
+    // Text fields keep their normal paste; elsewhere copied blocks are rebuilt
+    handlePaste(e) {
+        if (document.querySelector('dialog[open]')) return;
+        if (e.target.closest && e.target.closest('input:not([type="checkbox"]), textarea, select, [contenteditable="true"]')) return;
+        
+        let fragment;
+        try {
+            fragment = this.readClipboardFragment(e.clipboardData.getData('text/html'));
+        } catch (error) {
+            this.showPasteError(error);
+            return;
+        }
+        if (!fragment) return;
+        e.preventDefault();
+        this.pasteFragment(fragment);
     }
 
-    substituteVariables(text) {
-        let result = text;
-        this.variables.forEach((variable) => {
-            if (variable.key) {
-                const regex = new RegExp(`\\{\\{${variable.key}\\}\\}`, 'g');
-                let value = variable.value;
-                
-                if (value.includes('{{') && value.includes('}}')) {
-                    value = this.evaluateExpression(value);
-                }
-                
-                result = result.replace(regex, value);
-            }
-        });
-        return result;
+    showPasteError(e) {
+        const details = e instanceof DocumentFormatError ? e.errors.map(message => `- ${message}`).join('\n') : e.message;
+        alert(`Could not paste the blocks:\n${details}`);
     }
 
-    evaluateExpression(expression) {
-        let result = expression;
+    // Pasted items go after the focused block or group and become the selection. Variables they use are
+    // added unless the document already has one with the same key.
+    pasteFragment(fragment, target = this.getFocusedItem()) {
+        const keys = new Set(Array.from(this.variables.values()).map(variable => variable.key));
+        fragment.variables.filter(variable => !keys.has(variable.key)).forEach(({ id, ...variable }) => {
+            this.variables.set(`var_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`, variable);
+        });
         
-        this.variables.forEach((variable) => {
-            if (variable.key && !variable.value.includes('{{')) {
-                const regex = new RegExp(`\\{\\{${variable.key}\\}\\}`, 'g');
-                result = result.replace(regex, variable.value);
-            }
+        const item = target && this.getItem(target.type, target.id);
+        const inserted = this.insertFragment(fragment, item ? { type: target.type, item } : null);
+        this.blocks.forEach(block => {
+            block.selected = false;
         });
+        this.groups.forEach(group => {
+            group.selected = false;
+        });
+        inserted.forEach(entry => {
+            entry.item.selected = true;
+        });
+        
+        this.renderVariables();
+        this.renderAllContent();
+        this.updatePreview();
+        this.saveToStorage();
+    }
+
+    // Palette versions of copy, cut and paste, which go through the asynchronous clipboard API
+    async copySelected(cut = false) {
+        const data = this.getSelectionClipboardData();
+        if (!data) return;
+        try {
+            await navigator.clipboard.write([new ClipboardItem({
+                'text/html': new Blob([data.html], { type: 'text/html' }),
+                'text/plain': new Blob([data.text], { type: 'text/plain' })
+            })]);
+        } catch (e) {
+            console.error('Failed to copy blocks:', e);
+            alert('Could not copy to the clipboard. Use Ctrl+C instead.');
+            return;
+        }
+        if (cut) {
+            this.removeSelectedItems();
+            this.renderAllContent();
+            this.updatePreview();
+            this.saveToStorage();
+        }
+    }
 
+    async pasteBlocks(target = this.getFocusedItem()) {
+        let fragment = null;
         try {
-            const mathExpression = result.replace(/\{\{|\}\}/g, '');
-            if (/^[\d\s+\-*/().]+$/.test(mathExpression)) {
-                return eval(mathExpression).toString();
+            const items = await navigator.clipboard.read();
+            const item = items.find(entry => entry.types.includes('text/html'));
+            if (item) {
+                fragment = this.readClipboardFragment(await (await item.getType('text/html')).text());
             }
         } catch (e) {
-            // If evaluation fails, return original expression
+            if (e instanceof DocumentFormatError) {
+                this.showPasteError(e);
+                return;
+            }
+            console.error('Failed to read the clipboard:', e);
+            alert('Could not read the clipboard. Use Ctrl+V instead.');
+            return;
         }
-        
-        return result;
+        if (!fragment) {
+            alert('The clipboard holds no copied blocks');
+            return;
+        }
+        this.pasteFragment(fragment, target);
     }
 
-    generateMarkdown() {
-        let markdown = '';
+    async saveSelectionAsTemplate() {
+        const selection = this.getSelectedItems();
+        if (selection.length === 0) {
+            alert('Select blocks or a group to save as a template.');
+            return;
+        }
         
-        // Get ordered items (blocks and groups) for consistent output
-        const orderedItems = this.getAllOrderedItems();
+        const defaultName = selection[0].type === 'group' ? selection[0].item.name : '';
+        const name = prompt('Template name:', defaultName);
+        if (!name || !name.trim()) return;
         
-        orderedItems.forEach(item => {
-            if (item.type === 'block') {
-                let content = '';
-                
-                if (item.item.type === 'table') {
-                    content = this.generateTableMarkdown(item.item.content);
-                } else {
-                    content = item.item.content;
-                }
-                
-                content = this.substituteVariables(content);
-                markdown += content + '\n\n';
-            } else if (item.type === 'group') {
-                // Sort group blocks by their internal order
-                const sortedGroupBlocks = item.blocks.sort((a, b) => (a.order || 0) - (b.order || 0));
-                
-                sortedGroupBlocks.forEach(block => {
-                    let content = '';
-                    
-                    if (block.type === 'table') {
-                        content = this.generateTableMarkdown(block.content);
-                    } else {
-                        content = block.content;
-                    }
-                    
-                    content = this.substituteVariables(content);
-                    markdown += content + '\n\n';
-                });
+        const { blocks, groups } = this.collectFragment(selection);
+        const keys = this.getFragmentKeys({ blocks, groups });
+        
+        const declared = prompt('Placeholders to ask for when the template is inserted (comma separated).\nOthers stay linked to the document\'s variables.', Array.from(keys).join(', '));
+        if (declared === null) return;
+        
+        // Current values become the suggested answers
+        const results = this.evaluateVariables();
+        const variables = declared.split(',').map(key => key.trim()).filter(Boolean).map((key, index) => {
+            const existing = Array.from(this.variables.values()).find(variable => variable.key === key);
+            const result = results.get(key);
+            const variable = {
+                id: `var_${index}`,
+                key,
+                value: result && !result.error ? this.expressionEngine.format(result.value) : '',
+                type: existing ? existing.type || 'text' : 'text'
+            };
+            if (variable.type === 'currency') {
+                variable.currency = existing.currency || this.variableFormatter.getDefaultCurrency(this.locale);
             }
+            return variable;
         });
         
-        return markdown.trim();
+        const template = {
+            id: `tpl_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            name: name.trim(),
+            version: DOCUMENT_FORMAT_VERSION,
+            createdAt: Date.now(),
+            blocks,
+            groups,
+            variables
+        };
+        
+        // Stored as a copy so later edits to the document don't leak into the template
+        const record = JSON.parse(JSON.stringify(template));
+        try {
+            await this.store.put(record, 'templates');
+            this.templates.push(record);
+            this.renderTemplateList();
+        } catch (e) {
+            console.error('Failed to save template:', e);
+        }
     }
 
-    generateTableMarkdown(tableData) {
-        let markdown = '|';
-        
-        tableData.headers.forEach(header => {
-            markdown += ` ${header} |`;
+    // Fragments (templates, copied blocks) go through the same migrations and checks as documents
+    parseFragment(fragment) {
+        return this.parseDocument({
+            format: DOCUMENT_FORMAT,
+            version: fragment.version,
+            locale: this.locale,
+            dialect: DEFAULT_DIALECT,
+            blocks: fragment.blocks,
+            groups: fragment.groups,
+            variables: fragment.variables,
+            dataSources: [],
+            groupCounter: 0
         });
-        markdown += '\n|';
+    }
+
+    parseTemplate(template) {
+        if (!template || typeof template.name !== 'string' || !template.name.trim()) {
+            throw new DocumentFormatError(['name: expected a non-empty string']);
+        }
+        if (typeof template.id !== 'string' || !DOCUMENT_ID_PATTERN.test(template.id)) {
+            throw new DocumentFormatError([`id: expected letters, digits, _ and - only, got ${JSON.stringify(template.id)}`]);
+        }
+        const fragment = this.parseFragment(template);
+        return {
+            id: template.id,
+            name: template.name.trim(),
+            version: DOCUMENT_FORMAT_VERSION,
+            createdAt: template.createdAt || Date.now(),
+            blocks: fragment.blocks,
+            groups: fragment.groups,
+            variables: fragment.variables
+        };
+    }
+
+    insertTemplate(templateId) {
+        let template;
+        try {
+            template = this.parseTemplate(this.templates.find(item => item.id === templateId));
+        } catch (e) {
+            const details = e instanceof DocumentFormatError ? e.errors.map(message => `- ${message}`).join('\n') : e.message;
+            alert(`Could not insert the template:\n${details}`);
+            return;
+        }
         
-        tableData.headers.forEach(() => {
-            markdown += ' --- |';
-        });
-        markdown += '\n';
+        const answers = new Map();
+        for (const variable of template.variables) {
+            const answer = prompt(`${template.name}: value for {{${variable.key}}}`, variable.value);
+            if (answer === null) return;
+            answers.set(variable.key, { ...variable, value: answer });
+        }
         
-        tableData.rows.forEach(row => {
-            markdown += '|';
-            row.forEach(cell => {
-                markdown += ` ${cell} |`;
-            });
-            markdown += '\n';
+        // Answers are written into the blocks, formatted by the placeholder's filters
+        const fill = text => text.replace(/\{\{\s*([^{}]+?)\s*\}\}/g, (match, reference) => {
+            const { key, filters } = this.variableFormatter.parsePlaceholder(reference);
+            const variable = answers.get(key);
+            if (!variable) return match;
+            try {
+                const value = this.variableFormatter.parseTypedValue(variable.value, variable.type);
+                return this.variableFormatter.render(value, filters, this.getFormatContext(variable));
+            } catch (e) {
+                return variable.value;
+            }
+        });
+        // In conditions an answer becomes a literal: {{edition}} == 'pro' turns into "pro" == 'pro'
+        const fillCondition = text => text.replace(/\{\{\s*([^{}]+?)\s*\}\}/g, (match, reference) => {
+            const variable = answers.get(this.variableFormatter.parsePlaceholder(reference).key);
+            return variable ? JSON.stringify(variable.value) : match;
         });
         
-        return markdown;
+        this.insertFragment(template, this.getActiveBlockEntry(), fill, fillCondition);
+        this.renderAllContent();
+        this.updatePreview();
+        this.saveToStorage();
     }
 
-    updatePreview() {
-        const previewContent = document.getElementById('preview-content');
-        const markdown = this.generateMarkdown();
-        previewContent.textContent = markdown;
+    getActiveBlockEntry() {
+        const block = this.blocks.find(b => b.id === this.activeBlockId);
+        return block ? { type: 'block', item: block } : null;
     }
 
-    copyToClipboard() {
-        const markdown = this.generateMarkdown();
-        navigator.clipboard.writeText(markdown).then(() => {
-            const button = document.querySelector('.copy-btn');
-            const originalText = button.textContent;
-            button.textContent = '✅ Copied!';
-            setTimeout(() => {
-                button.textContent = originalText;
-            }, 2000);
+    // Adds a parsed fragment under new ids, its top-level items right after the anchor item ({type, item}) or at the
+    // end of the document. fill and fillCondition rewrite text and conditions on the way in. Returns the top-level items.
+    insertFragment(fragment, anchor = null, fill = text => text, fillCondition = text => text) {
+        const groupIds = new Map(fragment.groups.map(group => [group.id, this.nextGroupId()]));
+        fragment.groups.forEach(group => {
+            this.groups.set(groupIds.get(group.id), {
+                ...group,
+                id: groupIds.get(group.id),
+                name: fill(group.name),
+                condition: fillCondition(group.condition),
+                parentId: group.parentId && groupIds.get(group.parentId),
+                selected: false
+            });
         });
+        const blocks = fragment.blocks.map(block => ({
+            ...block,
+            id: `block_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            content: this.mapContentText(block.content, fill),
+            condition: fillCondition(block.condition),
+            groupId: block.groupId && groupIds.get(block.groupId),
+            selected: false
+        }));
+        this.blocks.push(...blocks);
+        
+        const parentId = anchor ? this.getItemParentId(anchor.type, anchor.item) : null;
+        const inserted = [
+            ...fragment.groups.filter(group => !group.parentId).map(group => ({ type: 'group', item: this.groups.get(groupIds.get(group.id)) })),
+            ...blocks.filter(block => !block.groupId).map(block => ({ type: 'block', item: block }))
+        ].sort((a, b) => a.item.order - b.item.order);
+        inserted.forEach(entry => this.setItemParentId(entry.type, entry.item, parentId));
+        
+        const siblings = this.getAllOrderedItems(parentId).filter(entry => !inserted.some(other => other.item === entry.item));
+        const index = anchor ? siblings.findIndex(entry => entry.item === anchor.item) + 1 : siblings.length;
+        siblings.splice(index, 0, ...inserted);
+        this.setContainerOrder(siblings);
+        return inserted;
     }
 
-    downloadMarkdown() {
-        const markdown = this.generateMarkdown();
-        const blob = new Blob([markdown], { type: 'text/markdown' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = 'document.md';
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+    async deleteTemplate() {
+        const templates = this.templates.slice().sort((a, b) => a.name.localeCompare(b.name));
+        if (templates.length === 0) return;
+        
+        const list = templates.map((template, index) => `${index + 1}. ${template.name}`).join('\n');
+        const answer = prompt(`Delete which template? Enter its number:\n${list}`);
+        const template = answer && templates[parseInt(answer, 10) - 1];
+        if (!template || !confirm(`Delete template "${template.name}"?`)) return;
+        
+        try {
+            await this.store.delete(template.id, 'templates');
+            this.templates = this.templates.filter(item => item.id !== template.id);
+            this.renderTemplateList();
+        } catch (e) {
+            console.error('Failed to delete template:', e);
+        }
     }
 
-    uploadFile() {
+    exportTemplates() {
+        const library = {
+            format: TEMPLATE_LIBRARY_FORMAT,
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            templates: this.templates
+        };
+        this.downloadFile(JSON.stringify(library, null, 2), 'templates.smt.json', 'application/json');
+    }
+
+    importTemplatesFile() {
         const input = document.createElement('input');
         input.type = 'file';
-        input.accept = '.md,.txt';
+        input.accept = '.json,.smt.json';
         input.addEventListener('change', (e) => {
             const file = e.target.files[0];
             if (file) {
                 const reader = new FileReader();
-                reader.onload = (e) => {
-                    this.importMarkdown(e.target.result);
+                reader.onload = async (e) => {
+                    try {
+                        await this.importTemplates(JSON.parse(e.target.result));
+                    } catch (error) {
+                        const details = error instanceof DocumentFormatError
+                            ? error.errors.map(message => `- ${message}`).join('\n')
+                            : error.message;
+                        alert(`Could not import ${file.name}:\n${details}`);
+                    }
                 };
                 reader.readAsText(file);
             }
@@ -883,110 +6231,36 @@ class StructuredMarkdownEditor {
         input.click();
     }
 
-    importMarkdown(markdown) {
-        this.blocks = [];
-        const lines = markdown.split('\n');
-        let currentBlock = null;
-        
-        lines.forEach(line => {
-            if (line.startsWith('#')) {
-                this.finishCurrentBlock(currentBlock);
-                currentBlock = { type: 'heading', content: line };
-            } else if (line.startsWith('```')) {
-                if (currentBlock && currentBlock.type === 'code') {
-                    currentBlock.content += '\n' + line;
-                    this.finishCurrentBlock(currentBlock);
-                    currentBlock = null;
-                } else {
-                    this.finishCurrentBlock(currentBlock);
-                    currentBlock = { type: 'code', content: line };
-                }
-            } else if (line.startsWith('- ') || line.startsWith('* ')) {
-                if (currentBlock && currentBlock.type === 'list') {
-                    currentBlock.content += '\n' + line;
-                } else {
-                    this.finishCurrentBlock(currentBlock);
-                    currentBlock = { type: 'list', content: line };
-                }
-            } else if (line.trim() !== '') {
-                if (currentBlock && currentBlock.type === 'paragraph') {
-                    currentBlock.content += '\n' + line;
-                } else if (currentBlock && (currentBlock.type === 'code' || currentBlock.type === 'list')) {
-                    currentBlock.content += '\n' + line;
-                } else {
-                    this.finishCurrentBlock(currentBlock);
-                    currentBlock = { type: 'paragraph', content: line };
-                }
-            }
-        });
-        
-        this.finishCurrentBlock(currentBlock);
-        this.rerenderAllBlocks();
-        this.updatePreview();
-        this.saveToStorage();
-    }
-
-    finishCurrentBlock(block) {
-        if (block) {
-            block.id = `block_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-            this.blocks.push(block);
+    // Templates with an id already in the library replace the stored copy
+    async importTemplates(library) {
+        if (!library || library.format !== TEMPLATE_LIBRARY_FORMAT || !Array.isArray(library.templates)) {
+            throw new DocumentFormatError([`format: expected "${TEMPLATE_LIBRARY_FORMAT}" with a templates array`]);
         }
-    }
-
-    saveToStorage() {
-        const data = {
-            blocks: this.blocks,
-            variables: Array.from(this.variables.entries()),
-            groups: Array.from(this.groups.entries()),
-            groupCounter: this.groupCounter
-        };
-        localStorage.setItem('structuredMarkdownEditor', JSON.stringify(data));
-    }
-
-    loadFromStorage() {
-        const data = localStorage.getItem('structuredMarkdownEditor');
-        if (data) {
+        
+        const errors = [];
+        const templates = [];
+        library.templates.forEach((template, index) => {
             try {
-                const parsed = JSON.parse(data);
-                this.blocks = parsed.blocks || [];
-                this.variables = new Map(parsed.variables || []);
-                this.groups = new Map(parsed.groups || []);
-                this.groupCounter = parsed.groupCounter || 0;
-                
-                // Initialize order property for existing blocks if missing
-                this.blocks.forEach((block, index) => {
-                    if (typeof block.order === 'undefined') {
-                        block.order = index;
-                    }
-                    if (typeof block.selected === 'undefined') {
-                        block.selected = false;
-                    }
-                });
-                
-                // Initialize order property for existing groups if missing
-                let groupIndex = 0;
-                this.groups.forEach((group) => {
-                    if (typeof group.order === 'undefined') {
-                        group.order = groupIndex++;
-                    }
-                });
-                
-                this.renderAllContent();
-                this.renderVariables();
+                templates.push(this.parseTemplate({
+                    ...template,
+                    id: template.id === undefined ? `tpl_${Date.now()}_${index}` : template.id
+                }));
             } catch (e) {
-                console.error('Failed to load from storage:', e);
+                const messages = e instanceof DocumentFormatError ? e.errors : [e.message];
+                errors.push(...messages.map(message => `templates[${index}]: ${message}`));
             }
-        } else {
-            this.addVariable('product_name', 'Awesome Gadget');
-            this.addVariable('release_date', '2024-10-26');
-            this.addVariable('price', '1000');
-            this.addVariable('tax', '0.2');
-            this.addVariable('total', '{{price}}*{{tax}}');
-            
-            this.addBlock('heading');
-            this.addBlock('paragraph');
-            this.addBlock('table');
+        });
+        if (errors.length > 0) {
+            throw new DocumentFormatError(errors);
+        }
+        
+        for (const template of templates) {
+            await this.store.put(template, 'templates');
         }
+        const ids = new Set(templates.map(template => template.id));
+        this.templates = this.templates.filter(template => !ids.has(template.id)).concat(templates);
+        this.renderTemplateList();
+        alert(`Imported ${templates.length} template${templates.length === 1 ? '' : 's'}.`);
     }
 }
 
@@ -0,0 +1,48 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { StructuredDocument } = require(path.join(__dirname, '..', 'core.js'));
+
+const document = new StructuredDocument();
+const merge = (base, mine, theirs) => document.mergeCollabValues(base, mine, theirs);
+
+test('matchSequences pairs up a longest common subsequence', () => {
+    assert.deepStrictEqual(document.matchSequences('abcd', 'xbcy'), [[1, 1], [2, 2]]);
+    assert.deepStrictEqual(document.matchSequences('kitten', 'sitting'), [[1, 1], [2, 2], [3, 3], [5, 5]]);
+    assert.deepStrictEqual(document.matchSequences(['a', 'b', 'c'], ['c', 'a', 'b']), [[0, 1], [1, 2]]);
+    assert.deepStrictEqual(document.matchSequences('', 'abc'), []);
+});
+
+test('text edits in different places are both kept', () => {
+    assert.deepStrictEqual(merge('hello world', 'hello brave world', 'hello world!'), { value: 'hello brave world!' });
+    assert.deepStrictEqual(merge('hello', 'Hello', 'hello!'), { value: 'Hello!' });
+    assert.deepStrictEqual(merge('one two', 'one', 'one two three'), null);
+});
+
+test('two inserts at the same spot only merge when they are the same', () => {
+    assert.strictEqual(merge('ab', 'aXb', 'aYb'), null);
+    assert.deepStrictEqual(merge('ab', 'aXb', 'aXb'), { value: 'aXb' });
+});
+
+test('a deletion and an edit of the same text cannot be merged', () => {
+    assert.strictEqual(merge('abc', 'ac', 'aZc'), null);
+    assert.deepStrictEqual(merge('abc', 'ac', 'abc'), { value: 'ac' });
+    assert.deepStrictEqual(merge('abc', 'abc', ''), { value: '' });
+});
+
+test('objects merge field by field', () => {
+    const base = { type: 'paragraph', content: 'x', condition: '' };
+    assert.deepStrictEqual(merge(base, { ...base, content: 'y' }, { ...base, condition: 'draft' }), {
+        value: { type: 'paragraph', content: 'y', condition: 'draft' }
+    });
+    assert.strictEqual(merge(base, { ...base, content: 'y' }, { ...base, content: 'z' }), null);
+});
+
+test('arrays merge item by item only while their length is unchanged', () => {
+    assert.deepStrictEqual(merge([['a', 'b']], [['a2', 'b']], [['a', 'b2']]), { value: [['a2', 'b2']] });
+    assert.deepStrictEqual(merge(['a', 'b'], ['a', 'bc'], ['ab', 'b']), { value: ['ab', 'bc'] });
+    assert.strictEqual(merge(['a', 'b'], ['a', 'b', 'c'], ['a', 'c']), null);
+    assert.strictEqual(merge(['a', 'b'], ['x', 'b'], ['a']), null);
+});
@@ -0,0 +1,109 @@
+// Markdown written with any dialect imports as the blocks it was written from. Run with: node --test test/
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { StructuredDocument, DIALECT_OPTIONS } = require(path.join(__dirname, '..', 'core.js'));
+
+const SOURCE = `# Title
+
+| Left | Centre \\| pipe | Right |
+| :--- | :---: | ---: |
+| **bold** *em* | \`code\` 中文 | [link](https://example.com "Title") |
+| snake_case | ~~gone~~ <https://example.com> | ![an image](img.png) |
+| | a\\*b | 2 < 3 & 4 |
+
+> [!TIP]
+> First line
+> second line
+
+\`\`\`js
+const x = 1;
+
+  indented();
+\`\`\`
+
+- item
+
+\`\`\`
+plain
+\`\`\`
+
+The end`;
+
+function blocksOf(markdown) {
+    const document = new StructuredDocument();
+    document.importMarkdown(markdown);
+    return document.blocks.map(({ type, content }) => ({ type, content }));
+}
+
+function roundTrip(markdown, options) {
+    const document = new StructuredDocument();
+    document.importMarkdown(markdown);
+    return blocksOf(document.generateMarkdown({ ...document.dialect, ...options }));
+}
+
+for (const tables of DIALECT_OPTIONS.tables) {
+    for (const code of DIALECT_OPTIONS.code) {
+        for (const callouts of DIALECT_OPTIONS.callouts) {
+            test(`round trip with ${tables} tables, ${code} code and ${callouts} callouts`, () => {
+                assert.deepStrictEqual(roundTrip(SOURCE, { tables, code, callouts }), blocksOf(SOURCE));
+            });
+        }
+    }
+}
+
+test('grid table cells keep their lines', () => {
+    const document = new StructuredDocument();
+    document.importMarkdown('| A | B |\n| --- | --- |\n| x | y |');
+    document.blocks[0].content.rows[0][0] = 'line one\nline two';
+    const [table] = blocksOf(document.generateMarkdown({ ...document.dialect, tables: 'grid' }));
+    assert.deepStrictEqual(table.content.rows, [['line one\nline two', 'y']]);
+});
+
+test('a bold line opens a quote callout only for a callout kind', () => {
+    assert.deepStrictEqual(blocksOf('> **Warning**\n>\n> Hot').map(block => block.type), ['callout']);
+    assert.deepStrictEqual(blocksOf('> **Hello**\n>\n> there').map(block => block.type), ['blockquote']);
+});
+
+test('a language comment only applies to the indented code right after it', () => {
+    assert.deepStrictEqual(blocksOf('<!-- language: py -->\n\n    print(1)')[0].content, '```py\nprint(1)\n```');
+    assert.deepStrictEqual(blocksOf('<!-- language: py -->\n\nText\n\n    x')[1].content, '```\nx\n```');
+});
+
+test('spaces in an image address survive the round trip', () => {
+    const [image] = blocksOf('![A photo](images/my%20photo.png "Title")');
+    assert.deepStrictEqual(image.content, { alt: 'A photo', src: 'images/my photo.png', title: 'Title' });
+    const document = new StructuredDocument();
+    document.importMarkdown('![A photo](images/my%20photo.png)');
+    assert.strictEqual(document.generateMarkdown(), '![A photo](images/my%20photo.png)');
+});
+
+test('tables are followed by one blank line like other blocks', () => {
+    const document = new StructuredDocument();
+    document.importMarkdown('| A |\n| --- |\n| x |\n\nAfter');
+    DIALECT_OPTIONS.tables.forEach(tables => {
+        const markdown = document.generateMarkdown({ ...document.dialect, tables });
+        assert.match(markdown, /[|+>]\n\nAfter$/);
+    });
+});
+
+test('text table cells escape * and _ so they show as typed', () => {
+    const document = new StructuredDocument();
+    document.importMarkdown('| Sum | Name |\n| --- | --- |\n| 2*3*4 | snake_case a\\*b |');
+    assert.match(document.generateMarkdown(), /^\| 2\*3\*4 \| snake_case a\\\*b \|$/m);
+
+    const markdown = document.generateMarkdown({ ...document.dialect, tableCells: 'text' });
+    assert.match(markdown, /^\| 2\\\*3\\\*4 \| snake\\_case a\\\*b \|$/m);
+    assert.deepStrictEqual(blocksOf(markdown)[0].content.rows, [['2\\*3\\*4', 'snake\\_case a\\*b']]);
+});
+
+test('documents from before tableCells write cells as Markdown', () => {
+    const document = new StructuredDocument();
+    const data = document.serializeDocument();
+    data.version = 8;
+    delete data.dialect.tableCells;
+    document.loadDocument(data);
+    assert.strictEqual(document.dialect.tableCells, 'markdown');
+});
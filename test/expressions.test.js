@@ -0,0 +1,134 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { StructuredDocument, ExpressionError } = require(path.join(__dirname, '..', 'core.js'));
+
+function calc(source, variables = {}) {
+    const engine = new StructuredDocument().expressionEngine;
+    return engine.evaluate(engine.parse(source), name => {
+        if (!(name in variables)) throw new ExpressionError(`Undefined variable {{${name}}}`);
+        return variables[name];
+    });
+}
+
+// Evaluates every variable of a document holding these key -> value pairs
+function resolve(values) {
+    const document = new StructuredDocument();
+    Object.entries(values).forEach(([key, value], index) => {
+        document.variables.set(`var_${index}`, { key, value, type: 'text' });
+    });
+    return Object.fromEntries(Array.from(document.evaluateVariables(), ([key, result]) => [key, result.error ? { error: result.error } : result.value]));
+}
+
+test('operators bind like arithmetic and logic usually do', () => {
+    assert.strictEqual(calc('1 + 2 * 3'), 7);
+    assert.strictEqual(calc('(1 + 2) * 3'), 9);
+    assert.strictEqual(calc('10 - 4 - 3'), 3);
+    assert.strictEqual(calc('2 * 3 % 4'), 2);
+    assert.strictEqual(calc('-2 * -3'), 6);
+    assert.strictEqual(calc('1 + 1 == 2 && 3 > 2'), true);
+    assert.strictEqual(calc('false || 1 < 2 && false'), false);
+    assert.strictEqual(calc('!(1 == 2)'), true);
+    assert.strictEqual(calc('1.5e2 + .5'), 150.5);
+});
+
+test('+ adds numbers and joins text', () => {
+    assert.strictEqual(calc('{{a}} + {{b}}', { a: '2', b: '3' }), 5);
+    assert.strictEqual(calc('{{a}} + " items"', { a: '2' }), '2 items');
+    assert.strictEqual(calc('"a" + \'b\' + 1'), 'ab1');
+    assert.strictEqual(calc('"say \\"hi\\""'), 'say "hi"');
+    assert.strictEqual(calc('"10" == 10'), true);
+    assert.strictEqual(calc('"b" > "a"'), true);
+});
+
+test('malformed expressions are reported', () => {
+    [
+        ['1 +', /Unexpected end/],
+        ['(1 + 2', /Expected "\)"/],
+        ['1 2', /Unexpected "2"/],
+        ['"open', /Unterminated string/],
+        ['price * 2', /Unknown name "price"/],
+        ['nope(1)', /Unknown function "nope"/],
+        ['1 # 2', /Unexpected character "#"/],
+        ['{{}}', /Empty variable reference/],
+        ['', /Empty expression/],
+        ['A1 + 1', /only work in table formulas/],
+        ['1 / 0', /Division by zero/],
+        ['"x" * 2', /not a number/]
+    ].forEach(([source, message]) => {
+        assert.throws(() => calc(source), error => error instanceof ExpressionError && message.test(error.message), source);
+    });
+});
+
+test('functions', () => {
+    assert.strictEqual(calc('ROUND(2.345, 2)'), 2.35);
+    assert.strictEqual(calc('max(1, 5, 3) - min(4, 2)'), 3);
+    assert.strictEqual(calc('sum({{list}})', { list: [1, 2, 3] }), 6);
+    assert.strictEqual(calc('average(2, 4)'), 3);
+    assert.strictEqual(calc('upper("ab") + lower("CD")'), 'ABcd');
+    assert.strictEqual(calc('len("four")'), 4);
+    assert.strictEqual(calc('date_add("2024-01-31", 1, "month")'), '2024-02-29');
+    assert.strictEqual(calc('date_add("2024-01-01", 10)'), '2024-01-11');
+});
+
+test('if() only evaluates the branch it takes', () => {
+    assert.strictEqual(calc('if(1 < 2, "yes", 1 / 0)'), 'yes');
+    assert.strictEqual(calc('if(false, {{missing}}, "no")'), 'no');
+    assert.strictEqual(calc('if(false, 1)'), '');
+    assert.strictEqual(calc('false && {{missing}}'), false);
+    assert.throws(() => calc('if(true, {{missing}}, 1)'), /Undefined variable/);
+    assert.throws(() => calc('if(true)'), /if\(\) expects 2 or 3 arguments/);
+});
+
+test('variables are computed through each other', () => {
+    assert.deepStrictEqual(resolve({ price: '1000', tax: '0.2', total: '{{price}} * (1 + {{tax}})', label: 'Total: {{total}}' }), {
+        price: '1000',
+        tax: '0.2',
+        total: '1200',
+        label: 'Total: 1200'
+    });
+    assert.strictEqual(resolve({ doubled: '=2 * 21' }).doubled, '42');
+});
+
+test('circular references are reported on every variable in the cycle', () => {
+    const results = resolve({ a: '{{b}} + 1', b: '{{c}} + 1', c: '{{a}} + 1', d: '{{a}}', e: '5' });
+    assert.match(results.a.error, /Circular reference: a → b → c → a/);
+    ['b', 'c', 'd'].forEach(key => assert.ok(results[key].error, key));
+    assert.strictEqual(results.e, '5');
+    assert.match(resolve({ self: '{{self}} + 1' }).self.error, /Circular reference: self → self/);
+});
+
+test('names from Object.prototype are not functions or filters', () => {
+    const document = new StructuredDocument();
+    const engine = document.expressionEngine;
+    ['constructor(1)', 'toString()', '__proto__(1)', 'hasOwnProperty(1)'].forEach(source => {
+        assert.throws(() => engine.evaluate(engine.parse(source), () => 0), ExpressionError);
+    });
+    assert.strictEqual(engine.evaluate(engine.parse('round(1.26, 1)'), () => 0), 1.3);
+
+    document.variables.set('var_1', { key: 'price', value: '5', type: 'number' });
+    document.placeholderWarnings = new Set();
+    assert.strictEqual(document.substituteVariables('{{price | constructor}}'), '{{price | constructor}}');
+    assert.deepStrictEqual([...document.placeholderWarnings], ['{{price | constructor}}: Unknown filter "constructor"']);
+});
+
+test('date_add ends on the last day of a shorter month', () => {
+    const engine = new StructuredDocument().expressionEngine;
+    assert.strictEqual(engine.addToDate('2024-01-31', 1, 'month'), '2024-02-29');
+    assert.strictEqual(engine.addToDate('2023-01-31', 1, 'month'), '2023-02-28');
+    assert.strictEqual(engine.addToDate('2024-03-31', -1, 'months'), '2024-02-29');
+    assert.strictEqual(engine.addToDate('2024-02-29', 1, 'year'), '2025-02-28');
+    assert.strictEqual(engine.addToDate('2024-01-15', 13, 'month'), '2025-02-15');
+    assert.strictEqual(engine.addToDate('2024-12-31', 1, 'day'), '2025-01-01');
+    assert.strictEqual(engine.addToDate('2024-1-5', 1, 'week'), '2024-01-12');
+});
+
+test('date_add rejects dates that do not exist', () => {
+    const engine = new StructuredDocument().expressionEngine;
+    ['2024-02-30', '2023-02-29', '2024-13-01', '2024-00-10', 'tomorrow'].forEach(date => {
+        assert.throws(() => engine.addToDate(date, 1, 'day'), ExpressionError, date);
+    });
+    assert.throws(() => engine.addToDate('2024-01-01', 1, 'fortnight'), /Unknown date unit/);
+});
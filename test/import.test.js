@@ -0,0 +1,28 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { StructuredDocument } = require(path.join(__dirname, '..', 'core.js'));
+
+function typesOf(markdown) {
+    const document = new StructuredDocument();
+    document.importMarkdown(markdown);
+    return document.blocks.map(block => block.type);
+}
+
+test('a table of contents marker that is never closed does not swallow the document', () => {
+    assert.deepStrictEqual(typesOf('<!-- toc -->\n\n# Heading\n\npara'), ['heading', 'paragraph']);
+});
+
+test('a markdown-toc list closed by tocstop becomes a table of contents', () => {
+    const markdown = '# Title\n\n<!-- toc -->\n\n- [Usage](#usage)\n\n<!-- tocstop -->\n\n## Usage\n\nText';
+    assert.deepStrictEqual(typesOf(markdown), ['heading', 'toc', 'heading', 'paragraph']);
+});
+
+test('a table of contents keeps its settings', () => {
+    const document = new StructuredDocument();
+    document.importMarkdown('<!-- toc minLevel=1 maxLevel=2 numbered -->\n- [A](#a)\n<!-- /toc -->\n\n# A');
+    assert.deepStrictEqual(document.blocks[0].content, { minLevel: 1, maxLevel: 2, numbered: true });
+    assert.strictEqual(document.blocks.length, 2);
+});
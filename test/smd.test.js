@@ -0,0 +1,104 @@
+// Runs the smd command line the way a build pipeline does
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MARKDOWN_PROFILES } = require(path.join(__dirname, '..', 'core.js'));
+
+const SMD = path.join(__dirname, '..', 'smd');
+
+const MARKDOWN = `# {{product}} notes
+
+Costs {{price}}.
+
+| Name | Qty |
+| :--- | ---: |
+| Widget \\| XL | 2 |
+
+> [!NOTE]
+> Ships in a week
+
+\`\`\`js
+console.log(1);
+\`\`\``;
+
+function smd(args, input) {
+    const result = spawnSync(process.execPath, [SMD, ...args], { input, encoding: 'utf8', timeout: 30000 });
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+function withDirectory(run) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'smd-test-'));
+    try {
+        run(directory);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+test('help and usage errors', () => {
+    assert.strictEqual(smd(['help']).status, 0);
+    assert.strictEqual(smd([]).status, 2);
+    const unknown = smd(['render', 'doc.smd.json', '--nope']);
+    assert.strictEqual(unknown.status, 2);
+    assert.match(unknown.stderr, /Unknown option --nope/);
+});
+
+test('import then render gives back the Markdown', () => {
+    withDirectory(directory => {
+        const documentFile = path.join(directory, 'notes.smd.json');
+        const imported = smd(['import', '-', '--name', 'Notes', '-o', documentFile], MARKDOWN);
+        assert.strictEqual(imported.status, 0, imported.stderr);
+        assert.strictEqual(JSON.parse(fs.readFileSync(documentFile, 'utf8')).metadata.name, 'Notes');
+
+        const rendered = smd(['render', documentFile]);
+        assert.strictEqual(rendered.status, 0, rendered.stderr);
+        assert.strictEqual(rendered.stdout, MARKDOWN + '\n');
+    });
+});
+
+test('every flavor imports back as the same document', () => {
+    withDirectory(directory => {
+        const documentFile = path.join(directory, 'notes.smd.json');
+        smd(['import', '-', '-o', documentFile], MARKDOWN);
+        const blocks = file => JSON.parse(fs.readFileSync(file, 'utf8')).blocks.map(({ type, content }) => ({ type, content }));
+
+        Object.keys(MARKDOWN_PROFILES).forEach(flavor => {
+            const rendered = smd(['render', documentFile, '--flavor', flavor]);
+            assert.strictEqual(rendered.status, 0, rendered.stderr);
+            const againFile = path.join(directory, `${flavor}.smd.json`);
+            const again = smd(['import', '-', '-o', againFile], rendered.stdout);
+            assert.strictEqual(again.status, 0, again.stderr);
+            assert.deepStrictEqual(blocks(againFile), blocks(documentFile), flavor);
+        });
+    });
+});
+
+test('--vars fills placeholders and --strict fails on the ones left', () => {
+    withDirectory(directory => {
+        const documentFile = path.join(directory, 'notes.smd.json');
+        const valuesFile = path.join(directory, 'prod.yaml');
+        smd(['import', '-', '-o', documentFile], MARKDOWN);
+        fs.writeFileSync(valuesFile, 'product: Gadget\n');
+
+        const partial = smd(['render', documentFile, '--vars', valuesFile, '--strict']);
+        assert.strictEqual(partial.status, 1);
+        assert.match(partial.stdout, /^# Gadget notes$/m);
+        assert.match(partial.stderr, /\{\{price\}\}/);
+
+        fs.writeFileSync(valuesFile, 'product: Gadget\nprice: 10\n');
+        const filled = smd(['render', documentFile, '--vars', valuesFile, '--strict']);
+        assert.strictEqual(filled.status, 0, filled.stderr);
+        assert.match(filled.stdout, /^Costs 10\.$/m);
+    });
+});
+
+test('a file that is not a document is reported', () => {
+    const result = smd(['render', '-'], JSON.stringify({ format: 'structured-markdown', version: 1, blocks: 'x' }));
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /^smd: /);
+});
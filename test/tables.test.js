@@ -0,0 +1,87 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { StructuredDocument } = require(path.join(__dirname, '..', 'core.js'));
+
+// Row 1 is the header, so the items are rows 2 and 3 and the total is row 4
+function invoice() {
+    return {
+        headers: ['Item', 'Qty', 'Price'],
+        align: [null, null, null],
+        rows: [
+            ['Pens', '2', '=B2 * 1.5'],
+            ['Paper', '10', '=B3 * 4'],
+            ['Total', '=SUM(B2:B3)', '=SUM(C2:C3)']
+        ]
+    };
+}
+
+test('inserting a row above a range shifts the range', () => {
+    const document = new StructuredDocument();
+    const table = invoice();
+    document.insertTableRow(table, 0);
+    assert.deepStrictEqual(table.rows.map(row => row[2]), ['', '=B3 * 1.5', '=B4 * 4', '=SUM(C3:C4)']);
+
+    document.insertTableRow(table, 2);
+    assert.deepStrictEqual(table.rows[4], ['Total', '=SUM(B3:B5)', '=SUM(C3:C5)']);
+});
+
+test('deleting a referenced column turns references to it into #REF', () => {
+    const document = new StructuredDocument();
+    const table = invoice();
+    document.removeTableColumn(table, 1);
+    assert.deepStrictEqual(table.headers, ['Item', 'Price']);
+    assert.deepStrictEqual(table.rows, [['Pens', '=#REF * 1.5'], ['Paper', '=#REF * 4'], ['Total', '=SUM(B2:B3)']]);
+    assert.deepStrictEqual(document.evaluateTable(table).errors, new Map([
+        ['0:1', 'Refers to a deleted cell (#REF)'],
+        ['1:1', 'Refers to a deleted cell (#REF)'],
+        ['2:1', 'Depends on B2, which has an error']
+    ]));
+});
+
+test('deleting a row shrinks the ranges over it', () => {
+    const document = new StructuredDocument();
+    const table = invoice();
+    table.rows[1][2] = '=B2 + B3';
+    document.removeTableRow(table, 0);
+    assert.deepStrictEqual(table.rows, [['Paper', '10', '=#REF + B2'], ['Total', '=SUM(B2:B2)', '=SUM(C2:C2)']]);
+});
+
+test('inserting a column keeps formulas on their cells', () => {
+    const document = new StructuredDocument();
+    const table = invoice();
+    document.insertTableColumn(table, 1);
+    assert.deepStrictEqual(table.rows[0], ['Pens', '', '2', '=C2 * 1.5']);
+    assert.deepStrictEqual(table.rows[2], ['Total', '', '=SUM(C2:C3)', '=SUM(D2:D3)']);
+});
+
+test('sorting keeps total rows in place and formulas on their rows', () => {
+    const document = new StructuredDocument();
+    const table = invoice();
+    document.sortTableRows(table, 0);
+    assert.deepStrictEqual(table.rows, [
+        ['Paper', '10', '=B2 * 4'],
+        ['Pens', '2', '=B3 * 1.5'],
+        ['Total', '=SUM(B2:B3)', '=SUM(C2:C3)']
+    ]);
+    assert.deepStrictEqual(document.evaluateTable(table).rows[2], ['Total', '12', '43']);
+
+    // Sorting the same column again reverses it
+    document.sortTableRows(table, 0);
+    assert.deepStrictEqual(table.rows.map(row => row[0]), ['Pens', 'Paper', 'Total']);
+});
+
+test('sorting compares numbers by value and puts blank cells last', () => {
+    const document = new StructuredDocument();
+    const table = {
+        headers: ['Name', 'Amount'],
+        align: [null, null],
+        rows: [['a', '1,200'], ['b', ''], ['c', '=30 * 3'], ['d', '100']]
+    };
+    document.sortTableRows(table, 1);
+    assert.deepStrictEqual(table.rows.map(row => row[0]), ['c', 'd', 'a', 'b']);
+    document.sortTableRows(table, 1);
+    assert.deepStrictEqual(table.rows.map(row => row[0]), ['a', 'd', 'c', 'b']);
+});
@@ -0,0 +1,33 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { StructuredDocument } = require(path.join(__dirname, '..', 'core.js'));
+
+const parse = text => new StructuredDocument().yamlParser.parse(text);
+
+test('block and flow collections', () => {
+    assert.deepStrictEqual(parse('name: Widget\ntags: [a, "b c"]\nsizes:\n  - 1\n  - {w: 2, h: 3}\nnote: |\n  line\n'), {
+        name: 'Widget',
+        tags: ['a', 'b c'],
+        sizes: [1, { w: 2, h: 3 }],
+        note: 'line\n'
+    });
+});
+
+test('a __proto__ key is kept as data and does not set the prototype', () => {
+    const result = parse('__proto__:\n  polluted: true\nflow: {__proto__: {polluted: true}}');
+    assert.strictEqual(Object.getPrototypeOf(result), Object.prototype);
+    assert.strictEqual(result.polluted, undefined);
+    assert.strictEqual(result.flow.polluted, undefined);
+    assert.deepStrictEqual(Object.keys(result), ['__proto__', 'flow']);
+    assert.strictEqual(JSON.stringify(result), '{"__proto__":{"polluted":true},"flow":{"__proto__":{"polluted":true}}}');
+});
+
+test('anchors and aliases are reported', () => {
+    ['base: &base 1\ncopy: *base', '- &item\n  name: a', 'list: [1, *one]', '&key name: 1'].forEach(text => {
+        assert.throws(() => parse(text), { name: 'SyntaxError', message: /Anchors and aliases are not supported/ }, text);
+    });
+    assert.deepStrictEqual(parse('a: x&y\nb: 2*3\nc: "*x"'), { a: 'x&y', b: '2*3', c: '*x' });
+});